@@ -1,7 +1,41 @@
 // Simplified Telegram bot for instant responses
-// Focused on immediate response without complex storage operations
+// Focused on immediate response; storage is only read for role checks and date settings
 
 import fetch from 'node-fetch';
+import PersistentStorage from '../lib/storage.js';
+import AccessControl, { ROLE_EMOJIS, requiredRole } from '../lib/access-control.js';
+import CommandRegistry, { chatScope } from '../lib/commands.js';
+import DueDateParser from '../lib/due-dates.js';
+import UserSettings from '../lib/user-settings.js';
+
+const dueDates = new DueDateParser();
+const defaultTimeZone = process.env.DEFAULT_TIMEZONE || 'UTC';
+let storage = null;
+let accessControl = null;
+let userSettings = null;
+
+function getStorage() {
+  return storage || (storage = new PersistentStorage());
+}
+
+function getAccessControl() {
+  return accessControl || (accessControl = new AccessControl(getStorage()));
+}
+
+function getUserSettings() {
+  return userSettings || (userSettings = new UserSettings(getStorage(), { dueDates, defaultTimeZone }));
+}
+
+// Times in the sender's /settings timezone and date format, like the full bot shows them
+async function formatNow(user) {
+  try {
+    const settings = await getUserSettings().get(user?.id);
+    return dueDates.formatDateTime(new Date(), getUserSettings().display(settings));
+  } catch (error) {
+    console.error('Failed to load user settings:', error);
+    return dueDates.formatDateTime(new Date(), defaultTimeZone);
+  }
+}
 
 async function sendTelegramMessage(chatId, text) {
   const botToken = process.env.TELEGRAM_BOT_TOKEN;
@@ -27,128 +61,109 @@ async function sendTelegramMessage(chatId, text) {
   }
 }
 
-function isAuthorized(message) {
-  const username = message?.from?.username?.toLowerCase();
-  
-  // Multiple ways to check authorization
-  const validUsernames = ['xkonjin', 'Xkonjin'];
-  const validChatId = '325698032';
-  
-  const isValidUsername = validUsernames.some(u => u.toLowerCase() === username);
-  const isValidChatId = message?.from?.id?.toString() === validChatId;
-  
-  // Detailed debug logging
-  console.log('AUTHORIZATION DEBUG:', {
-    messageUsername: username,
-    messageUsernameRaw: message?.from?.username,
-    userId: message?.from?.id,
-    chatId: message?.chat?.id,
-    isValidUsername,
-    isValidChatId,
-    fromData: message?.from
-  });
-  
-  const isAuthorized = isValidUsername || isValidChatId;
-  console.log('Final authorization result:', isAuthorized);
-  
-  return isAuthorized;
+// Same role check as the full bot; if roles can't be loaded only public commands run
+async function authorize(message, action, required = requiredRole(action)) {
+  try {
+    const access = await getAccessControl().check(message?.from, action, message?.chat, required);
+    console.log('AUTHORIZATION DEBUG:', { action, userId: message?.from?.id, chatId: message?.chat?.id, ...access });
+    return access;
+  } catch (error) {
+    console.error('Authorization check failed:', error);
+    return { allowed: required === null, role: null, required, error };
+  }
+}
+
+function denialMessage(access, action, message) {
+  const publicCommands = commands.publicCommands();
+  return access.error ?
+    `❌ Access check failed: ${access.error.message}\n\nPublic commands: ${publicCommands.map(command => `/${command}`).join(', ')}` :
+    getAccessControl().denialMessage(access, action, message.from, { canRequest: false, publicCommands });
 }
 
+// Handlers for the subset of the command registry this endpoint offers
+const handlers = {
+  async handleStartCommand() {
+    return `🤖 **Welcome to Jinbot Cloud!**\n\nI'm your 24/7 personal assistant running on Vercel.\n\n**Quick Commands:**\n• /help - Show all commands\n• /status - System status\n• /ping - Test response\n\n**For team members:**\nAdvanced features depending on your role!\n\nType /help for complete command list.`;
+  },
+
+  async handleHelpCommand(args, message, { access }) {
+    const chatType = chatScope(message.chat);
+    const policy = chatType === 'private' ? null : await getAccessControl().getChatPolicy(message.chat);
+    const available = commands.helpText(commands.allowedFor(getAccessControl(), access.role, { chatType, policy }));
+    
+    if (!access.role) {
+      return `🤖 **Public Commands:**\n\n${available}\n\n🔒 Advanced features are for team members - ask the owner or an admin to /grant you a role`;
+    }
+    return `🤖 **Jinbot Cloud Commands**\n\n${available}\n\nYour role: ${ROLE_EMOJIS[access.role]} ${access.role}`;
+  },
+
+  async handleStatusCommand(args, message, { access }) {
+    return `🤖 **Jinbot Status**\n\n✅ Bot: Online and responding\n🌐 Platform: Vercel Serverless\n🔗 Webhook: Active\n⚡ Response: Instant\n🕐 Time: ${await formatNow(message.from)}\n\n📊 **System:**\n• Authorization: Role-based (you are ${access.role})\n• Storage: Ready\n• Monitoring: Daily at 9 AM UTC\n\n🎯 All systems operational!`;
+  },
+
+  async handlePingCommand(args, message) {
+    return `🏓 **Pong!**\n\n⚡ Response time: Instant\n🕐 Time: ${await formatNow(message.from)}\n🌐 Region: ${process.env.VERCEL_REGION || 'Unknown'}\n\n✅ Bot is responding correctly!`;
+  },
+
+  async handlePlasmaBrandCommand() {
+    return '🔗 **Plasma Brand Resources**\n\nhttps://plasma.to/brand\n\n📚 Complete brand guidelines, assets, and messaging framework available.';
+  },
+
+  async handleAddTaskCommand(args, message) {
+    return `✅ **Task Created**\n\n📋 Task: ${args}\n🆔 ID: task_${Date.now().toString(36)}\n⏰ Created: ${await formatNow(message.from)}\n\n*Note: Persistent storage coming soon*`;
+  },
+
+  async handleSaveCommand(args, message) {
+    return `📝 **Note Saved**\n\n💬 Content: ${args}\n🕐 Timestamp: ${await formatNow(message.from)}\n\n*Note: Persistent storage coming soon*`;
+  },
+
+  async handleMonitorCommand() {
+    try {
+      const monitorResponse = await fetch('https://telegram-monitor.vercel.app/api/monitor', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` }
+      });
+      const data = await monitorResponse.json();
+      
+      return `🔍 **Monitor Check**\n\n📊 Endpoints: ${data.summary?.endpointsChecked || 0}\n✅ Healthy: ${data.summary?.healthyEndpoints || 0}\n🚨 Alerts: ${data.summary?.alertsGenerated || 0}\n\n🕐 Next check: Daily at 9 AM UTC`;
+    } catch (error) {
+      return `❌ Monitor error: ${error.message}`;
+    }
+  },
+
+  async handleGroupIdCommand(args, message) {
+    return `🆔 **Chat Information**\n\n📋 **Details:**\n• Chat ID: \`${message.chat.id}\`\n• Chat Type: ${message.chat.type}\n• Chat Title: ${message.chat.title || 'N/A'}\n\n💡 **Usage:**\nThis chat ID can be used to set up group notifications and topic channels.\n\nFor groups: Save this ID as JINBOT_HQ_GROUP_ID`;
+  }
+};
+
+const commands = new CommandRegistry(handlers);
+
 async function handleCommand(message) {
   const chatId = message.chat.id;
-  const text = message.text.trim();
-  const command = text.slice(1).split(' ')[0].toLowerCase();
-  const args = text.slice(1).split(' ').slice(1).join(' ');
+  const { name, args } = commands.parse(message.text) || { name: '', args: '' };
+  const entry = commands.get(name);
   
-  console.log(`Processing command: /${command} from user: ${message.from?.username}`);
+  console.log(`Processing command: /${name} from user: ${message.from?.username}`);
   
-  // Check authorization for advanced commands
-  const basicCommands = ['start', 'help', 'plasmabrand'];
-  const isBasic = basicCommands.includes(command);
-  const authorized = isAuthorized(message);
-  
-  if (!isBasic && !authorized) {
-    return await sendTelegramMessage(chatId, 
-      `🔒 **Access Restricted**\n\nOnly @${process.env.AUTHORIZED_USERNAME || 'Xkonjin'} can use advanced commands.\n\nPublic commands: /start, /help, /plasmabrand`
-    );
+  if (!entry) {
+    return await sendTelegramMessage(chatId, `❌ Unknown command: /${name}\n\nType /help for available commands`);
+  }
+  if (!commands.availableIn(entry, message.chat)) {
+    return await sendTelegramMessage(chatId, commands.scopeMessage(entry));
   }
   
-  let response = '';
+  // Check the sender's role against the command's required role
+  const access = await authorize(message, entry.name, entry.role);
   
-  switch (command) {
-    case 'start':
-      response = `🤖 **Welcome to Jinbot Cloud!**\n\nI'm your 24/7 personal assistant running on Vercel.\n\n**Quick Commands:**\n• /help - Show all commands\n• /status - System status\n• /ping - Test response\n\n**For @${process.env.AUTHORIZED_USERNAME || 'Xkonjin'}:**\nFull access to advanced features!\n\nType /help for complete command list.`;
-      break;
-      
-    case 'help':
-      if (authorized) {
-        response = `🤖 **Jinbot Cloud Commands**\n\n**📱 Basic:**\n• /help - This help\n• /status - Bot status\n• /ping - Test response\n• /plasmabrand - Plasma resources\n\n**📋 Quick Actions:**\n• /addtask [task] - Add task\n• /note [text] - Save note\n• /remind [text] - Set reminder\n\n**🔧 System:**\n• /monitor - System check\n• /sync - Sync data\n\n*Advanced features coming soon!*`;
-      } else {
-        response = `🤖 **Public Commands:**\n\n• /help - This help\n• /start - Welcome\n• /plasmabrand - Plasma resources\n\n🔒 Advanced features restricted to @${process.env.AUTHORIZED_USERNAME || 'Xkonjin'}`;
-      }
-      break;
-      
-    case 'status':
-      if (authorized) {
-        response = `🤖 **Jinbot Status**\n\n✅ Bot: Online and responding\n🌐 Platform: Vercel Serverless\n🔗 Webhook: Active\n⚡ Response: Instant\n🕐 Time: ${new Date().toLocaleString()}\n\n📊 **System:**\n• Authorization: Active\n• Storage: Ready\n• Monitoring: Daily at 9 AM UTC\n\n🎯 All systems operational!`;
-      }
-      break;
-      
-    case 'ping':
-      response = `🏓 **Pong!**\n\n⚡ Response time: Instant\n🕐 Server time: ${new Date().toLocaleString()}\n🌐 Region: ${process.env.VERCEL_REGION || 'Unknown'}\n\n✅ Bot is responding correctly!`;
-      break;
-      
-    case 'plasmabrand':
-      response = '🔗 **Plasma Brand Resources**\n\nhttps://plasma.to/brand\n\n📚 Complete brand guidelines, assets, and messaging framework available.';
-      break;
-      
-    case 'addtask':
-      if (authorized) {
-        if (!args) {
-          response = '❌ Usage: /addtask [description]\nExample: /addtask Review quarterly reports';
-        } else {
-          response = `✅ **Task Created**\n\n📋 Task: ${args}\n🆔 ID: task_${Date.now().toString(36)}\n⏰ Created: ${new Date().toLocaleString()}\n\n*Note: Persistent storage coming soon*`;
-        }
-      }
-      break;
-      
-    case 'note':
-      if (authorized) {
-        if (!args) {
-          response = '❌ Usage: /note [text]\nExample: /note Important meeting tomorrow';
-        } else {
-          response = `📝 **Note Saved**\n\n💬 Content: ${args}\n🕐 Timestamp: ${new Date().toLocaleString()}\n\n*Note: Persistent storage coming soon*`;
-        }
-      }
-      break;
-      
-    case 'monitor':
-      if (authorized) {
-        try {
-          const monitorResponse = await fetch('https://telegram-monitor.vercel.app/api/monitor', {
-            method: 'POST'
-          });
-          const data = await monitorResponse.json();
-          
-          response = `🔍 **Monitor Check**\n\n📊 Endpoints: ${data.summary?.endpointsChecked || 0}\n✅ Healthy: ${data.summary?.healthyEndpoints || 0}\n🚨 Alerts: ${data.summary?.alertsGenerated || 0}\n\n🕐 Next check: Daily at 9 AM UTC`;
-        } catch (error) {
-          response = `❌ Monitor error: ${error.message}`;
-        }
-      }
-      break;
-
-    case 'groupid':
-      if (authorized) {
-        response = `🆔 **Chat Information**\n\n📋 **Details:**\n• Chat ID: \`${chatId}\`\n• Chat Type: ${message.chat.type}\n• Chat Title: ${message.chat.title || 'N/A'}\n\n💡 **Usage:**\nThis chat ID can be used to set up group notifications and topic channels.\n\nFor groups: Save this ID as JINBOT_HQ_GROUP_ID`;
-      }
-      break;
-      
-    default:
-      response = authorized ? 
-        `❌ Unknown command: /${command}\n\nType /help for available commands` :
-        `🔒 Command /${command} requires authorization`;
+  if (!access.allowed) {
+    return await sendTelegramMessage(chatId, denialMessage(access, entry.name, message));
   }
   
+  const { values, subcommand, error } = commands.validate(entry, args, message);
+  const response = error !== undefined ?
+    commands.usage(entry.name, subcommand, error) :
+    await commands.run(entry, args, message, { access, values, subcommand });
+  
   if (response) {
     return await sendTelegramMessage(chatId, response);
   }
@@ -167,19 +182,25 @@ async function handleMessage(message) {
     isGroup: message.chat.type === 'group' || message.chat.type === 'supergroup'
   });
   
+  // Usernames are remembered so roles can be granted with /grant @username
+  try {
+    await getAccessControl().remember(message.from);
+  } catch (error) {
+    console.error('Failed to remember user:', error);
+  }
+  
   if (text.startsWith('/')) {
-    // Handle @bot commands in groups by removing the @botname part
-    const cleanText = text.replace('@jinagentbot', '').trim();
-    const modifiedMessage = { ...message, text: cleanText };
-    return await handleCommand(modifiedMessage);
-  } else if (isAuthorized(message)) {
+    // "/help@jinagentbot" in groups is handled by the registry's parser
+    return await handleCommand(message);
+  }
+  
+  const access = await authorize(message, 'message');
+  if (access.allowed) {
     // Handle general conversation
     const response = `💬 **Message Received**\n\nI've noted your message: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"\n\n⚡ Use /help for commands or /addtask to create tasks`;
     return await sendTelegramMessage(chatId, response);
   } else {
-    return await sendTelegramMessage(chatId, 
-      `🔒 This bot is for @${process.env.AUTHORIZED_USERNAME || 'Xkonjin'} only.\n\nPublic commands: /start, /help, /plasmabrand`
-    );
+    return await sendTelegramMessage(chatId, denialMessage(access, 'message', message));
   }
 }
 
@@ -223,7 +244,7 @@ export default async function handler(req, res) {
         version: '2.1.0',
         status: 'Instant Response Mode',
         platform: 'Vercel Serverless',
-        authorizedUser: process.env.AUTHORIZED_USERNAME || 'Xkonjin',
+        authorization: 'Role-based (OWNER_USER_IDS, /grant)',
         timestamp: new Date().toISOString(),
         webhook: 'Active',
         responseTime: 'Instant'
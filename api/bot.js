@@ -4,159 +4,403 @@
 import fetch from 'node-fetch';
 import GroupManager from '../lib/group-manager.js';
 import VoiceProcessor from '../lib/voice-processor.js';
-// Temporarily disable complex imports to fix 500 errors
-// import PersistentStorage from '../lib/storage.js';
-// import ClaudeIntegration from '../lib/claude-integration.js';
-// import CalendarIntegration from '../lib/calendar-integration.js';
+import DecisionManager from '../lib/decision-manager.js';
+import PersistentStorage from '../lib/storage.js';
+import Paginator from '../lib/pagination.js';
+import DueDateParser, { urgencyEmojis } from '../lib/due-dates.js';
+import ActionItemExtractor from '../lib/action-items.js';
+import TagRules from '../lib/tag-rules.js';
+import Digest, { DIGEST_SECTIONS } from '../lib/digest.js';
+import AccessControl, { ROLE_EMOJIS, requiredRole } from '../lib/access-control.js';
+import CommandRegistry, { chatScope } from '../lib/commands.js';
+import Onboarding from '../lib/onboarding.js';
+import Conversations from '../lib/conversations.js';
+import UserSettings, { DATE_FORMATS, LANGUAGES, COMMON_TIME_ZONES, PRIORITIES, SETTING_LABELS } from '../lib/user-settings.js';
+import RecurrenceParser from '../lib/recurrence.js';
+import ClaudeIntegration from '../lib/claude-integration.js';
+import CalendarIntegration from '../lib/calendar-integration.js';
+
+// Raised when a command needs an integration that failed to initialize
+class IntegrationUnavailableError extends Error {
+  constructor(integration, cause) {
+    super(`${integration} unavailable: ${cause.message}`);
+    this.integration = integration;
+    this.cause = cause;
+  }
+}
 
 class TelegramBot {
   constructor() {
     this.config = {
       telegram: {
         botToken: process.env.TELEGRAM_BOT_TOKEN,
-        chatId: process.env.TELEGRAM_CHAT_ID,
-        authorizedUsername: 'xkonjin'  // Fixed hardcoded to match @xkonjin
+        chatId: process.env.TELEGRAM_CHAT_ID
       },
-      webhookSecret: process.env.WEBHOOK_SECRET || 'your-secret-key-here'
+      webhookSecret: process.env.WEBHOOK_SECRET || 'your-secret-key-here',
+      defaultTimeZone: process.env.DEFAULT_TIMEZONE || 'UTC',
+      monitorEndpoints: (process.env.MONITOR_ENDPOINTS || '').split(',').map(url => url.trim()).filter(Boolean)
     };
     
-    // Simple in-memory storage for immediate testing
-    this.simpleStorage = { tasks: [], messages: [] };
+    // Integrations are created on first use so one failure only affects its own commands
+    this.integrationFactories = {
+      storage: () => new PersistentStorage(),
+      claude: () => new ClaudeIntegration(this.storage),
+      calendar: () => new CalendarIntegration(),
+      groups: () => new GroupManager(this.config.telegram.botToken, this.storage),
+      decisions: () => new DecisionManager(this.storage, this.groupManager)
+    };
+    this.integrationLabels = {
+      storage: '💾 Storage',
+      claude: '🧠 Claude integration',
+      calendar: '📅 Calendar',
+      groups: '👥 Group manager',
+      decisions: '⚖️ Decision manager'
+    };
+    this.integrations = {};
+    this.integrationErrors = {};
     
-    // Group management and voice processing
-    this.groupManager = new GroupManager(this.config.telegram.botToken);
+    // Voice processing, date parsing and the command registry have no external state and are always available
     this.voiceProcessor = new VoiceProcessor(this.config.telegram.botToken);
+    this.commands = new CommandRegistry(this);
+    this.dueDates = new DueDateParser();
+    this.recurrence = new RecurrenceParser({ dueDates: this.dueDates });
+    this.actionItems = new ActionItemExtractor({ dueDates: this.dueDates });
   }
 
-  async sendMessage(chatId, text, options = {}) {
-    const url = `https://api.telegram.org/bot${this.config.telegram.botToken}/sendMessage`;
-    
-    // Ensure text doesn't exceed Telegram's 4096 character limit
-    const truncatedText = text.length > 4000 ? text.substring(0, 3997) + '...' : text;
+  getIntegration(name) {
+    if (this.integrations[name]) {
+      return this.integrations[name];
+    }
+    if (this.integrationErrors[name]) {
+      throw new IntegrationUnavailableError(name, this.integrationErrors[name]);
+    }
     
-    const payload = {
-      chat_id: chatId,
-      text: truncatedText,
-      parse_mode: 'Markdown',
-      ...options
-    };
-
     try {
-      console.log('Sending message to chat:', chatId, 'Length:', truncatedText.length);
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
+      this.integrations[name] = this.integrationFactories[name]();
+      return this.integrations[name];
+    } catch (error) {
+      console.error(`Failed to initialize ${name} integration:`, error);
+      this.integrationErrors[name] = error;
+      throw new IntegrationUnavailableError(name, error);
+    }
+  }
 
-      const responseData = await response.json();
-      
-      if (!response.ok) {
-        console.error('Telegram API error:', response.status, responseData);
-        
-        // Try with plain text if Markdown fails
-        if (responseData.description?.includes('parse')) {
-          const plainPayload = { ...payload, parse_mode: undefined };
-          const retryResponse = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(plainPayload)
-          });
-          
-          if (retryResponse.ok) {
-            console.log('Message sent successfully with plain text fallback');
-            return await retryResponse.json();
-          }
-        }
-        
-        throw new Error(`Telegram API error: ${response.status} - ${responseData.description}`);
+  get storage() { return this.getIntegration('storage'); }
+  get claude() { return this.getIntegration('claude'); }
+  get calendar() { return this.getIntegration('calendar'); }
+  get groupManager() { return this.getIntegration('groups'); }
+  get decisionManager() { return this.getIntegration('decisions'); }
+  get paginator() { return this.paginatorInstance || (this.paginatorInstance = new Paginator(this.storage)); }
+  get tagRules() { return this.tagRulesInstance || (this.tagRulesInstance = new TagRules(this.storage)); }
+  get access() {
+    return this.accessInstance || (this.accessInstance = new AccessControl(this.storage, {
+      chatId: this.config.telegram.chatId
+    }));
+  }
+  get onboarding() {
+    return this.onboardingInstance || (this.onboardingInstance = new Onboarding(this.storage, this.access, {
+      dueDates: this.dueDates
+    }));
+  }
+  get conversations() {
+    return this.conversationsInstance || (this.conversationsInstance = new Conversations(this.storage, {
+      dueDates: this.dueDates
+    }));
+  }
+  get digest() { return this.digestInstance || (this.digestInstance = new Digest(this.storage, this.groupManager)); }
+  get userSettings() {
+    return this.userSettingsInstance || (this.userSettingsInstance = new UserSettings(this.storage, {
+      dueDates: this.dueDates,
+      defaultTimeZone: this.config.defaultTimeZone
+    }));
+  }
+
+  getIntegrationHealth() {
+    return Object.keys(this.integrationFactories).map(name => {
+      try {
+        this.getIntegration(name);
+        return { name, label: this.integrationLabels[name], available: true };
+      } catch (error) {
+        return { name, label: this.integrationLabels[name], available: false, error: error.cause?.message || error.message };
       }
+    });
+  }
 
-      console.log('Message sent successfully');
-      return responseData;
-    } catch (error) {
-      console.error('Error sending message:', error);
-      throw error;
+  formatIntegrationError(action, error) {
+    if (error instanceof IntegrationUnavailableError) {
+      return `⚠️ **${this.integrationLabels[error.integration]} unavailable**\n\n${action} needs it, but it failed to initialize: ${error.cause.message}\n\nOther commands still work - check /status for details.`;
     }
+    return `❌ Error in ${action}: ${error.message}`;
   }
 
-  isAuthorized(message) {
-    const username = message?.from?.username?.toLowerCase();
-    const authorizedUser = this.config.telegram.authorizedUsername.toLowerCase();
+  async callTelegramApi(method, payload) {
+    const url = `https://api.telegram.org/bot${this.config.telegram.botToken}/${method}`;
     
-    // Debug logging
-    console.log('Authorization check:', {
-      messageUsername: username,
-      authorizedUsername: authorizedUser,
-      chatId: message?.chat?.id,
-      fromId: message?.from?.id
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
     });
+
+    const responseData = await response.json();
     
-    // Check both username and chat ID for additional security
-    const isCorrectUser = username === authorizedUser;
-    const isCorrectChat = message?.chat?.id?.toString() === this.config.telegram.chatId;
-    
-    return isCorrectUser || isCorrectChat;
-  }
+    if (!response.ok) {
+      console.error('Telegram API error:', method, response.status, responseData);
+      
+      // Try with plain text if Markdown fails
+      if (responseData.description?.includes('parse')) {
+        const plainPayload = { ...payload, parse_mode: undefined };
+        const retryResponse = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(plainPayload)
+        });
+        
+        if (retryResponse.ok) {
+          console.log(`${method} succeeded with plain text fallback`);
+          return await retryResponse.json();
+        }
+      }
+      
+      throw new Error(`Telegram API error: ${response.status} - ${responseData.description}`);
+    }
 
-  isBasicCommand(text) {
-    const basicCommands = ['/start', '/help', '/plasmabrand'];
-    return basicCommands.some(cmd => text.toLowerCase().startsWith(cmd));
+    return responseData;
   }
 
-  extractActionItems(text) {
-    const actionKeywords = ['need to', 'should', 'must', 'have to', 'will', 'going to', 'plan to', 'todo', 'task'];
-    const sentences = text.toLowerCase().split('.');
-    const actionItems = [];
+  // Splits text on line boundaries into chunks under Telegram's 4096 character limit
+  splitMessage(text, limit = 4000) {
+    const chunks = [];
+    let current = '';
     
-    for (const sentence of sentences) {
-      if (actionKeywords.some(keyword => sentence.includes(keyword))) {
-        actionItems.push(sentence.trim());
+    for (const line of text.split('\n')) {
+      // Hard-wrap single lines that are longer than a whole message
+      const pieces = line.match(new RegExp(`[\\s\\S]{1,${limit}}`, 'g')) || [''];
+      for (const piece of pieces) {
+        if (current && current.length + piece.length + 1 > limit) {
+          chunks.push(current);
+          current = '';
+        }
+        current = current ? `${current}\n${piece}` : piece;
       }
     }
-    
-    return actionItems.slice(0, 3); // Limit to 3 action items
+    chunks.push(current);
+    return chunks;
   }
 
-  autoTagMessage(text, sourceChat) {
-    const tags = [];
-    
-    // Common tag keywords
-    if (['urgent', 'asap', 'immediately'].some(word => text.toLowerCase().includes(word))) {
-      tags.push('urgent');
-    }
-    if (['deadline', 'due', 'timeline'].some(word => text.toLowerCase().includes(word))) {
-      tags.push('deadline');
-    }
-    if (['meeting', 'call', 'zoom'].some(word => text.toLowerCase().includes(word))) {
-      tags.push('meeting');
+  async sendMessage(chatId, text, options = {}) {
+    const { reply_markup, ...baseOptions } = options;
+    const chunks = this.splitMessage(text);
+    let result = null;
+
+    try {
+      console.log('Sending message to chat:', chatId, 'Length:', text.length, 'Parts:', chunks.length);
+      
+      // Long responses are sent as several messages; buttons go on the last one
+      for (const [index, chunk] of chunks.entries()) {
+        const isLast = index === chunks.length - 1;
+        result = await this.callTelegramApi('sendMessage', {
+          chat_id: chatId,
+          text: chunk,
+          parse_mode: 'Markdown',
+          ...(index === 0 ? baseOptions : {}),
+          ...(isLast && reply_markup ? { reply_markup } : {})
+        });
+      }
+
+      console.log('Message sent successfully');
+      return result;
+    } catch (error) {
+      console.error('Error sending message:', error);
+      throw error;
     }
-    if (['plasma', 'brand'].some(word => text.toLowerCase().includes(word))) {
-      tags.push('plasma');
+  }
+
+  async editMessageText(chatId, messageId, text, options = {}) {
+    try {
+      return await this.callTelegramApi('editMessageText', {
+        chat_id: chatId,
+        message_id: messageId,
+        text,
+        parse_mode: 'Markdown',
+        ...options
+      });
+    } catch (error) {
+      // Pressing a button that re-renders the same page is not an error
+      if (error.message.includes('message is not modified')) return null;
+      console.error('Error editing message:', error);
+      throw error;
     }
-    if (['project', 'work', 'development'].some(word => text.toLowerCase().includes(word))) {
-      tags.push('project');
+  }
+
+  // Every command, button press and saved message is checked here against the sender's role;
+  // commands pass the role from their registry entry.
+  // Returns { allowed, role, required, error }; if roles can't be loaded only public commands run.
+  async authorize(message, action, required = requiredRole(action)) {
+    try {
+      const access = await this.access.check(message?.from, action, message?.chat, required);
+      console.log('Authorization check:', { action, fromId: message?.from?.id, chatId: message?.chat?.id, ...access });
+      return access;
+    } catch (error) {
+      console.error('Authorization check failed:', error);
+      return { allowed: required === null, role: null, required, error };
     }
-    
-    return tags.slice(0, 5); // Limit to 5 tags
   }
 
-  async addTask(description, priority = 'Medium', tags = []) {
+  formatDenial(access, action, message) {
+    return access.error ?
+      this.formatIntegrationError('Checking access', access.error) :
+      this.access.denialMessage(access, action, message.from, { publicCommands: this.commands.publicCommands() });
+  }
+
+  // Tags come from the user's /tagrule rules, or the default keyword rules until they add their own
+  async autoTagMessage(text, sourceChat, userId = null) {
+    const rules = await this.tagRules.getRules(userId);
+    return this.tagRules.apply(rules, text, sourceChat);
+  }
+
+  // `details` carries optional fields such as dueAt, timeZone and createdBy
+  async addTask(description, priority = 'Medium', tags = [], details = {}) {
     const task = {
       description,
       priority,
       status: 'Pending',
       tags: Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim()),
       source: 'telegram',
-      completionDate: ''
+      completionDate: '',
+      ...details
     };
     
     return await this.storage.addTask(task);
   }
 
-  async completeTask(taskId) {
-    return await this.storage.completeTask(taskId);
+  async getUserTimeZone(userId) {
+    return (await this.userSettings.get(userId)).timezone;
+  }
+
+  // Timezone, date format and language from /settings, for formatting dates
+  async getDisplayContext(userId) {
+    return this.userSettings.display(await this.userSettings.get(userId));
+  }
+
+  // Slug of the project set with /project switch, or null for all projects
+  async getActiveProject(userId) {
+    const settings = userId ? await this.storage.getUserSettings(userId) : {};
+    return settings.activeProject || null;
+  }
+
+  // Per-user display options and project filter for list views
+  async getListContext(userId) {
+    const settings = await this.userSettings.get(userId);
+    return { ...this.userSettings.display(settings), project: settings.activeProject || null };
+  }
+
+  async completeTask(taskId, actor = null) {
+    return await this.storage.completeTask(taskId, actor);
+  }
+
+  // Reports tasks a completion unblocked and subtasks that are still open
+  async formatCompletionEffects(task) {
+    const tasks = await this.storage.getTasks();
+    const tasksById = new Map(tasks.map(t => [t.id, t]));
+    let text = '';
+    
+    const unblocked = tasks.filter(t =>
+      t.status === 'Pending' && (t.blockedBy || []).includes(task.id) && !this.storage.isBlocked(t, tasksById));
+    if (unblocked.length > 0) {
+      text += `\n\n🔓 Now actionable: ${unblocked.map(t => `${t.id} (${t.description})`).join(', ')}`;
+    }
+    
+    const progress = this.storage.subtaskProgress(task, tasks);
+    if (progress.done < progress.total) {
+      text += `\n\n⚠️ ${progress.total - progress.done} of ${progress.total} subtasks still open`;
+    }
+    
+    const parent = tasksById.get(task.parentId);
+    if (parent) {
+      const parentProgress = this.storage.subtaskProgress(parent, tasks);
+      text += `\n\n📊 ${parent.id}: ${parentProgress.done}/${parentProgress.total} subtasks done`;
+    }
+    return text;
+  }
+
+  actorFrom(message) {
+    return { id: message.from?.id, username: message.from?.username };
+  }
+
+  // Splits "task_012 rest of args" into the task ID and the remainder
+  parseTaskArgs(args) {
+    const [taskId = '', ...rest] = args.trim().split(/\s+/);
+    return { taskId, rest: rest.join(' ') };
+  }
+
+  normalizePriority(value) {
+    const priorities = { h: 'High', high: 'High', m: 'Medium', med: 'Medium', medium: 'Medium', l: 'Low', low: 'Low' };
+    return priorities[String(value || '').toLowerCase()] || null;
+  }
+
+  formatHistoryValue(field, value, display) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (['dueAt', 'snoozedUntil', 'completedAt'].includes(field)) {
+      return this.dueDates.formatDateTime(value, display);
+    }
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+    if (typeof value === 'object') return field === 'recurrence' ? this.recurrence.describe(value) : JSON.stringify(value);
+    return String(value);
+  }
+
+  formatHistoryEntry(entry, display) {
+    const labels = {
+      edit: 'edited', priority: 'changed priority', tag: 'changed tags', complete: 'completed',
+      reopen: 'reopened', snooze: 'snoozed', delete: 'deleted', restore: 'restored',
+      block: 'added a blocker', unblock: 'removed a blocker'
+    };
+    let text = `• ${this.dueDates.formatDateTime(entry.at, display)} ${entry.by} ${labels[entry.action] || entry.action}`;
+    for (const [field, change] of Object.entries(entry.changes || {})) {
+      text += `\n   ${field}: ${this.formatHistoryValue(field, change.from, display)} → ${this.formatHistoryValue(field, change.to, display)}`;
+    }
+    return text;
+  }
+
+  // `display` comes from getDisplayContext; `tasks` is the full task list, used to show
+  // the parent, subtasks and blockers
+  formatTaskDetails(task, display, tasks = []) {
+    const priorityEmoji = task.priority === 'High' ? '🔴' : task.priority === 'Medium' ? '🟡' : '🟢';
+    const statusEmoji = task.status === 'Completed' ? '✅' : '⏳';
+    
+    let text = `📌 **${task.id}**: ${task.description}\n\n`;
+    text += `${statusEmoji} Status: ${task.status} | ${priorityEmoji} Priority: ${task.priority}\n`;
+    if (task.assignee) text += `👤 Assignee: ${task.assignee}\n`;
+    if (task.tags?.length > 0) text += `🏷️ Tags: ${task.tags.join(', ')}\n`;
+    if (task.dueAt) text += `📅 Due: ${this.dueDates.formatDue(task.dueAt, display)}\n`;
+    if (task.recurrence) text += `🔁 Repeats ${this.recurrence.describe(task.recurrence)}\n`;
+    if (this.storage.isSnoozed(task)) text += `💤 Snoozed until ${this.dueDates.formatDateTime(task.snoozedUntil, display)}\n`;
+    if (task.timestamp) text += `🕐 Created: ${this.dueDates.formatDateTime(task.timestamp, display)}\n`;
+    if (task.completedAt) text += `✅ Completed: ${this.dueDates.formatDateTime(task.completedAt, display)}\n`;
+    
+    const tasksById = new Map(tasks.map(t => [t.id, t]));
+    const statusOf = t => t.status === 'Completed' ? '✅' : '⏳';
+    const parent = tasksById.get(task.parentId);
+    if (parent) text += `🌳 Subtask of ${statusOf(parent)} ${parent.id}: ${parent.description}\n`;
+    
+    const blockers = (task.blockedBy || []).map(id => tasksById.get(id)).filter(Boolean);
+    if (blockers.length > 0) {
+      text += `⛔ Blocked by: ${blockers.map(blocker => `${statusOf(blocker)} ${blocker.id}`).join(', ')}\n`;
+    }
+    
+    const subtasks = tasks.filter(t => t.parentId === task.id);
+    if (subtasks.length > 0) {
+      const progress = this.storage.subtaskProgress(task, tasks);
+      text += `\n📊 **Subtasks** (${progress.done}/${progress.total} done):\n`;
+      text += subtasks.map(subtask => `${statusOf(subtask)} ${subtask.id}: ${subtask.description}`).join('\n') + '\n';
+    }
+    
+    const history = task.history || [];
+    if (history.length > 0) {
+      text += `\n📜 **History** (last ${Math.min(history.length, 10)} of ${history.length}):\n`;
+      text += history.slice(-10).map(entry => this.formatHistoryEntry(entry, display)).join('\n');
+    }
+    return text;
   }
 
   async listTasks(status = 'Pending', limit = 10) {
@@ -169,56 +413,273 @@ class TelegramBot {
       .slice(0, limit);
   }
 
-  async searchTasks(keyword) {
-    return await this.storage.searchTasks(keyword);
+  async searchTasks(query, options = {}) {
+    return await this.storage.searchTasks(query, options);
   }
 
-  async saveMessage(text, sourceChat, tags = []) {
-    const autoTags = this.autoTagMessage(text, sourceChat);
+  // Action items found in the text are stored as suggestions that need an Accept/Dismiss;
+  // `options.userId` picks the project and timezone, `options.parentId` files accepted items as subtasks
+  async saveMessage(text, sourceChat, tags = [], options = {}) {
+    const autoTags = await this.autoTagMessage(text, sourceChat, options.userId);
     const allTags = [...new Set([...autoTags, ...tags])];
-    const actionItems = this.extractActionItems(text);
+    const { timeZone, project } = await this.getListContext(options.userId);
+    const candidates = this.actionItems.extract(text, { timeZone });
     
     const message = {
       text,
       sourceChat,
       tags: allTags,
-      actionItems,
-      contextType: 'saved'
+      actionItems: candidates.map(candidate => candidate.description),
+      contextType: 'saved',
+      ...(project ? { project } : {})
     };
     
     const savedMessage = await this.storage.addMessage(message);
     
-    // Auto-create tasks from action items
-    let tasksCreated = 0;
-    for (const action of actionItems) {
-      if (action.length > 10) {
-        await this.addTask(`From ${sourceChat}: ${action}`, 'Medium', ['auto-extracted']);
-        tasksCreated++;
+    const pendingTasks = candidates.length > 0 ? await this.storage.getPendingTasks(Infinity) : [];
+    const suggestions = [];
+    for (const candidate of candidates) {
+      const duplicate = this.actionItems.findDuplicate(candidate.description, pendingTasks);
+      const suggestion = {
+        id: await this.storage.allocateSuggestionId(),
+        description: candidate.description,
+        assignee: candidate.assignee,
+        dueAt: candidate.dueAt,
+        timeZone,
+        project,
+        parentId: options.parentId || null,
+        sourceChat,
+        messageId: savedMessage.id,
+        duplicate: duplicate ? { id: duplicate.task.id, description: duplicate.task.description } : null,
+        createdAt: new Date().toISOString()
+      };
+      await this.storage.saveSuggestion(suggestion);
+      suggestions.push(suggestion);
+    }
+    
+    return { message: savedMessage, suggestions };
+  }
+
+  // Numbered suggestion list plus one ✅/✖️ button row per suggestion
+  formatSuggestions(suggestions, display) {
+    if (suggestions.length === 0) return { text: '', rows: [] };
+    
+    let text = `\n\n💡 **Suggested task${suggestions.length === 1 ? '' : 's'}:**\n`;
+    for (const [index, suggestion] of suggestions.entries()) {
+      text += `${index + 1}. ${suggestion.description}\n`;
+      const details = [
+        suggestion.assignee && `👤 ${suggestion.assignee}`,
+        suggestion.dueAt && `📅 ${this.dueDates.formatDue(suggestion.dueAt, display)}`
+      ].filter(Boolean);
+      if (details.length > 0) text += `   ${details.join(' | ')}\n`;
+      if (suggestion.duplicate) {
+        text += `   ⚠️ Similar to ${suggestion.duplicate.id}: ${suggestion.duplicate.description}\n`;
       }
     }
     
-    return { message: savedMessage, tasksCreated };
+    const rows = suggestions.map((suggestion, index) => [
+      { text: `✅ Accept ${index + 1}`, callback_data: `sug:a:${suggestion.id}` },
+      { text: `✖️ Dismiss ${index + 1}`, callback_data: `sug:d:${suggestion.id}` }
+    ]);
+    return { text: text.trimEnd(), rows };
   }
 
-  async searchMessages(keyword, limit = 5) {
-    return await this.storage.searchMessages(keyword, limit);
+  // Appends suggestions to a reply; returns sendMessage options carrying the buttons
+  async withSuggestions(responseText, result, userId) {
+    const { text, rows } = this.formatSuggestions(result.suggestions, await this.getDisplayContext(userId));
+    return {
+      text: responseText + text,
+      replyMarkup: rows.length > 0 ? { inline_keyboard: rows } : null
+    };
   }
 
-  async getRecentMessages(hours = 24) {
-    return await this.storage.getRecentMessages(hours);
+  async searchMessages(query, options = {}) {
+    return await this.storage.searchMessages(query, options);
   }
 
-  async handleMemoryCommand(args) {
-    const parts = args.split(' ');
-    const action = parts[0];
-    const query = parts.slice(1).join(' ');
+  async getRecentMessages(hours = 24, limit = 10, project = null) {
+    return await this.storage.getRecentMessages(hours, limit, project);
+  }
 
-    switch (action) {
-      case 'search':
-        if (!query) {
-          return '❌ Usage: /memory search [query]\nExample: /memory search "telegram setup"';
+  formatSearchHeader(label, query, search) {
+    let text = '';
+    if (search.errors.length > 0) {
+      text += `⚠️ ${search.errors.join('\n⚠️ ')}\n\n`;
+    }
+    if (search.hint) {
+      return `${text}Nothing to search for in '${query}'\n\n💡 ${search.hint}`;
+    }
+    if (search.total === 0) {
+      return `${text}No ${label} found matching '${query}'`;
+    }
+    return `${text}🔍 **${search.total} ${label} matching '${query}':**\n\n`;
+  }
+
+  // `context.depth` indents subtasks under their parent; `progress` and `blockers` add detail lines
+  formatTaskEntry(task, context = {}) {
+    const priorityEmoji = task.priority === 'High' ? '🔴' : task.priority === 'Medium' ? '🟡' : '🟢';
+    const urgency = this.dueDates.urgency(task);
+    const statusEmoji = task.status === 'Completed' ? '✅' : (urgency === 'overdue' ? urgencyEmojis.overdue : '⏳');
+    const indent = '   '.repeat(context.depth || 0);
+    let entry = `${indent}${context.depth ? '↳ ' : ''}${statusEmoji} ${priorityEmoji} **${task.id}**: ${task.description}\n`;
+    if (task.dueAt) {
+      const timeZone = context.timeZone || task.timeZone || this.config.defaultTimeZone;
+      entry += `${indent}   ${urgencyEmojis[urgency] || '📅'} Due: ${this.dueDates.formatDue(task.dueAt, { ...context, timeZone })}\n`;
+    }
+    if (task.recurrence) {
+      entry += `${indent}   🔁 Repeats ${this.recurrence.describe(task.recurrence)}\n`;
+    }
+    if (task.assignee) {
+      entry += `${indent}   👤 ${task.assignee}\n`;
+    }
+    if (context.progress?.total > 0) {
+      entry += `${indent}   📊 ${context.progress.done}/${context.progress.total} done\n`;
+    }
+    if (context.blockers?.length > 0) {
+      entry += `${indent}   ⛔ Blocked by: ${context.blockers.map(blocker => blocker.id).join(', ')}\n`;
+    }
+    if (task.tags.length > 0) {
+      entry += `${indent}   🏷️ Tags: ${task.tags.join(', ')}\n`;
+    }
+    return entry + '\n';
+  }
+
+  // Orders tasks so each subtask follows its parent; returns [{ task, depth }]
+  buildTaskTree(tasks) {
+    const listed = new Set(tasks.map(task => task.id));
+    const subtasks = new Map();
+    const roots = [];
+    
+    for (const task of tasks) {
+      if (task.parentId && listed.has(task.parentId)) {
+        subtasks.set(task.parentId, [...(subtasks.get(task.parentId) || []), task]);
+      } else {
+        roots.push(task);
+      }
+    }
+    
+    const ordered = [];
+    const visit = (task, depth) => {
+      ordered.push({ task, depth });
+      (subtasks.get(task.id) || []).forEach(subtask => visit(subtask, depth + 1));
+    };
+    roots.forEach(task => visit(task, 0));
+    return ordered;
+  }
+
+  formatMessageEntry(msg, icon = '📅', maxLength = null, display = this.config.defaultTimeZone) {
+    const timestamp = this.dueDates.formatDateTime(msg.timestamp, display);
+    const text = maxLength && msg.text.length > maxLength ? `${msg.text.substring(0, maxLength)}...` : msg.text;
+    return `${icon} ${timestamp} | 📁 ${msg.sourceChat} | 🆔 ${msg.id}\n💬 ${text}\n\n`;
+  }
+
+  // Loads every entry for a paginated list; `value` is the view's argument (e.g. the search query)
+  // and `context` holds per-user display options such as the timezone
+  async loadListView(view, value, context = {}) {
+    switch (view) {
+      case 'tasks': {
+        // Snoozed tasks and tasks waiting on open blockers are not actionable yet;
+        // `/tasks blocked` lists the latter
+        const allTasks = await this.storage.getTasks();
+        const tasksById = new Map(allTasks.map(task => [task.id, task]));
+        const pending = (await this.listTasks('Pending', Infinity)).filter(task => this.storage.inProject(task, context.project));
+        const active = pending.filter(task => !this.storage.isSnoozed(task));
+        const blocked = active.filter(task => this.storage.isBlocked(task, tasksById));
+        const showBlocked = value === 'blocked';
+        const tasks = showBlocked ? blocked : active.filter(task => !blocked.includes(task));
+        
+        const snoozed = pending.length - active.length;
+        const plural = count => count === 1 ? '' : 's';
+        let header = tasks.length > 0 ?
+          (showBlocked ? `⛔ **Blocked Tasks${this.projectLabel(context)}:**\n\n` : `📋 **Pending Tasks${this.projectLabel(context)}:**\n\n`) :
+          (showBlocked ? 'No blocked tasks.\n\n' : `No pending tasks found${this.projectLabel(context)}.\n\n`);
+        if (!showBlocked && snoozed > 0) header += `💤 ${snoozed} snoozed task${plural(snoozed)} hidden\n\n`;
+        if (!showBlocked && blocked.length > 0) {
+          header += `⛔ ${blocked.length} blocked task${plural(blocked.length)} hidden - /tasks blocked\n\n`;
         }
-        return await this.claude.executeClaudeCommand(`memory search "${query}"`);
+        
+        const tree = this.buildTaskTree(tasks);
+        return {
+          header,
+          entries: tree.map(({ task, depth }) => this.formatTaskEntry(task, {
+            ...context,
+            depth,
+            progress: this.storage.subtaskProgress(task, allTasks),
+            blockers: showBlocked ? this.storage.openBlockers(task, tasksById) : []
+          })),
+          items: tree.map(({ task }) => task),
+          pageSize: 10
+        };
+      }
+      case 'recent': {
+        const messages = await this.getRecentMessages(24, Infinity, context.project);
+        return {
+          header: messages.length > 0 ?
+            `📬 **Recent Context (Last 24h)${this.projectLabel(context)}:**\n\n` :
+            `No recent messages found in the last 24 hours${this.projectLabel(context)}.`,
+          entries: messages.map(msg => this.formatMessageEntry(msg, '🕐', 100, context)),
+          pageSize: 10
+        };
+      }
+      case 'search': {
+        const search = await this.searchMessages(value, { pageSize: null });
+        return {
+          header: this.formatSearchHeader('messages', value, search),
+          entries: search.results.map(msg => this.formatMessageEntry(msg, '📅', null, context)),
+          pageSize: 5,
+          initialPage: search.requestedPage
+        };
+      }
+      case 'searchtasks': {
+        const search = await this.searchTasks(value, { pageSize: null });
+        return {
+          header: this.formatSearchHeader('tasks', value, search),
+          entries: search.results.map(task => this.formatTaskEntry(task, context)),
+          items: search.results,
+          pageSize: 5,
+          initialPage: search.requestedPage
+        };
+      }
+      default:
+        throw new Error(`Unknown list view: ${view}`);
+    }
+  }
+
+  projectLabel(context = {}) {
+    return context.project ? ` in 📁 ${context.project}` : '';
+  }
+
+  // One row of ✅ ⏰ ⬆️ 🗑 buttons per pending task on the page
+  buildTaskActionRows(tasks, view, page, ref) {
+    const actions = [['c', '✅'], ['s', '⏰'], ['p', '⬆️'], ['d', '🗑']];
+    return tasks
+      .filter(task => task.status === 'Pending')
+      .map(task => actions.map(([action, emoji]) => ({
+        text: `${emoji} ${task.id.replace(/^task_/, '')}`,
+        callback_data: this.paginator.encodeItemAction(action, task.id, view, page, ref)
+      })));
+  }
+
+  // Renders one page of a list with ◀️/▶️ buttons; returns { text, replyMarkup }
+  async renderListView(view, value = '', page = null, context = {}) {
+    const list = await this.loadListView(view, value, context);
+    const paged = this.paginator.paginate(list.entries, page || list.initialPage || 1, { pageSize: list.pageSize });
+    const pageItems = (list.items || []).slice(paged.offset, paged.offset + paged.entries.length);
+    
+    const ref = paged.pages > 1 || pageItems.length > 0 ? await this.paginator.storeRef(view, value) : '';
+    const footer = this.paginator.formatFooter(paged);
+    const itemRows = this.buildTaskActionRows(pageItems, view, paged.page, ref);
+    
+    return {
+      text: list.header + paged.entries.join('') + footer,
+      replyMarkup: this.paginator.buildKeyboard(view, ref, paged.page, paged.pages, itemRows)
+    };
+  }
+
+  async handleMemoryCommand(args, message, { values, subcommand }) {
+    switch (subcommand) {
+      case 'search':
+        return await this.claude.executeClaudeCommand(`memory search "${values.query}"`);
       
       case 'status':
         return await this.claude.executeClaudeCommand('memory status');
@@ -227,477 +688,1354 @@ class TelegramBot {
         const syncResult = await this.claude.syncWithLocalMemory();
         return `🔄 **Memory Sync**\n\n${syncResult.success ? 
           `✅ Synced ${syncResult.synced} operations` : 
-          `❌ Failed: ${syncResult.error}`}\n\n🕐 Timestamp: ${syncResult.timestamp || new Date().toLocaleString()}`;
+          `❌ Failed: ${syncResult.error}`}\n\n🕐 Timestamp: ${this.dueDates.formatDateTime(syncResult.timestamp || new Date(), await this.getDisplayContext(message.from?.id))}`;
       
       case 'summary':
         return await this.claude.executeClaudeCommand('memory summary --days 7');
       
       default:
-        return '🧠 **Memory Commands:**\n\n• `search [query]` - Search memory\n• `status` - System status\n• `sync` - Sync with master\n• `summary` - Recent activity';
+        return this.commands.overview('memory');
+    }
+  }
+
+  // Projects group tasks and saved messages; the active project is a per-user setting
+  async handleProjectCommand(args, message, { values, subcommand }) {
+    const projectName = values.name || '';
+    const userId = message.from?.id;
+    const active = await this.getActiveProject(userId);
+
+    switch (subcommand) {
+      case 'list': {
+        const [projects, stats] = await Promise.all([this.storage.getProjects(), this.storage.getProjectStats()]);
+        if (projects.length === 0) {
+          return '📁 No projects yet.\n\nCreate one with /project switch [name]';
+        }
+        
+        let text = '📁 **Projects:**\n\n';
+        for (const project of projects) {
+          const projectStats = stats[project.slug];
+          const messages = projectStats.totalMessages;
+          text += `${project.slug === active ? '👉' : '•'} **${project.name}** - ${projectStats.pendingTasks} pending, ${messages} message${messages === 1 ? '' : 's'}\n`;
+        }
+        return text + `\nActive: ${active || 'none (all projects)'}`;
+      }
+      
+      case 'status': {
+        const project = await this.storage.getProject(projectName || active || '');
+        if (!project) {
+          return projectName ?
+            `❌ Project ${projectName} not found\nSee /project list` :
+            this.commands.usage('project', 'status');
+        }
+        return this.formatProjectStats(project, await this.storage.getStats(project.slug), project.slug === active);
+      }
+      
+      case 'switch': {
+        const settings = await this.storage.getUserSettings(userId);
+        if (['none', 'all', 'off'].includes(projectName.toLowerCase())) {
+          const { activeProject, ...rest } = settings;
+          await this.storage.saveUserSettings(userId, rest);
+          return '📁 No active project\n/tasks, /recent and /export now include every project.';
+        }
+        
+        if (!this.storage.projectSlug(projectName)) {
+          return `❌ Invalid project name: ${projectName}`;
+        }
+        const existing = await this.storage.getProject(projectName);
+        const project = existing || await this.storage.createProject(projectName, this.actorFrom(message));
+        await this.storage.saveUserSettings(userId, { ...settings, activeProject: project.slug });
+        return `${existing ? '📁 Switched to' : '🆕 Created and switched to'} project **${project.name}**\n` +
+          'New tasks and saved messages are tagged with it; /tasks, /recent and /export show only this project.';
+      }
+      
+      case 'stats': {
+        const [projects, stats] = await Promise.all([this.storage.getProjects(), this.storage.getProjectStats()]);
+        if (projects.length === 0) {
+          return '📁 No projects yet.\n\nCreate one with /project switch [name]';
+        }
+        
+        const sections = projects.map(project => this.formatProjectStats(project, stats[project.slug], project.slug === active));
+        const unassigned = stats[''];
+        if (unassigned.totalTasks > 0 || unassigned.totalMessages > 0) {
+          sections.push(this.formatProjectStats({ name: 'No project' }, unassigned, false));
+        }
+        return `📊 **Project Statistics**\n\n${sections.join('\n\n')}`;
+      }
+      
+      default:
+        return this.commands.overview('project');
     }
   }
 
-  async handleProjectCommand(args) {
-    const parts = args.split(' ');
-    const action = parts[0];
-    const projectName = parts.slice(1).join(' ');
+  formatProjectStats(project, stats, isActive) {
+    let text = `📁 **${project.name}**${isActive ? ' (active)' : ''}\n`;
+    text += `📋 Tasks: ${stats.totalTasks} total, ${stats.pendingTasks} pending, ${stats.completedTasks} done (${stats.completionRate}%)\n`;
+    if (stats.overdueTasks > 0) text += `🚨 Overdue: ${stats.overdueTasks}\n`;
+    text += `💬 Messages: ${stats.totalMessages} (${stats.recentMessages} in the last 24h)`;
+    return text;
+  }
 
-    switch (action) {
-      case 'list':
-        return await this.claude.executeClaudeCommand('project list');
+  async handleTagRuleCommand(args, message, { subcommand }) {
+    const value = args.replace(/^\S+/, '').trim();
+    const userId = message.from?.id;
+    const rules = await this.tagRules.getRules(userId);
+    
+    switch (subcommand) {
+      case 'add': {
+        const { rule, error } = this.tagRules.parse(value);
+        if (error) {
+          return this.commands.usage('tagrule', 'add', error);
+        }
+        
+        const saved = { id: this.tagRules.nextId(rules), ...rule, createdAt: new Date().toISOString() };
+        await this.tagRules.saveRules(userId, [...rules, saved]);
+        return `✅ Rule ${saved.id} added: **${saved.tag}** ← ${this.tagRules.describe(saved)}\n\n` +
+          'New messages are tagged with it; /tagrule apply re-tags saved messages.';
+      }
       
-      case 'status':
-        if (!projectName) {
-          return '❌ Usage: /project status [name]\nExample: /project status plasma';
+      case 'list': {
+        if (rules.length === 0) {
+          return '🏷️ No tag rules - messages are only tagged by the command that saved them.\n\nAdd one with /tagrule add [tag]: [keywords]';
+        }
+        
+        let text = '🏷️ **Tag Rules:**\n\n';
+        text += rules.map(rule => `\`${rule.id}\` **${rule.tag}** ← ${this.tagRules.describe(rule)}`).join('\n');
+        if (this.tagRules.isDefault(rules)) {
+          text += '\n\nThese are the default rules; adding or removing one makes the list yours.';
+        }
+        return text;
+      }
+      
+      case 'remove': {
+        const target = value.toLowerCase().replace(/^#/, '');
+        const remaining = rules.filter(rule => rule.id !== target && rule.tag !== target);
+        if (remaining.length === rules.length) {
+          return `❌ No rule or tag named ${value}\nSee /tagrule list`;
         }
-        return await this.claude.executeClaudeCommand(`project status ${projectName}`);
+        await this.tagRules.saveRules(userId, remaining);
+        return `🗑️ Removed ${rules.length - remaining.length} rule${rules.length - remaining.length === 1 ? '' : 's'} (${target})`;
+      }
       
-      case 'switch':
-        if (!projectName) {
-          return '❌ Usage: /project switch [name]\nExample: /project switch plasma';
+      case 'test': {
+        // from:"Chat name" tests source-chat conditions
+        const from = value.match(/(?:^|\s)from:(?:"([^"]+)"|(\S+))/i);
+        const text = (from ? value.replace(from[0], ' ') : value).trim().replace(/^"([\s\S]*)"$/, '$1');
+        if (!text) {
+          return this.commands.usage('tagrule', 'test');
+        }
+        
+        const sourceChat = from ? (from[1] || from[2]) : '';
+        const matched = rules.filter(rule => this.tagRules.matches(rule, text, sourceChat));
+        if (matched.length === 0) {
+          return '🏷️ No rules match this text';
         }
-        return await this.claude.executeClaudeCommand(`project switch ${projectName}`);
+        return `🏷️ Tags: ${this.tagRules.apply(rules, text, sourceChat).join(', ')}\n\n` +
+          matched.map(rule => `✅ \`${rule.id}\` ${rule.tag} ← ${this.tagRules.describe(rule)}`).join('\n');
+      }
       
-      case 'stats':
-        return await this.claude.executeClaudeCommand('project stats');
+      case 'apply': {
+        // Rules only ever add tags to existing messages, never remove them
+        const messages = await this.storage.getMessages();
+        let updated = 0;
+        for (const saved of messages) {
+          const tags = [...new Set([...(saved.tags || []), ...this.tagRules.apply(rules, saved.text, saved.sourceChat)])];
+          if (tags.length !== (saved.tags || []).length) {
+            await this.storage.saveMessage({ ...saved, tags }, saved);
+            updated++;
+          }
+        }
+        return `🏷️ Re-tagged ${updated} of ${messages.length} saved messages`;
+      }
       
       default:
-        return '📁 **Project Commands:**\n\n• `list` - List all projects\n• `status [name]` - Project status\n• `switch [name]` - Switch project\n• `stats` - Project statistics';
+        return this.commands.overview('tagrule');
     }
   }
 
-  async handleCommand(message) {
-    const chatId = message.chat.id;
-    const messageId = message.message_id;
-    const text = message.text.trim();
-    const username = message.from?.username || '';
+  // The digest goes to the authorized chat on the monitor cron; settings are shared by everyone
+  async handleDigestCommand(args, message, { values, subcommand }) {
+    const { setting = '', value = '' } = values;
+    const sectionNames = Object.keys(DIGEST_SECTIONS);
+    const usage = `${this.commands.overview('digest')}\n\nTime is read in your timezone. Sections: ${sectionNames.join(', ')}`;
+    
+    if (subcommand === 'preview') {
+      return await this.digest.build(await this.digest.getSettings());
+    }
+    if (subcommand !== 'settings') {
+      return usage;
+    }
+    
+    let settings = await this.digest.getSettings();
+    let notice = '';
+    
+    switch (setting.toLowerCase()) {
+      case '':
+        break;
+        
+      case 'time': {
+        const time = this.dueDates.parseTime(value);
+        if (!time) {
+          return '❌ Usage: /digest settings time [HH:MM]\nExample: /digest settings time 08:30';
+        }
+        settings = await this.setDigestTime(time, message.from?.id);
+        notice = `✅ Digest time set to ${settings.time}`;
+        break;
+      }
+      
+      case 'daily':
+        settings = await this.digest.updateSettings({ frequency: 'daily' });
+        notice = '✅ Digest is now daily';
+        break;
+        
+      case 'weekly': {
+        const day = value ? this.digest.parseDay(value) : settings.day;
+        if (!day) {
+          return `❌ Unknown day: ${value}\nExample: /digest settings weekly monday`;
+        }
+        settings = await this.digest.updateSettings({ frequency: 'weekly', day });
+        notice = '✅ Digest is now weekly';
+        break;
+      }
+      
+      case 'on':
+      case 'off':
+        settings = await this.digest.updateSettings({ enabled: setting.toLowerCase() === 'on' });
+        notice = settings.enabled ? '✅ Digest enabled' : '⏸️ Digest paused';
+        break;
+        
+      case 'show':
+      case 'hide': {
+        const requested = value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        const keys = requested.includes('all') ? sectionNames : requested;
+        const unknown = keys.filter(key => !sectionNames.includes(key));
+        if (keys.length === 0 || unknown.length > 0) {
+          return `❌ ${unknown.length > 0 ? `Unknown section: ${unknown.join(', ')}` : `Usage: /digest settings ${setting} [section]`}\nSections: ${sectionNames.join(', ')}`;
+        }
+        
+        const show = setting.toLowerCase() === 'show';
+        const sections = sectionNames.filter(key => keys.includes(key) ? show : settings.sections.includes(key));
+        settings = await this.digest.updateSettings({ sections });
+        notice = `✅ ${show ? 'Showing' : 'Hiding'} ${keys.join(', ')}`;
+        break;
+      }
+      
+      default:
+        return usage;
+    }
+    
+    let text = notice ? `${notice}\n\n` : '';
+    text += `📰 **Digest Settings**\n\n`;
+    text += `${settings.enabled ? '✅ Enabled' : '⏸️ Paused'} - ${this.digest.describeSchedule(settings)}\n`;
+    if (settings.lastSentAt) {
+      text += `🕐 Last sent: ${this.dueDates.formatDateTime(settings.lastSentAt, await this.getDisplayContext(message.from?.id))}\n`;
+    }
+    text += `\n**Sections:**\n`;
+    text += sectionNames.map(key => `${settings.sections.includes(key) ? '✅' : '▫️'} \`${key}\` ${DIGEST_SECTIONS[key]}`).join('\n');
+    text += '\n\nSent by the first sweep at or after the delivery time: the daily 9 AM UTC cron, or sooner if a scheduler calls ?action=sweep. /digest preview shows it now.';
+    return text;
+  }
+
+  // The delivery time is read in the timezone of whoever sets it
+  async setDigestTime(time, userId, changes = {}) {
+    return await this.digest.updateSettings({
+      ...changes,
+      time: this.userSettings.formatTime(time),
+      timeZone: await this.getUserTimeZone(userId)
+    });
+  }
+
+  // Applies one /settings value; returns { notice } or { error }
+  async applySetting(userId, key, value) {
+    if (key === 'digest') {
+      if (/^off$/i.test(value.trim())) {
+        await this.digest.updateSettings({ enabled: false });
+        return { notice: '⏸️ Digest paused' };
+      }
+      const time = this.dueDates.parseTime(value);
+      if (!time) {
+        return { error: 'Expected a time like 08:30, or off' };
+      }
+      const digest = await this.setDigestTime(time, userId, { enabled: true });
+      return { notice: `✅ Digest time set to ${digest.time}` };
+    }
+    
+    const { changes, error } = this.userSettings.parse(key, value);
+    if (error) return { error };
+    const settings = await this.userSettings.update(userId, changes);
+    return { notice: `✅ ${SETTING_LABELS[key]}: ${this.describeSetting(key, settings)}` };
+  }
+
+  describeSetting(key, settings, digestSettings = null) {
+    switch (key) {
+      case 'timezone': return settings.timezone;
+      case 'format': return this.dueDates.formatDateTime(new Date(), this.userSettings.display(settings));
+      case 'language': return LANGUAGES[settings.language];
+      case 'digest': return digestSettings.enabled ? this.digest.describeSchedule(digestSettings) : 'off';
+      case 'quiet': return this.userSettings.describeQuietHours(settings);
+      case 'priority': return settings.defaultPriority;
+      default: return '';
+    }
+  }
+
+  // The digest row changes the team's digest, not a preference, so only those who can use
+  // /digest get it; everyone else's menu leaves it out
+  async settingKeysFor(user, chat) {
+    const access = await this.authorize({ from: user, chat }, 'digest', this.commands.get('digest').role);
+    return Object.keys(SETTING_LABELS).filter(key => key !== 'digest' || access.allowed);
+  }
+
+  // Main /settings menu: current values plus one button per setting in `keys`
+  async renderSettingsMenu(userId, keys, notice = '') {
+    const [settings, digestSettings] = await Promise.all([this.userSettings.get(userId), this.digest.getSettings()]);
     
-    // Parse command and arguments
-    const parts = text.slice(1).split(' ');
-    const command = parts[0].toLowerCase();
-    const args = parts.slice(1).join(' ');
+    let text = notice ? `${notice}\n\n` : '';
+    text += '⚙️ **Settings**\n\n';
+    text += keys.map(key => `${SETTING_LABELS[key]}: ${this.describeSetting(key, settings, digestSettings)}`).join('\n');
+    text += '\n\nTap a setting to change it, or send /settings [setting] [value]\nExample: /settings quiet 22:00-07:00';
     
-    // Check authorization
-    const isBasic = this.isBasicCommand(text);
-    const isAuthorized = this.isAuthorized(message);
+    const buttons = keys.map(key => ({ text: SETTING_LABELS[key], callback_data: `set:o:${key}` }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+    return { text, replyMarkup: { inline_keyboard: rows } };
+  }
+
+  // Choices for one setting; typed values cover anything not offered as a button
+  async renderSettingOptions(userId, key) {
+    const [settings, digestSettings] = await Promise.all([this.userSettings.get(userId), this.digest.getSettings()]);
+    const now = new Date();
+    const options = {
+      timezone: COMMON_TIME_ZONES.map(zone => [zone, zone, zone === settings.timezone]),
+      format: Object.keys(DATE_FORMATS).map(format => [
+        this.dueDates.formatDateTime(now, { ...this.userSettings.display(settings), dateFormat: format }), format, format === settings.dateFormat
+      ]),
+      language: Object.entries(LANGUAGES).map(([code, name]) => [name, code, code === settings.language]),
+      digest: ['07:00', '08:00', '09:00', '12:00', '18:00', 'off'].map(time => [
+        time, time, digestSettings.enabled ? time === digestSettings.time : time === 'off'
+      ]),
+      quiet: ['off', '21:00-06:00', '22:00-07:00', '23:00-08:00'].map(range => [
+        range, range, range === this.userSettings.describeQuietHours(settings)
+      ]),
+      priority: PRIORITIES.map(priority => [priority, priority.toLowerCase(), priority === settings.defaultPriority])
+    }[key];
+    const examples = {
+      timezone: 'Asia/Kolkata', format: 'iso', language: 'de', digest: '08:30', quiet: '22:30-06:30', priority: 'high'
+    };
+    
+    let text = `${SETTING_LABELS[key]}: ${this.describeSetting(key, settings, digestSettings)}\n\n`;
+    text += `Pick one below, or send /settings ${key} [value]\nExample: /settings ${key} ${examples[key]}`;
+    if (key === 'digest') text += `\n\nThe digest is sent to the main chat; the time is read in your timezone (${settings.timezone}).`;
+    if (key === 'quiet') text += '\n\nDeadline reminders arrive silently during quiet hours.';
+    if (key === 'language') text += '\n\nUsed for weekday and month names in dates.';
+    
+    const buttons = options.map(([label, value, selected]) => ({
+      text: `${selected ? '✅ ' : ''}${label}`,
+      callback_data: `set:v:${key}:${value}`
+    }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 3) rows.push(buttons.slice(i, i + 3));
+    rows.push([{ text: '⬅️ Back', callback_data: 'set:menu' }]);
+    return { text, replyMarkup: { inline_keyboard: rows } };
+  }
+
+  async handleSettingsCommand(args, message) {
+    const [key = '', ...rest] = args.trim().split(/\s+/);
+    const value = rest.join(' ').trim();
+    const userId = message.from?.id;
+    const keys = await this.settingKeysFor(message.from, message.chat);
+    
+    if (!key) {
+      return await this.renderSettingsMenu(userId, keys);
+    }
+    if (!keys.includes(key.toLowerCase())) {
+      return SETTING_LABELS[key.toLowerCase()] ?
+        `🔒 The digest time is shared by the whole team, so changing it needs the ${this.commands.get('digest').role} role` :
+        `❌ Unknown setting: ${key}\nSettings: ${keys.join(', ')}\nExample: /settings format iso`;
+    }
+    if (!value) {
+      return await this.renderSettingOptions(userId, key.toLowerCase());
+    }
+    
+    const { notice, error } = await this.applySetting(userId, key.toLowerCase(), value);
+    return error ? `❌ ${error}\nSee /settings ${key.toLowerCase()} for the options` : await this.renderSettingsMenu(userId, keys, notice);
+  }
+
+  // "/grant @alice member", "/grant 123456789 viewer", or "/grant member" in reply to the user's message
+  async findCommandTarget(reference, message) {
+    const replied = message.reply_to_message?.from;
+    if (!reference && replied) {
+      return replied.is_bot ? { error: "Bots can't be given roles" } : { target: await this.access.remember(replied) };
+    }
+    if (!reference) return {};
+    
+    const target = await this.access.findUser(reference);
+    return target ? { target } :
+      { error: `I don't know ${reference} yet - they need to message the bot first (/start works), or use their numeric user ID` };
+  }
+
+  async handleGrantCommand(args, message, { values }) {
+    const { target, error } = await this.findCommandTarget(values.user, message);
+    if (error) return `❌ ${error}`;
+    
+    const result = await this.access.grant(message.from, target, values.role);
+    if (result.error) return `❌ ${result.error}`;
+    
+    await this.updateCommandMenu({ id: target.id, type: 'private' });
+    const previous = result.previous ? ` (was ${result.previous.role})` : '';
+    return `✅ ${this.access.describeUser(target)} is now ${ROLE_EMOJIS[result.record.role]} ${result.record.role}${previous}`;
+  }
+
+  async handleRevokeCommand(args, message, { values }) {
+    const { target, error } = await this.findCommandTarget(values.user, message);
+    if (error) return `❌ ${error}`;
+    
+    const result = await this.access.revoke(message.from, target);
+    if (result.error) return `❌ ${result.error}`;
+    
+    await this.updateCommandMenu({ id: target.id, type: 'private' });
+    return `✅ Removed ${this.access.describeUser(target)}'s ${result.previous.role} role - they can only use public commands now`;
+  }
+
+  async renderUsers(userId) {
+    const users = await this.access.listUsers();
+    if (users.length === 0) {
+      return '👥 No roles granted yet\n\nGive someone access with /grant @user [role]';
+    }
+    
+    const display = await this.getDisplayContext(userId);
+    const lines = users.map(user => {
+      let line = `${ROLE_EMOJIS[user.role]} ${this.access.describeUser(user.profile)} - ${user.role}`;
+      if (user.source === 'config') {
+        line += ' (OWNER_USER_IDS)';
+      } else if (user.grantedBy) {
+        const via = user.via ? ` via ${user.via}` : '';
+        line += `, granted by ${this.access.describeUser(user.grantedBy)}${via} on ${this.dueDates.formatDateTime(user.grantedAt, display)}`;
+      }
+      return line;
+    });
+    return `👥 **Team** (${users.length})\n\n${lines.join('\n')}\n\nChange roles with /grant @user [role] or /revoke @user`;
+  }
+
+  formatChatPolicy(policy, chat) {
+    const name = chat.title ? `${chat.title} (\`${chat.id}\`)` : `\`${chat.id}\``;
+    const overrides = Object.entries(policy.commands)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([command, requirement]) => `• ${command.startsWith('button:') || command === 'message' ? command : `/${command}`} - ${requirement === 'off' ? '🚫 off' : `${ROLE_EMOJIS[requirement]} ${requirement}`}`);
+    
+    let text = `🛡️ **Chat Policy**${policy.custom ? '' : ' (default)'}\n\nChat: ${name}\n`;
+    text += policy.maxRole ?
+      `Max role: ${ROLE_EMOJIS[policy.maxRole]} ${policy.maxRole} - nobody acts above it here\n` :
+      'Max role: none - everyone acts with their own role\n';
+    text += `\n**Command overrides:**\n${overrides.length > 0 ? overrides.join('\n') : 'None - commands need their usual role'}`;
+    text += '\n\nChange it with /chatpolicy max [role|none], allow [command] [role], deny [command] or reset [command]';
+    return text;
+  }
+
+  async handleChatPolicyCommand(args, message, { values, subcommand }) {
+    const { chat } = message;
+    
+    if (subcommand === 'list') {
+      const policies = await this.storage.getChatPolicies();
+      if (policies.length === 0) {
+        return '🛡️ No chat policies yet - groups use the defaults\n\nRun /chatpolicy in a group to see or change its policy';
+      }
+      const lines = policies.map(policy => `• ${policy.title ? `${policy.title} ` : ''}\`${policy.chatId}\` - max ${policy.maxRole || 'none'}, ${Object.keys(policy.commands).length} override${Object.keys(policy.commands).length === 1 ? '' : 's'}`);
+      return `🛡️ **Chat Policies** (${policies.length})\n\n${lines.join('\n')}`;
+    }
+    if (chat.type === 'private') {
+      return 'ℹ️ Private chats have no policy - everyone acts with their own role.\n\nRun /chatpolicy in a group to limit what roles can do there, or /chatpolicy list to see all group policies.';
+    }
+    
+    const policy = await this.access.getChatPolicy(chat);
+    const commands = { ...policy.commands };
+    
+    // Overrides are keyed by the command's registry name, so aliases apply too
+    const name = values.command?.replace(/^\//, '').toLowerCase();
+    const command = this.commands.get(name)?.name || name;
+    if (command && !this.commands.get(command) && command !== 'message' && !command.startsWith('button:')) {
+      return `❌ Unknown command: /${command}\nType /help for available commands`;
+    }
+    
+    let updated;
+    switch (subcommand) {
+      case null:
+      case 'show':
+        return this.formatChatPolicy(policy, chat);
+        
+      case 'max':
+        updated = await this.access.saveChatPolicy(chat,
+          { maxRole: values.role === 'none' ? null : values.role, commands }, message.from);
+        break;
+        
+      case 'allow':
+        commands[command] = values.role;
+        updated = await this.access.saveChatPolicy(chat, { maxRole: policy.maxRole, commands }, message.from);
+        break;
+        
+      case 'deny':
+        commands[command] = 'off';
+        updated = await this.access.saveChatPolicy(chat, { maxRole: policy.maxRole, commands }, message.from);
+        break;
+        
+      case 'reset':
+        if (!command) {
+          updated = await this.access.resetChatPolicy(chat);
+          break;
+        }
+        delete commands[command];
+        updated = await this.access.saveChatPolicy(chat, { maxRole: policy.maxRole, commands }, message.from);
+        break;
+        
+      default:
+        return this.commands.usage('chatpolicy');
+    }
+    
+    await this.updateCommandMenu(chat, updated);
+    return this.formatChatPolicy(updated, chat);
+  }
+
+  // Telegram's command menu for one chat: a private chat lists what the user's role allows,
+  // a group what its policy allows. Failures only leave the menu out of date.
+  async updateCommandMenu(chat, policy = null) {
+    try {
+      const scope = { type: 'chat', chat_id: chat.id };
+      if (chatScope(chat) === 'group') {
+        const limits = policy || await this.access.getChatPolicy(chat);
+        const commands = this.commands.allowedFor(this.access, limits.maxRole || 'owner', { chatType: 'group', policy: limits });
+        return await this.callTelegramApi('setMyCommands', { scope, commands: this.commands.menu(commands) });
+      }
+      
+      // Users without a role fall back to the default (public) menu
+      const { role } = await this.access.resolve({ id: chat.id });
+      return role ?
+        await this.callTelegramApi('setMyCommands', { scope, commands: this.commands.menu(this.commands.allowedFor(this.access, role)) }) :
+        await this.callTelegramApi('deleteMyCommands', { scope });
+    } catch (error) {
+      console.error('Failed to update command menu:', error);
+      return null;
+    }
+  }
+
+  // Cached after the first getMe call; null if it can't be looked up
+  async getBotUsername() {
+    if (this.botUsername === undefined) {
+      try {
+        const me = await this.callTelegramApi('getMe', {});
+        this.botUsername = me.result?.username || null;
+      } catch (error) {
+        console.error('Failed to look up bot username:', error);
+        return null;
+      }
+    }
+    return this.botUsername;
+  }
+
+  formatInvite(invite, display) {
+    const expires = invite.expiresAt ? `expires ${this.dueDates.formatDateTime(invite.expiresAt, display)}` : 'never expires';
+    return `🎟️ \`${invite.code}\` - ${ROLE_EMOJIS[invite.role]} ${invite.role}, ${invite.uses}/${invite.maxUses} used, ${expires}, by ${this.access.describeUser(invite.createdBy)}`;
+  }
+
+  async handleInviteCommand(args, message, { values, subcommand }) {
+    const display = await this.getDisplayContext(message.from?.id);
+    
+    if (subcommand === 'list') {
+      const invites = await this.onboarding.listInvites();
+      if (invites.length === 0) {
+        return '🎟️ No active invites\n\nCreate one with /invite [role] [uses:N] [expires:7d]';
+      }
+      return `🎟️ **Active Invites** (${invites.length})\n\n${invites.map(invite => this.formatInvite(invite, display)).join('\n')}\n\nCancel one with /invite revoke [code]`;
+    }
+    
+    if (subcommand === 'revoke') {
+      const { error } = await this.onboarding.revokeInvite(values.code);
+      return error ? `❌ ${error}` : `✅ Invite \`${values.code}\` revoked - the link no longer works`;
+    }
+    
+    const options = this.onboarding.parseInviteArgs(args, { timeZone: display.timeZone });
+    if (options.error) {
+      return this.commands.usage('invite', null, options.error);
+    }
+    
+    const { invite, error } = await this.onboarding.createInvite(message.from, options);
+    if (error) return `❌ ${error}`;
+    
+    const botUsername = await this.getBotUsername();
+    const link = botUsername ?
+      `[Open invite link](https://t.me/${botUsername}?start=${invite.code})` :
+      `Send the bot: /start ${invite.code}`;
+    return `🎟️ **Invite Created**\n\n${link}\nCode: \`${invite.code}\`\n\n${this.formatInvite({ ...invite, uses: 0 }, display)}\n\nWhoever opens the link and presses Start gets the role. \`/invite revoke ${invite.code}\` cancels it.`;
+  }
+
+  async redeemInvite(code, message) {
+    const { invite, record, error, role } = await this.onboarding.redeemInvite(message.from, code);
+    if (error) {
+      return role ?
+        `✅ ${error} - type /help to see your commands` :
+        `❌ ${error}\n\nAsk whoever sent it for a new link, or send /request to ask the owner for access.`;
+    }
+    
+    await this.updateCommandMenu({ id: message.from.id, type: 'private' });
+    const profile = { id: message.from.id, username: message.from.username, name: message.from.first_name };
+    try {
+      await this.sendMessage(invite.createdBy.id,
+        `🎟️ ${this.access.describeUser(profile)} joined as ${ROLE_EMOJIS[record.role]} ${record.role} with invite \`${invite.code}\``);
+    } catch (notifyError) {
+      console.error('Failed to notify invite creator:', notifyError);
+    }
+    return `🎉 **Welcome to the team!**\n\nYou joined as ${ROLE_EMOJIS[record.role]} ${record.role}. Type /help to see what you can do.`;
+  }
+
+  // Sent to every owner's private chat, or the main chat if none of them can be reached
+  async notifyAccessRequest(request) {
+    const who = this.access.describeUser({ id: request.userId, username: request.username, name: request.name });
+    const text = `🙋 **Access Request**\n\n${who} wants to use the bot.\nUser ID: \`${request.userId}\`${request.note ? `\nNote: ${request.note}` : ''}\n\nApprove with a role or deny:`;
+    const replyMarkup = {
+      inline_keyboard: [
+        [
+          { text: '👤 Approve as member', callback_data: `acc:ok:${request.userId}:member` },
+          { text: '👀 Approve as viewer', callback_data: `acc:ok:${request.userId}:viewer` }
+        ],
+        [{ text: '✖️ Deny', callback_data: `acc:no:${request.userId}` }]
+      ]
+    };
+    
+    let delivered = 0;
+    for (const ownerId of await this.access.getOwnerIds()) {
+      try {
+        await this.sendMessage(ownerId, text, { reply_markup: replyMarkup });
+        delivered++;
+      } catch (error) {
+        console.error(`Failed to notify owner ${ownerId} of access request:`, error);
+      }
+    }
+    if (delivered === 0 && this.config.telegram.chatId) {
+      try {
+        await this.sendMessage(this.config.telegram.chatId, text, { reply_markup: replyMarkup });
+        delivered++;
+      } catch (error) {
+        console.error('Failed to send access request to the main chat:', error);
+      }
+    }
+    return delivered > 0;
+  }
+
+  async handleRequestCommand(args, message) {
+    const { request, error, role } = await this.onboarding.requestAccess(message.from, message.chat, args);
+    if (error) {
+      return role ? `✅ ${error} - type /help to see your commands` : `❌ ${error}`;
+    }
+    
+    if (!await this.notifyAccessRequest(request)) {
+      await this.storage.saveAccessRequest({ ...request, status: 'undelivered' });
+      return "❌ Couldn't reach the owner right now - please try /request again later";
+    }
+    return "📨 **Access request sent**\n\nThe owner has been asked to approve it - you'll get a message here when they answer.";
+  }
+
+  // What wizard steps need from the bot: the user's timezone for times, and the group topics
+  // (only looked up by the steps that offer them)
+  async conversationContext(userId) {
+    const groupManager = () => this.groupManager;
+    return {
+      timeZone: await this.getUserTimeZone(userId),
+      get topics() { return groupManager().claudeTopics; }
+    };
+  }
+
+  // Starts a wizard from lib/conversations.js and returns its first question
+  async startConversation(name, message) {
+    const conversation = await this.conversations.start(name, message.chat, message.from);
+    const context = await this.conversationContext(message.from?.id);
+    return this.conversations.prompt(conversation, context, { group: chatScope(message.chat) === 'group' });
+  }
+
+  // Applies one answer (null skips the question) and returns the next question, the same
+  // question with the error, or the command's result once the last question is answered.
+  // Every answer is checked against the role the wizard's command needs.
+  async continueConversation(conversation, answer, message) {
+    const wizard = this.conversations.wizardFor(conversation);
+    const entry = this.commands.get(wizard.command);
+    const access = await this.authorize(message, entry.name, entry.role);
+    if (!access.allowed) {
+      await this.conversations.cancel(message.chat, message.from);
+      return { text: this.formatDenial(access, entry.name, message) };
+    }
+    
+    const context = await this.conversationContext(message.from?.id);
+    const group = chatScope(message.chat) === 'group';
+    const result = await this.conversations.answer(conversation, answer, context);
+    if (result.error) {
+      return this.conversations.prompt(conversation, context, { notice: `❌ ${result.error}`, group });
+    }
+    if (!result.done) {
+      return this.conversations.prompt(result.conversation, context, { group });
+    }
+    
+    try {
+      const response = await this[wizard.handler](result.conversation.answers, message);
+      return typeof response === 'string' ? { text: response } : response;
+    } catch (error) {
+      console.error(`Conversation ${conversation.wizard} failed:`, error);
+      return { text: this.formatIntegrationError(`/${entry.name}`, error) };
+    }
+  }
+
+  async handleConversationMessage(conversation, message) {
+    const response = await this.continueConversation(conversation, message.text, message);
+    return await this.sendMessage(message.chat.id, response.text, {
+      reply_to_message_id: message.message_id,
+      ...(response.replyMarkup ? { reply_markup: response.replyMarkup } : {})
+    });
+  }
+
+  // Conversation buttons: cv:<step>:<index> answers with a choice, cv:<step>:skip skips, cv:cancel.
+  // Questions are replies to the person answering them, so nobody else can press their buttons.
+  async handleConversationCallback(callbackQuery) {
+    const { chat, message_id: messageId, reply_to_message: askedMessage } = callbackQuery.message;
+    const message = { from: callbackQuery.from, chat };
+    const parsed = this.conversations.parseCallbackData(callbackQuery.data);
+    if (!parsed) {
+      return await this.answerCallbackQuery(callbackQuery.id, '❌ Unknown action');
+    }
+    if (askedMessage?.from && String(askedMessage.from.id) !== String(callbackQuery.from?.id)) {
+      return await this.answerCallbackQuery(callbackQuery.id, '❌ These questions are for someone else');
+    }
+    
+    const conversation = await this.conversations.get(chat, callbackQuery.from);
+    if (!conversation) {
+      await this.callTelegramApi('editMessageReplyMarkup', {
+        chat_id: chat.id,
+        message_id: messageId,
+        reply_markup: { inline_keyboard: [] }
+      });
+      return await this.answerCallbackQuery(callbackQuery.id, 'This conversation has ended - send the command again to start over', true);
+    }
+    if (parsed.choice === 'cancel') {
+      await this.conversations.cancel(chat, callbackQuery.from);
+      await this.editMessageText(chat.id, messageId, `✖️ /${this.conversations.wizardFor(conversation).command} cancelled`);
+      return await this.answerCallbackQuery(callbackQuery.id, 'Cancelled');
+    }
+    if (parsed.step !== conversation.step) {
+      return await this.answerCallbackQuery(callbackQuery.id, 'That question was already answered');
+    }
+    
+    let answer = null;
+    if (parsed.choice !== 'skip') {
+      const context = await this.conversationContext(callbackQuery.from?.id);
+      const step = this.conversations.currentStep(conversation);
+      const choice = this.conversations.choices(step, context, conversation.answers)[parsed.choice];
+      if (!choice) {
+        return await this.answerCallbackQuery(callbackQuery.id, '❌ Unknown choice');
+      }
+      answer = choice.value;
+    }
+    
+    const response = await this.continueConversation(conversation, answer, message);
+    await this.editMessageText(chat.id, messageId, response.text, {
+      reply_markup: response.replyMarkup || { inline_keyboard: [] }
+    });
+    return await this.answerCallbackQuery(callbackQuery.id, '');
+  }
+
+  // Commands are looked up in the registry (lib/commands.js), checked against the chat scope,
+  // the sender's role and the argument schema, then run by their handler method
+  async handleCommand(message) {
+    const chatId = message.chat.id;
+    const messageId = message.message_id;
+    const reply = text => this.sendMessage(chatId, text, { reply_to_message_id: messageId });
+    
+    const { name, args } = this.commands.parse(message.text) || { name: '', args: '' };
+    const entry = this.commands.get(name);
+    
+    if (!entry) {
+      return await reply(`❌ Unknown command: /${name}\n\nType /help for available commands`);
+    }
+    if (!this.commands.availableIn(entry, message.chat)) {
+      return await reply(this.commands.scopeMessage(entry));
+    }
+    
+    // Check the sender's role against the command's required role
+    const access = await this.authorize(message, entry.name, entry.role);
+    
+    if (!access.allowed) {
+      return await reply(this.formatDenial(access, entry.name, message));
+    }
+    
+    let response;
+    
+    try {
+      // Commands return plain text, or { text, replyMarkup } for interactive responses.
+      // Commands with a wizard ask for their arguments one by one when they're sent without any.
+      const wizard = this.commands.wizardFor(entry, args);
+      const { values, subcommand, error } = this.commands.validate(entry, args, message);
+      response = wizard ? await this.startConversation(wizard, message) :
+        error !== undefined ? this.commands.usage(entry.name, subcommand, error) :
+        await this.commands.run(entry, args, message, { access, values, subcommand });
+    } catch (error) {
+      console.error(`Command /${entry.name} failed:`, error);
+      response = this.formatIntegrationError(`/${entry.name}`, error);
+    }
+    
+    const { text: responseText, replyMarkup } = typeof response === 'string' ? { text: response } : response;
+    return await this.sendMessage(chatId, responseText, {
+      reply_to_message_id: messageId,
+      ...(replyMarkup ? { reply_markup: replyMarkup } : {})
+    });
+  }
+
+  async handleStartCommand(args, message) {
+    // Invite deep links arrive as "/start inv_..."
+    if (this.onboarding.isInviteCode(args)) {
+      return await this.redeemInvite(args, message);
+    }
+    return `🤖 **Welcome to Jinbot Cloud!**
+
+I'm your personal assistant bot running 24/7 on Vercel with advanced features:
+
+**Quick Commands:**
+/help - Show all commands
+/plasmabrand - Get Plasma brand resources
+
+**For team members:**
+Task management, monitoring, and AI tools depending on your role.
+New here? Open the invite link you were sent, or /request access.
+
+Type /help for the complete command list!`;
+  }
+
+  // Only lists what the sender can run in this chat
+  async handleHelpCommand(args, message, { access }) {
+    const chatType = chatScope(message.chat);
+    
+    if (!access.role) {
+      const commands = this.commands.allowedFor(this.access, null, { chatType });
+      return `🤖 **Jinbot Cloud Commands** (Public)
+
+${this.commands.helpText(commands)}
+
+**🔒 Advanced Features:**
+Task management, monitoring, and AI tools are available to team members.
+
+Send /request to ask the owner for access, or open an invite link. Your user ID: \`${message.from?.id}\``;
+    }
+    
+    const policy = chatType === 'private' ? null : await this.access.getChatPolicy(message.chat);
+    const commands = this.commands.allowedFor(this.access, access.role, { chatType, policy });
+    const hidden = this.commands.list().length - commands.length;
+    return `🤖 **Jinbot Cloud Commands**
+
+${this.commands.helpText(commands)}
+
+Your role: ${ROLE_EMOJIS[access.role]} ${access.role}${access.chatRole !== access.role ? ` (${access.chatRole} in this chat)` : ''}${hidden > 0 ? ` - ${hidden} more command${hidden === 1 ? ' needs' : 's need'} a higher role or another chat` : ''}`;
+  }
+
+  async handlePlasmaBrandCommand() {
+    return '🔗 Plasma Brand Resources: https://plasma.to/brand';
+  }
+
+  async handleStatusCommand(args, message, { access }) {
+    const health = this.getIntegrationHealth();
+    let dataLines;
+    try {
+      const stats = await this.storage.getStats();
+      dataLines = `📊 Tasks: ${stats.totalTasks} total (${stats.pendingTasks} pending, ${stats.completionRate}% done)\n🔁 Recurring: ${stats.recurringSeries} series\n💬 Messages: ${stats.totalMessages} stored\n💾 Storage: ${stats.storageType}`;
+    } catch (error) {
+      dataLines = `📊 Data: unavailable (${error.cause?.message || error.message})`;
+    }
+    
+    return `🤖 **Jinbot Cloud Status**
+
+✅ Bot running on Vercel serverless
+🔒 Security: Role-based (you are ${ROLE_EMOJIS[access.role]} ${access.role})
+${dataLines}
+☁️ Platform: Vercel serverless functions
+📡 Monitoring: Active with daily checks
+
+🔌 **Integrations:**
+${health.map(item => `${item.available ? '✅' : '❌'} ${item.label}${item.available ? '' : ` - ${item.error}`}`).join('\n')}
+
+🌐 Dashboard: https://telegram-monitor.vercel.app`;
+  }
+
+  async handlePingCommand(args, message) {
+    const display = await this.getDisplayContext(message.from?.id);
+    return `🏓 **Pong!**\n\n🕐 Server time: ${this.dueDates.formatDateTime(new Date(), display)}\n🌐 Region: ${process.env.VERCEL_REGION || 'Unknown'}`;
+  }
+
+  async handleCancelCommand(args, message) {
+    const conversation = await this.conversations.cancel(message.chat, message.from);
+    if (!conversation) {
+      return 'ℹ️ Nothing to cancel';
+    }
+    return `✖️ /${this.conversations.wizardFor(conversation).command} cancelled`;
+  }
+
+  async handleAddTaskCommand(args, message, { values, subcommand }) {
+    // "/addtask sub task_010 Write tests" adds a subtask under task_010
+    const parent = subcommand === 'sub' ? await this.storage.getTask(values.task_id) : null;
+    const taskText = values.description;
+    
+    if (subcommand === 'sub' && !parent) {
+      return `❌ Parent task ${values.task_id} not found`;
+    }
+    
+    const settings = await this.userSettings.get(message.from?.id);
+    const timeZone = settings.timezone;
+    const repeat = this.recurrence.parse(taskText);
+    const deadline = repeat.error ? repeat : this.dueDates.parse(repeat.description, { timeZone });
+    
+    if (deadline.error) {
+      return `❌ ${deadline.error}\nExamples: due:2026-11-01, due:friday, due:tomorrow@5pm, every Monday, monthly on the 1st`;
+    }
+    
+    const createdBy = { id: message.from?.id, username: message.from?.username };
+    const details = { createdBy };
+    if (parent) details.parentId = parent.id;
+    
+    // Subtasks stay in their parent's project; other tasks join the active project
+    const project = parent ? parent.project : await this.getActiveProject(message.from?.id);
+    if (project) details.project = project;
+    let dueAt = deadline.dueAt;
+    
+    // Recurring tasks start at their first occurrence unless a deadline was given
+    if (repeat.rule) {
+      dueAt = dueAt || this.recurrence.nextOccurrence(repeat.rule, new Date(), timeZone);
+      details.recurrence = this.recurrence.anchor(repeat.rule, dueAt, timeZone);
+    }
+    if (dueAt) {
+      Object.assign(details, { dueAt: dueAt.toISOString(), timeZone });
+    }
+    
+    const task = await this.addTask(deadline.description || taskText, settings.defaultPriority, [], details);
+    let responseText = `✅ Task added successfully!\nID: ${task.id}\nDescription: ${task.description}\nPriority: ${task.priority}`;
+    if (parent) {
+      responseText += `\n🌳 Subtask of ${parent.id}: ${parent.description}`;
+    }
+    if (task.project) {
+      responseText += `\n📁 Project: ${task.project}`;
+    }
+    if (task.dueAt) {
+      responseText += `\nDue: ${this.dueDates.formatDue(task.dueAt, this.userSettings.display(settings))}`;
+    }
+    if (task.recurrence) {
+      responseText += `\n🔁 Repeats ${this.recurrence.describe(task.recurrence)}`;
+    }
+    return responseText;
+  }
+
+  async handleTimezoneCommand(args, message) {
+    const userId = message.from?.id;
+    if (!args) {
+      return `🌍 Your timezone: ${await this.getUserTimeZone(userId)}\n\nChange it with /timezone [Area/City]\nExample: /timezone Europe/London\n\nMore preferences: /settings`;
+    }
+    if (!DueDateParser.isValidTimeZone(args)) {
+      return `❌ Unknown timezone: ${args}\nUse an IANA name such as America/New_York or Asia/Singapore`;
+    }
+    
+    const settings = await this.storage.getUserSettings(userId);
+    await this.storage.saveUserSettings(userId, { ...settings, timezone: args });
+    return `✅ Timezone set to ${args}\nDeadlines and reminders now use this timezone.`;
+  }
+
+  async handleTasksCommand(args, message, { values }) {
+    return await this.renderListView('tasks', values.filter || '', null, await this.getListContext(message.from?.id));
+  }
+
+  async handleCompleteCommand(args, message, { values }) {
+    const task = await this.completeTask(values.task_id, this.actorFrom(message));
+    if (!task) {
+      return `❌ Task ${values.task_id} not found`;
+    }
+    
+    let responseText = `✅ Task ${task.id} marked as completed!\nDescription: ${task.description}`;
+    if (task.nextOccurrenceId) {
+      const next = await this.storage.getTask(task.nextOccurrenceId);
+      const display = await this.getDisplayContext(message.from?.id);
+      responseText += `\n\n🔁 Next occurrence: ${next.id}\nDue: ${this.dueDates.formatDue(next.dueAt, display)}`;
+    }
+    return responseText + await this.formatCompletionEffects(task);
+  }
+
+  async handleTaskCommand(args, message, { values }) {
+    const task = await this.storage.getTask(values.task_id);
+    if (!task) {
+      return `❌ Task ${values.task_id} not found`;
+    }
+    const tasks = await this.storage.getTasks();
+    return this.formatTaskDetails(task, await this.getDisplayContext(message.from?.id), tasks);
+  }
+
+  async handleEditCommand(args, message, { values }) {
+    const description = values['new description'];
+    const task = await this.storage.changeTask(values.task_id, 'edit', t => { t.description = description; }, this.actorFrom(message));
+    return task ? `✏️ Task ${task.id} updated\nDescription: ${task.description}` : `❌ Task ${values.task_id} not found`;
+  }
+
+  async handlePriorityCommand(args, message, { values }) {
+    const priority = this.normalizePriority(values.priority);
+    const task = await this.storage.changeTask(values.task_id, 'priority', t => { t.priority = priority; }, this.actorFrom(message));
+    return task ? `🎯 Task ${task.id} priority set to ${task.priority}` : `❌ Task ${values.task_id} not found`;
+  }
+
+  async handleTagCommand(args, message, { values }) {
+    const tokens = values.tags.split(/[\s,]+/).filter(Boolean);
+    const removed = tokens.filter(t => t.startsWith('-')).map(t => t.slice(1).toLowerCase()).filter(Boolean);
+    const added = tokens.filter(t => !t.startsWith('-')).map(t => t.replace(/^\+/, '').toLowerCase()).filter(Boolean);
+    
+    const task = await this.storage.changeTask(values.task_id, 'tag', t => {
+      t.tags = [...new Set([...(t.tags || []), ...added])].filter(tag => !removed.includes(tag));
+    }, this.actorFrom(message));
+    return task ?
+      `🏷️ Task ${task.id} tags: ${task.tags.length > 0 ? task.tags.join(', ') : 'none'}` :
+      `❌ Task ${values.task_id} not found`;
+  }
+
+  async handleReopenCommand(args, message, { values }) {
+    const task = await this.storage.reopenTask(values.task_id, this.actorFrom(message));
+    return task ? `🔄 Task ${task.id} reopened\nDescription: ${task.description}` : `❌ Task ${values.task_id} not found`;
+  }
+
+  async handleBlockCommand(args, message, { values }) {
+    const { task_id: taskId, blocking_task_id: blockerId } = values;
+    const result = await this.storage.addBlocker(taskId, blockerId, this.actorFrom(message));
+    return result.error ?
+      `❌ ${result.error}` :
+      `⛔ Task ${taskId} is blocked by ${blockerId}\nIt leaves /tasks until ${blockerId} is completed.`;
+  }
+
+  async handleUnblockCommand(args, message, { values }) {
+    const { task_id: taskId, blocking_task_id: blockerId } = values;
+    const task = await this.storage.removeBlocker(taskId, blockerId, this.actorFrom(message));
+    return task ?
+      `🔓 Task ${task.id} no longer waits for ${blockerId}` :
+      `❌ Task ${taskId} not found`;
+  }
+
+  async handleSnoozeCommand(args, message, { values }) {
+    const display = await this.getDisplayContext(message.from?.id);
+    const until = this.dueDates.resolveUntil(values.duration, { timeZone: display.timeZone });
+    if (!until) {
+      return this.commands.usage('snooze', null, `Unknown duration: ${values.duration}`);
+    }
+    
+    const task = await this.storage.snoozeTask(values.task_id, until, this.actorFrom(message));
+    return task ?
+      `💤 Task ${task.id} snoozed until ${this.dueDates.formatDateTime(until, display)}` +
+        (task.dueAt ? `\n📅 Due: ${this.dueDates.formatDue(task.dueAt, display)}` : '') :
+      `❌ Task ${values.task_id} not found`;
+  }
+
+  async handleDeleteCommand(args, message, { values }) {
+    const task = await this.storage.deleteTask(values.task_id, this.actorFrom(message));
+    if (!task) {
+      return `❌ Task ${values.task_id} not found`;
+    }
+    
+    await this.storage.setValue(`undo:${message.from?.id}`, task.id);
+    const minutes = Math.round(this.storage.undoWindowSeconds / 60);
+    return `🗑️ Task ${task.id} deleted\nDescription: ${task.description}\n\n↩️ Send /undo within ${minutes} minutes to restore it`;
+  }
+
+  async handleUndoCommand(args, message, { values }) {
+    const taskId = values.task_id || await this.storage.getValue(`undo:${message.from?.id}`);
+    const task = taskId ? await this.storage.restoreTask(taskId, this.actorFrom(message)) : null;
+    if (!task) {
+      return taskId ? `❌ Task ${taskId} can no longer be restored` : '❌ Nothing to undo';
+    }
+    
+    await this.storage.setValue(`undo:${message.from?.id}`, null);
+    return `↩️ Task ${task.id} restored\nDescription: ${task.description}`;
+  }
+
+  async handleSaveCommand(args, message) {
+    const chatId = message.chat.id;
+    
+    // "parent:task_010" files any extracted action items under that task
+    const parentMatch = args.match(/(?:^|\s)parent:(\S+)/i);
+    const text = parentMatch ? args.replace(parentMatch[0], ' ').replace(/\s{2,}/g, ' ').trim() : args;
+    const parent = parentMatch ? await this.storage.getTask(parentMatch[1]) : null;
+    
+    if (!text) {
+      return this.commands.usage('save');
+    }
+    if (parentMatch && !parent) {
+      return `❌ Parent task ${parentMatch[1]} not found`;
+    }
+    
+    const result = await this.saveMessage(text, `Chat ${chatId}`, [], { userId: message.from?.id, parentId: parent?.id });
+    let responseText = `✅ Message saved successfully!\n📁 Source: Chat ${chatId}\n🏷️ Tags: ${result.message.tags.join(', ')}`;
+    if (parent && result.suggestions.length > 0) {
+      responseText += `\n🌳 Accepted tasks become subtasks of ${parent.id}`;
+    }
+    return await this.withSuggestions(responseText, result, message.from?.id);
+  }
+
+  async handleRecentCommand(args, message) {
+    return await this.renderListView('recent', '', null, await this.getListContext(message.from?.id));
+  }
+
+  async handleSearchCommand(args, message) {
+    return await this.renderListView('search', args, null, await this.getDisplayContext(message.from?.id));
+  }
+
+  async handleSearchTasksCommand(args, message) {
+    return await this.renderListView('searchtasks', args, null, await this.getDisplayContext(message.from?.id));
+  }
+
+  async handleForgetCommand(args, message, { values }) {
+    const deleted = await this.storage.deleteMessage(values.message_id);
+    if (!deleted) {
+      return `❌ Message ${values.message_id} not found`;
+    }
+    return `🗑️ Message ${deleted.id} deleted\n💬 ${deleted.text.substring(0, 100)}${deleted.text.length > 100 ? '...' : ''}`;
+  }
+
+  async handleMonitorCommand(args, message) {
+    // Trigger monitoring check
+    try {
+      const monitorResponse = await fetch(`${process.env.VERCEL_URL || 'http://localhost:3000'}/api/monitor`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` }
+      });
+      const monitorData = await monitorResponse.json();
+      const display = await this.getDisplayContext(message.from?.id);
+      
+      let responseText = `🔍 **Monitoring Check Triggered**\n\n`;
+      responseText += `📊 Endpoints checked: ${monitorData.summary?.endpointsChecked || 0}\n`;
+      responseText += `🚨 Alerts generated: ${monitorData.summary?.alertsGenerated || 0}\n`;
+      responseText += `✅ Healthy endpoints: ${monitorData.summary?.healthyEndpoints || 0}\n\n`;
+      responseText += `🕐 Next check: ${monitorData.nextCheck ? this.dueDates.formatDateTime(monitorData.nextCheck, display) : 'Scheduled'}`;
+      return responseText;
+    } catch (error) {
+      return `❌ Error triggering monitoring check: ${error.message}`;
+    }
+  }
+
+  describeEndpoint(endpoint) {
+    return endpoint.name ? `${endpoint.name} - \`${endpoint.url}\`` : `\`${endpoint.url}\``;
+  }
+
+  // Stored endpoints can be changed from chat; MONITOR_ENDPOINTS only in the deployment
+  async addMonitorEndpoint(url, name, message) {
+    const endpoints = await this.storage.getMonitorEndpoints();
+    if (this.config.monitorEndpoints.includes(url) || endpoints.some(endpoint => endpoint.url === url)) {
+      return `❌ ${url} is already monitored`;
+    }
     
-    if (!isBasic && !isAuthorized) {
-      return await this.sendMessage(chatId, 
-        `🔒 **Access Restricted**\n\nOnly @${this.config.telegram.authorizedUsername} can use advanced commands.\n\nAvailable for everyone:\n• /help\n• /plasmabrand\n• /start`,
-        { reply_to_message_id: messageId }
-      );
+    const endpoint = {
+      url,
+      name: name || null,
+      addedBy: this.actorFrom(message),
+      addedAt: new Date().toISOString()
+    };
+    await this.storage.saveMonitorEndpoints([...endpoints, endpoint]);
+    return `✅ **Endpoint Added**\n\n📡 ${this.describeEndpoint(endpoint)}\n\nIt's checked on every monitoring run - /monitor runs one now, /endpoints lists them all.`;
+  }
+
+  async handleEndpointsCommand(args, message, { values, subcommand }) {
+    if (subcommand === 'add') {
+      const url = this.conversations.check(this.conversations.step('endpoint', 'url'), values.url);
+      const name = values.name ? this.conversations.check(this.conversations.step('endpoint', 'name'), values.name) : {};
+      if (url.error || name.error) {
+        return this.commands.usage('endpoints', 'add', url.error || name.error);
+      }
+      return await this.addMonitorEndpoint(url.value, name.value, message);
     }
     
-    let responseText = '';
+    const endpoints = await this.storage.getMonitorEndpoints();
+    if (subcommand === 'remove') {
+      const reference = values['url|name'].toLowerCase();
+      const match = endpoints.find(endpoint => endpoint.url.toLowerCase() === reference || endpoint.name?.toLowerCase() === reference);
+      if (!match) {
+        return this.config.monitorEndpoints.some(url => url.toLowerCase() === reference) ?
+          `❌ ${values['url|name']} comes from MONITOR_ENDPOINTS - remove it from the deployment's environment` :
+          `❌ No monitored endpoint matches ${values['url|name']}\n\nSee /endpoints for the list`;
+      }
+      await this.storage.saveMonitorEndpoints(endpoints.filter(endpoint => endpoint !== match));
+      return `✅ Stopped monitoring ${this.describeEndpoint(match)}`;
+    }
     
-    switch (command) {
-      case 'start':
-        responseText = `🤖 **Welcome to Jinbot Cloud!**
-
-I'm your personal assistant bot running 24/7 on Vercel with advanced features:
-
-**Quick Commands:**
-/help - Show all commands
-/plasmabrand - Get Plasma brand resources
-
-**For @${this.config.telegram.authorizedUsername}:**
-Full access to task management, monitoring, and AI tools.
+    const total = this.config.monitorEndpoints.length + endpoints.length;
+    if (total === 0) {
+      return '📡 No endpoints are monitored yet\n\nAdd one with /endpoints add';
+    }
+    const lines = [
+      ...this.config.monitorEndpoints.map(url => `• \`${url}\` (MONITOR_ENDPOINTS)`),
+      ...endpoints.map(endpoint => `• ${this.describeEndpoint(endpoint)}${endpoint.addedBy?.username ? ` (added by @${endpoint.addedBy.username})` : ''}`)
+    ];
+    return `📡 **Monitored Endpoints** (${total})\n\n${lines.join('\n')}\n\nAdd one with /endpoints add, remove one with /endpoints remove [url|name]`;
+  }
 
-Type /help for the complete command list!`;
-        break;
-        
-      case 'help':
-        if (isAuthorized) {
-          responseText = `🤖 **Jinbot Cloud Commands** (Full Access)
-
-**📱 Basic:**
-/help - This help message
-/status - Bot status & statistics
-/plasmabrand - Plasma brand resources
-
-**📋 Task Management:**
-/addtask [description] - Add new task
-/tasks - List pending tasks
-/complete [task_id] - Complete task
-/searchtasks [keyword] - Search tasks
-
-**💬 Context & Messages:**
-/save [message] - Save message context
-/recent - Get recent context (24h)
-/search [keyword] - Search messages
-
-**⚙️ Monitoring:**
-/monitor - Trigger system monitoring
-/endpoints - Check monitored endpoints
-/alerts - View recent alerts
-
-**🧠 Claude Code:**
-/claude [command] - Execute Claude Code commands
-/memory [action] - Memory system operations
-/project [action] - Project management
-
-**📅 Calendar:**
-/events - Show upcoming events
-/schedule [event] - Schedule new event
-/availability - Check availability
-
-**👥 Group Management:**
-/setuphq - Setup Jinbot Test HQ topics
-/notify [topic] [message] - Send notification to topic
-/topics - List available topics
-
-**🔧 System:**
-/webhook - Webhook configuration
-/sync - Sync data
-/export - Export data
-
-Advanced features available only for @${this.config.telegram.authorizedUsername}`;
-        } else {
-          responseText = `🤖 **Jinbot Cloud Commands** (Public)
-
-**📱 Available Commands:**
-/help - This help message
-/plasmabrand - Get Plasma brand resources
-/start - Welcome message
+  async finishEndpointConversation({ url, name }, message) {
+    return await this.addMonitorEndpoint(url, name, message);
+  }
 
-**🔒 Advanced Features:**
-Advanced task management, monitoring, and AI tools are restricted to @${this.config.telegram.authorizedUsername}.
+  async handleClaudeCommand(args) {
+    return await this.claude.executeClaudeCommand(args);
+  }
 
-Contact @${this.config.telegram.authorizedUsername} for access to additional features.`;
-        }
-        break;
-        
-      case 'plasmabrand':
-        responseText = '🔗 Plasma Brand Resources: https://plasma.to/brand';
-        break;
-        
-      case 'status':
-        if (isAuthorized) {
-          responseText = `🤖 **Jinbot Cloud Status**
+  async handleUsersCommand(args, message) {
+    return await this.renderUsers(message.from?.id);
+  }
 
-✅ Bot running on Vercel serverless
-🔒 Security: Active (@${this.config.telegram.authorizedUsername} only)
-📊 Tasks: ${this.simpleStorage.tasks.length} total
-💬 Messages: ${this.simpleStorage.messages.length} stored
-☁️ Platform: Vercel serverless functions
-📡 Monitoring: Active with daily checks
-⚡ Response Mode: Instant (Debug)
+  async handleSyncCommand(args, message) {
+    const syncResult = await this.claude.syncWithLocalMemory();
+    const storageSync = await this.storage.syncWithMasterMemory();
+    
+    let responseText = `🔄 **Data Sync Results**\n\n`;
+    responseText += `📡 **Claude Memory Sync:**\n`;
+    responseText += syncResult.success ? 
+      `✅ Synced ${syncResult.synced} operations` : 
+      `❌ Failed: ${syncResult.error}`;
+    
+    responseText += `\n\n💾 **Storage Sync:**\n`;
+    responseText += storageSync.success ? 
+      `✅ Synced ${storageSync.synced.tasks} tasks, ${storageSync.synced.messages} messages` : 
+      `❌ Failed: ${storageSync.error}`;
+    
+    responseText += `\n\n🕐 Last sync: ${this.dueDates.formatDateTime(new Date(), await this.getDisplayContext(message.from?.id))}`;
+    return responseText;
+  }
 
-🌐 Dashboard: https://telegram-monitor.vercel.app`;
-        }
-        break;
-        
-      case 'addtask':
-        if (isAuthorized) {
-          if (!args) {
-            responseText = '❌ Usage: /addtask [description]\nExample: /addtask Review quarterly reports';
-          } else {
-            const task = await this.addTask(args);
-            responseText = `✅ Task added successfully!\nID: ${task.id}\nDescription: ${task.description}\nPriority: ${task.priority}`;
-          }
-        }
-        break;
-        
-      case 'tasks':
-        if (isAuthorized) {
-          const tasks = await this.listTasks();
-          if (tasks.length === 0) {
-            responseText = 'No pending tasks found.';
-          } else {
-            responseText = '📋 **Pending Tasks:**\n\n';
-            tasks.forEach(task => {
-              const priorityEmoji = task.priority === 'High' ? '🔴' : task.priority === 'Medium' ? '🟡' : '🟢';
-              responseText += `⏳ ${priorityEmoji} **${task.id}**: ${task.description}\n`;
-              if (task.tags.length > 0) {
-                responseText += `   🏷️ Tags: ${task.tags.join(', ')}\n`;
-              }
-              responseText += '\n';
-            });
-          }
-        }
-        break;
-        
-      case 'complete':
-        if (isAuthorized) {
-          if (!args) {
-            responseText = '❌ Usage: /complete [task_id]\nExample: /complete task_001';
-          } else {
-            const task = await this.completeTask(args.trim());
-            if (task) {
-              responseText = `✅ Task ${task.id} marked as completed!\nDescription: ${task.description}`;
-            } else {
-              responseText = `❌ Task ${args.trim()} not found`;
-            }
-          }
-        }
-        break;
-        
-      case 'save':
-        if (isAuthorized) {
-          if (!args) {
-            responseText = '❌ Usage: /save [message]\nExample: /save Important meeting tomorrow';
-          } else {
-            const result = await this.saveMessage(args, `Chat ${chatId}`);
-            responseText = `✅ Message saved successfully!\n📁 Source: Chat ${chatId}\n🏷️ Tags: ${result.message.tags.join(', ')}`;
-            if (result.tasksCreated > 0) {
-              responseText += `\n📋 Auto-created tasks: ${result.tasksCreated}`;
-            }
-          }
-        }
-        break;
-        
-      case 'recent':
-        if (isAuthorized) {
-          const recentMessages = await this.getRecentMessages();
-          if (recentMessages.length === 0) {
-            responseText = 'No recent messages found in the last 24 hours.';
-          } else {
-            responseText = '📬 **Recent Context (Last 24h):**\n\n';
-            recentMessages.forEach(msg => {
-              const timestamp = new Date(msg.timestamp).toLocaleString();
-              responseText += `🕐 ${timestamp} | 📁 ${msg.sourceChat}\n`;
-              responseText += `💬 ${msg.text.substring(0, 100)}${msg.text.length > 100 ? '...' : ''}\n\n`;
-            });
-          }
-        }
-        break;
-        
-      case 'search':
-        if (isAuthorized) {
-          if (!args) {
-            responseText = '❌ Usage: /search [keyword]\nExample: /search meeting';
-          } else {
-            const messages = await this.searchMessages(args);
-            if (messages.length === 0) {
-              responseText = `No messages found matching '${args}'`;
-            } else {
-              responseText = `🔍 **Messages matching '${args}':**\n\n`;
-              messages.forEach(msg => {
-                const timestamp = new Date(msg.timestamp).toLocaleString();
-                responseText += `📅 ${timestamp} | 📁 ${msg.sourceChat}\n`;
-                responseText += `💬 ${msg.text}\n\n`;
-              });
-            }
-          }
-        }
-        break;
-        
-      case 'monitor':
-        if (isAuthorized) {
-          // Trigger monitoring check
-          try {
-            const monitorResponse = await fetch(`${process.env.VERCEL_URL || 'http://localhost:3000'}/api/monitor`, {
-              method: 'POST'
-            });
-            const monitorData = await monitorResponse.json();
-            
-            responseText = `🔍 **Monitoring Check Triggered**\n\n`;
-            responseText += `📊 Endpoints checked: ${monitorData.summary?.endpointsChecked || 0}\n`;
-            responseText += `🚨 Alerts generated: ${monitorData.summary?.alertsGenerated || 0}\n`;
-            responseText += `✅ Healthy endpoints: ${monitorData.summary?.healthyEndpoints || 0}\n\n`;
-            responseText += `🕐 Next check: ${monitorData.nextCheck || 'Scheduled'}`;
-          } catch (error) {
-            responseText = `❌ Error triggering monitoring check: ${error.message}`;
-          }
-        }
-        break;
+  async handleExportCommand(args, message) {
+    const context = await this.getListContext(message.from?.id);
+    const exportData = await this.storage.exportData(context.project);
+    return `📤 **Data Export${exportData.project ? ` - 📁 ${exportData.project}` : ''}**\n\n📊 **Statistics:**\n• Tasks: ${exportData.stats.totalTasks} (${exportData.stats.pendingTasks} pending)\n• Messages: ${exportData.stats.totalMessages}\n• Completion Rate: ${exportData.stats.completionRate}%\n• Storage: ${exportData.stats.storageType}\n\n📁 **Export includes:**\n• All tasks with metadata\n• Last 100 messages\n• Usage statistics\n• System information\n\n💾 Data exported at: ${this.dueDates.formatDateTime(exportData.exportedAt, context)}`;
+  }
 
-      case 'claude':
-        if (isAuthorized) {
-          if (!args) {
-            responseText = '❌ Usage: /claude [command]\nExample: /claude status\nExample: /claude memory search "telegram"';
-          } else {
-            const result = await this.claude.executeClaudeCommand(args);
-            responseText = result;
-          }
-        }
-        break;
+  async handleEventsCommand(args, message) {
+    const eventsResult = await this.calendar.getUpcomingEvents();
+    if (eventsResult.success) {
+      const display = await this.getDisplayContext(message.from?.id);
+      return this.calendar.formatEventsForTelegram(eventsResult.events, time => this.dueDates.formatDateTime(time, display));
+    }
+    
+    let responseText = `❌ Calendar error: ${eventsResult.error}`;
+    if (eventsResult.instructions) {
+      responseText += `\n\n💡 Setup: ${eventsResult.instructions}`;
+    }
+    return responseText;
+  }
 
-      case 'memory':
-        if (isAuthorized) {
-          if (!args) {
-            responseText = '🧠 **Memory Commands:**\n\n• `/memory search [query]` - Search memory\n• `/memory status` - Memory system status\n• `/memory sync` - Sync with master memory\n• `/memory summary` - Recent activity summary';
-          } else {
-            const result = await this.handleMemoryCommand(args);
-            responseText = result;
-          }
-        }
-        break;
+  async scheduleEvent(message, { title, start, duration = 60, description = '' }) {
+    const result = await this.calendar.createEvent(title, start, duration, description);
+    
+    if (!result.success) {
+      return `❌ Scheduling error: ${result.error}`;
+    }
+    const display = await this.getDisplayContext(message.from?.id);
+    return `📅 **Event Scheduled**\n\n${result.message}\n\n🕐 Time: ${this.dueDates.formatDateTime(start, display)}\n⏱️ Duration: ${duration} min`;
+  }
 
-      case 'project':
-        if (isAuthorized) {
-          if (!args) {
-            responseText = '📁 **Project Commands:**\n\n• `/project list` - List all projects\n• `/project status [name]` - Project status\n• `/project switch [name]` - Switch active project\n• `/project stats` - Project statistics';
-          } else {
-            const result = await this.handleProjectCommand(args);
-            responseText = result;
-          }
-        }
-        break;
+  async handleScheduleCommand(args, message) {
+    // Parse natural language for event creation
+    return await this.scheduleEvent(message, { title: args, start: this.calendar.parseNaturalLanguageTime(args) });
+  }
 
-      case 'searchtasks':
-        if (isAuthorized) {
-          if (!args) {
-            responseText = '❌ Usage: /searchtasks [keyword]\nExample: /searchtasks plasma';
-          } else {
-            const tasks = await this.searchTasks(args);
-            if (tasks.length === 0) {
-              responseText = `No tasks found matching '${args}'`;
-            } else {
-              responseText = `🔍 **Tasks matching '${args}':**\n\n`;
-              tasks.forEach(task => {
-                const priorityEmoji = task.priority === 'High' ? '🔴' : task.priority === 'Medium' ? '🟡' : '🟢';
-                const statusEmoji = task.status === 'Completed' ? '✅' : '⏳';
-                responseText += `${statusEmoji} ${priorityEmoji} **${task.id}**: ${task.description}\n`;
-                if (task.tags.length > 0) {
-                  responseText += `   🏷️ Tags: ${task.tags.join(', ')}\n`;
-                }
-                responseText += '\n';
-              });
-            }
-          }
-        }
-        break;
+  async finishScheduleConversation({ title, start, duration, description }, message) {
+    return await this.scheduleEvent(message, { title, start, duration, description: description || '' });
+  }
 
-      case 'sync':
-        if (isAuthorized) {
-          const syncResult = await this.claude.syncWithLocalMemory();
-          const storageSync = await this.storage.syncWithMasterMemory();
-          
-          responseText = `🔄 **Data Sync Results**\n\n`;
-          responseText += `📡 **Claude Memory Sync:**\n`;
-          responseText += syncResult.success ? 
-            `✅ Synced ${syncResult.synced} operations` : 
-            `❌ Failed: ${syncResult.error}`;
-          
-          responseText += `\n\n💾 **Storage Sync:**\n`;
-          responseText += storageSync.success ? 
-            `✅ Synced ${storageSync.synced.tasks} tasks, ${storageSync.synced.messages} messages` : 
-            `❌ Failed: ${storageSync.error}`;
-          
-          responseText += `\n\n🕐 Last sync: ${new Date().toLocaleString()}`;
-        }
-        break;
+  async handleAvailabilityCommand() {
+    const today = new Date().toISOString().split('T')[0];
+    const availabilityResult = await this.calendar.findAvailableSlots(today);
+    
+    if (!availabilityResult.success) {
+      return `❌ Availability check error: ${availabilityResult.error}`;
+    }
+    
+    let responseText = `📅 **Availability for ${availabilityResult.date}**\n\n⏰ **Free slots:**\n`;
+    availabilityResult.availableSlots.forEach(slot => {
+      responseText += `• ${slot}\n`;
+    });
+    return responseText + '\n💡 Use `/schedule [event] at [time]` to book a slot';
+  }
 
-      case 'export':
-        if (isAuthorized) {
-          const exportData = await this.storage.exportData();
-          responseText = `📤 **Data Export**\n\n📊 **Statistics:**\n• Tasks: ${exportData.stats.totalTasks} (${exportData.stats.pendingTasks} pending)\n• Messages: ${exportData.stats.totalMessages}\n• Completion Rate: ${exportData.stats.completionRate}%\n• Storage: ${exportData.stats.storageType}\n\n📁 **Export includes:**\n• All tasks with metadata\n• Last 100 messages\n• Usage statistics\n• System information\n\n💾 Data exported at: ${exportData.exportedAt}`;
-        }
-        break;
+  async handleSetupHQCommand(args, message, { values }) {
+    const groupId = values.group_id || process.env.JINBOT_HQ_GROUP_ID;
+    if (!groupId) {
+      return this.commands.usage('setuphq');
+    }
+    
+    const setupResult = await this.groupManager.setupJinbotHQ(groupId);
+    if (!setupResult.success) {
+      return `❌ Setup failed: ${setupResult.error}`;
+    }
+    return `✅ **Jinbot Test HQ Setup Complete**\n\n📊 **Topics Created**: ${setupResult.topicsCreated}\n♻️ **Topics Reused**: ${setupResult.topicsReused}\n\n🎯 **Available Topics:**\n• General Claude\n• Development\n• Content & Strategy\n• System Monitoring\n• AI Research\n• Decision Center\n• Automation Hub\n\n🔗 Group ready for Claude Code notifications!`;
+  }
 
-      case 'events':
-        if (isAuthorized) {
-          const eventsResult = await this.calendar.getUpcomingEvents();
-          if (eventsResult.success) {
-            responseText = this.calendar.formatEventsForTelegram(eventsResult.events);
-          } else {
-            responseText = `❌ Calendar error: ${eventsResult.error}`;
-            if (eventsResult.instructions) {
-              responseText += `\n\n💡 Setup: ${eventsResult.instructions}`;
-            }
-          }
-        }
-        break;
+  async handleTopicsCommand() {
+    const topics = Object.entries(this.groupManager.claudeTopics);
+    let responseText = '🎯 **Available Topics for Notifications:**\n\n';
+    topics.forEach(([key, topic]) => {
+      responseText += `• **${key}**: ${topic.name}\n  ${topic.description}\n\n`;
+    });
+    return responseText + '💡 Use `/notify [topic] [message]` to send notifications';
+  }
 
-      case 'schedule':
-        if (isAuthorized) {
-          if (!args) {
-            responseText = '❌ Usage: /schedule [event description]\nExample: /schedule Team meeting tomorrow 2pm';
-          } else {
-            // Parse natural language for event creation
-            const startTime = this.calendar.parseNaturalLanguageTime(args);
-            const result = await this.calendar.createEvent(args, startTime);
-            
-            if (result.success) {
-              responseText = `📅 **Event Scheduled**\n\n${result.message}\n\n🕐 Time: ${new Date(startTime).toLocaleString()}`;
-            } else {
-              responseText = `❌ Scheduling error: ${result.error}`;
-            }
-          }
-        }
-        break;
+  async handleNotifyCommand(args, message, { values }) {
+    const { topic: topicKey, message: text } = values;
+    const groupId = process.env.JINBOT_HQ_GROUP_ID || this.config.telegram.chatId;
+    const notification = {
+      type: 'manual',
+      message: text,
+      context: `Manual notification from @${message.from?.username || 'user'}`,
+      instance: 'telegram-bot',
+      requiresDecision: text.toLowerCase().includes('decision') || text.toLowerCase().includes('approve')
+    };
+    
+    const result = notification.requiresDecision ?
+      await this.decisionManager.requestDecision(groupId, topicKey, notification) :
+      await this.groupManager.sendClaudeNotification(groupId, topicKey, notification);
+    
+    if (!result.success) {
+      return `❌ Notification failed: ${result.error}`;
+    }
+    return `✅ **Notification Sent**\n\n📍 Topic: ${topicKey}\n💬 Message: ${text}\n🆔 Message ID: ${result.messageId}`;
+  }
 
-      case 'availability':
-        if (isAuthorized) {
-          const today = new Date().toISOString().split('T')[0];
-          const availabilityResult = await this.calendar.findAvailableSlots(today);
-          
-          if (availabilityResult.success) {
-            responseText = `📅 **Availability for ${availabilityResult.date}**\n\n⏰ **Free slots:**\n`;
-            availabilityResult.availableSlots.forEach(slot => {
-              responseText += `• ${slot}\n`;
-            });
-            responseText += '\n💡 Use `/schedule [event] at [time]` to book a slot';
-          } else {
-            responseText = `❌ Availability check error: ${availabilityResult.error}`;
-          }
-        }
-        break;
+  // Posts a decision request with Approve / Reject / More Info buttons to the HQ group
+  async requestDecision(message, { topic, question, actions = [], expires = null, defaultDecision = null }) {
+    const groupId = process.env.JINBOT_HQ_GROUP_ID || this.config.telegram.chatId;
+    const result = await this.decisionManager.requestDecision(groupId, topic, {
+      type: 'manual',
+      message: question,
+      context: `Decision requested by @${message.from?.username || 'user'}`,
+      instance: 'telegram-bot',
+      actions,
+      ...(expires ? { timeoutSeconds: Math.round((new Date(expires) - Date.now()) / 1000), defaultDecision } : {})
+    });
+    
+    if (!result.success) {
+      return `❌ Decision request failed: ${result.error}`;
+    }
+    
+    let responseText = `⚖️ **Decision Requested**\n\n📍 Topic: ${topic}\n💬 Question: ${question}`;
+    if (actions.length > 0) {
+      responseText += `\n🎯 Options: ${actions.join(', ')}`;
+    }
+    if (result.expiresAt) {
+      const display = await this.getDisplayContext(message.from?.id);
+      responseText += `\n⏰ Expires: ${this.dueDates.formatDateTime(result.expiresAt, display)}${defaultDecision ? ` (then ${defaultDecision})` : ''}`;
+    }
+    return `${responseText}\n🆔 Decision ID: ${result.decisionId}`;
+  }
 
-      case 'setuphq':
-        if (isAuthorized) {
-          const groupId = args || process.env.JINBOT_HQ_GROUP_ID;
-          if (!groupId) {
-            responseText = '❌ Usage: /setuphq [group_id]\n\nOr set JINBOT_HQ_GROUP_ID environment variable\n\n💡 To get group ID:\n1. Add bot to group\n2. Send a message\n3. Check logs for chat ID';
-          } else {
-            const setupResult = await this.groupManager.setupJinbotHQ(groupId);
-            if (setupResult.success) {
-              responseText = `✅ **Jinbot Test HQ Setup Complete**\n\n📊 **Topics Created**: ${setupResult.topicsCreated}\n\n🎯 **Available Topics:**\n• General Claude\n• Development\n• Content & Strategy\n• System Monitoring\n• AI Research\n• Decision Center\n• Automation Hub\n\n🔗 Group ready for Claude Code notifications!`;
-            } else {
-              responseText = `❌ Setup failed: ${setupResult.error}`;
-            }
-          }
-        }
-        break;
+  async handleDecisionCommand(args, message, { values }) {
+    const context = await this.conversationContext(message.from?.id);
+    const topic = this.conversations.check(this.conversations.step('decision', 'topic'), values.topic, context);
+    if (topic.error) {
+      return this.commands.usage('decision', null, topic.error);
+    }
+    return await this.requestDecision(message, { topic: topic.value, question: values.question });
+  }
 
-      case 'topics':
-        if (isAuthorized) {
-          const topics = Object.entries(this.groupManager.claudeTopics);
-          responseText = '🎯 **Available Topics for Notifications:**\n\n';
-          topics.forEach(([key, topic]) => {
-            responseText += `• **${key}**: ${topic.name}\n  ${topic.description}\n\n`;
-          });
-          responseText += '💡 Use `/notify [topic] [message]` to send notifications';
-        }
-        break;
+  async finishDecisionConversation({ topic, question, actions, expires, default: defaultDecision }, message) {
+    return await this.requestDecision(message, { topic, question, actions: actions || [], expires, defaultDecision });
+  }
 
-      case 'notify':
-        if (isAuthorized) {
-          const parts = args.split(' ');
-          const topicKey = parts[0];
-          const message = parts.slice(1).join(' ');
-          
-          if (!topicKey || !message) {
-            responseText = '❌ Usage: /notify [topic] [message]\nExample: /notify development "Code review needed"\n\nUse /topics to see available topics';
-          } else {
-            const groupId = process.env.JINBOT_HQ_GROUP_ID || this.config.telegram.chatId;
-            const notification = {
-              type: 'manual',
-              message: message,
-              context: `Manual notification from @${message.from?.username || 'user'}`,
-              instance: 'telegram-bot',
-              requiresDecision: message.toLowerCase().includes('decision') || message.toLowerCase().includes('approve')
-            };
-            
-            const result = await this.groupManager.sendClaudeNotification(groupId, topicKey, notification);
-            
-            if (result.success) {
-              responseText = `✅ **Notification Sent**\n\n📍 Topic: ${topicKey}\n💬 Message: ${message}\n🆔 Message ID: ${result.messageId}`;
-            } else {
-              responseText = `❌ Notification failed: ${result.error}`;
-            }
-          }
-        }
-        break;
-        
-      default:
-        responseText = isAuthorized ? 
-          `❌ Unknown command: /${command}\n\nType /help for available commands` :
-          `🔒 Command /${command} requires authorization.\n\nPublic commands: /help, /plasmabrand, /start`;
-    }
-    
-    return await this.sendMessage(chatId, responseText, { reply_to_message_id: messageId });
+  async handleGroupIdCommand(args, message) {
+    const { chat } = message;
+    return `🆔 **Chat Information**\n\n• Chat ID: \`${chat.id}\`\n• Chat Type: ${chat.type}\n• Chat Title: ${chat.title || 'N/A'}\n\n💡 Use this ID for /setuphq, or save a group's ID as JINBOT_HQ_GROUP_ID`;
   }
 
   async handleMessage(message) {
@@ -710,19 +2048,39 @@ Contact @${this.config.telegram.authorizedUsername} for access to additional fea
       return await this.handleCommand(message);
     }
     
-    // Handle general conversation for authorized user
-    if (this.isAuthorized(message)) {
+    // Answers to a command's follow-up questions
+    let conversation = null;
+    try {
+      conversation = await this.conversations.get(message.chat, message.from);
+    } catch (error) {
+      console.error('Failed to load conversation:', error);
+    }
+    if (conversation) {
+      return await this.handleConversationMessage(conversation, message);
+    }
+    
+    // Handle general conversation for team members
+    const access = await this.authorize(message, 'message');
+    if (access.allowed) {
       // Save the message as context
-      const result = await this.saveMessage(text, `Personal Chat (@${username})`, ['chat', 'personal']);
+      let result;
+      try {
+        result = await this.saveMessage(text, `Personal Chat (@${username})`, ['chat', 'personal'],
+          { userId: message.from?.id });
+      } catch (error) {
+        console.error('Failed to save message:', error);
+        return await this.sendMessage(chatId, this.formatIntegrationError('Saving messages', error),
+          { reply_to_message_id: messageId });
+      }
       
       // Generate intelligent response
-      const actionItems = result.message.actionItems;
+      const suggestionCount = result.suggestions.length;
       let responseText = '';
       
-      if (text.includes('?')) {
+      if (suggestionCount > 0) {
+        responseText = `⚡ Detected ${suggestionCount} potential action item${suggestionCount === 1 ? '' : 's'} - accept the ones you want as tasks.`;
+      } else if (text.includes('?')) {
         responseText = "🤔 I've noted your question. Use /search to find related context.";
-      } else if (actionItems.length > 0) {
-        responseText = `⚡ Detected ${actionItems.length} potential action items - auto-creating tasks.`;
       } else if (['urgent', 'important', 'asap'].some(word => text.toLowerCase().includes(word))) {
         responseText = "🚨 Marked as urgent priority.";
       } else if (['reminder', 'remember', 'note'].some(word => text.toLowerCase().includes(word))) {
@@ -731,34 +2089,286 @@ Contact @${this.config.telegram.authorizedUsername} for access to additional fea
         responseText = "💬 Message saved to your context. Need me to do something specific? Try /help for commands.";
       }
       
-      if (result.tasksCreated > 0) {
-        responseText += `\n📋 Auto-created ${result.tasksCreated} tasks from action items.`;
+      const reply = await this.withSuggestions(responseText, result, message.from?.id);
+      return await this.sendMessage(chatId, reply.text, {
+        reply_to_message_id: messageId,
+        ...(reply.replyMarkup ? { reply_markup: reply.replyMarkup } : {})
+      });
+    } else {
+      return await this.sendMessage(chatId, this.formatDenial(access, 'message', message),
+        { reply_to_message_id: messageId });
+    }
+  }
+
+  async answerCallbackQuery(callbackQueryId, text, showAlert = false) {
+    const url = `https://api.telegram.org/bot${this.config.telegram.botToken}/answerCallbackQuery`;
+    
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ callback_query_id: callbackQueryId, text, show_alert: showAlert })
+      });
+      return await response.json();
+    } catch (error) {
+      console.error('Error answering callback query:', error);
+      return null;
+    }
+  }
+
+  async handlePageCallback(callbackQuery) {
+    const state = this.paginator.decode(callbackQuery.data);
+    if (!state) {
+      return await this.answerCallbackQuery(callbackQuery.id);
+    }
+    
+    const value = await this.paginator.resolveRef(state.ref);
+    if (value === null) {
+      return await this.answerCallbackQuery(callbackQuery.id, '⌛ This list expired, please run the command again', true);
+    }
+    
+    const context = await this.getListContext(callbackQuery.from?.id);
+    const { text, replyMarkup } = await this.renderListView(state.view, value, state.page, context);
+    const { chat, message_id: messageId } = callbackQuery.message;
+    await this.editMessageText(chat.id, messageId, text, { reply_markup: replyMarkup || { inline_keyboard: [] } });
+    
+    return await this.answerCallbackQuery(callbackQuery.id);
+  }
+
+  raisePriority(priority) {
+    return { Low: 'Medium', Medium: 'High' }[priority] || null;
+  }
+
+  // ✅ ⏰ ⬆️ 🗑 buttons on task lists: apply the action, then redraw the same page
+  async handleTaskActionCallback(callbackQuery) {
+    const state = this.paginator.decodeItemAction(callbackQuery.data);
+    const value = state ? await this.paginator.resolveRef(state.ref) : null;
+    if (!state || value === null) {
+      return await this.answerCallbackQuery(callbackQuery.id, '⌛ This list expired, please run the command again', true);
+    }
+    
+    const actor = this.actorFrom(callbackQuery);
+    const context = await this.getListContext(callbackQuery.from?.id);
+    const taskId = state.itemId;
+    let task = null;
+    let notice = '';
+    
+    switch (state.action) {
+      case 'c':
+        task = await this.completeTask(taskId, actor);
+        notice = task && `✅ ${task.id} completed${task.nextOccurrenceId ? `, next: ${task.nextOccurrenceId}` : ''}`;
+        break;
+      case 's': {
+        const until = this.dueDates.resolveUntil(process.env.TASK_SNOOZE_DEFAULT || '1d', { timeZone: context.timeZone });
+        task = await this.storage.snoozeTask(taskId, until, actor);
+        notice = task && `💤 ${task.id} snoozed until ${this.dueDates.formatDateTime(until, context)}`;
+        break;
       }
-      
-      return await this.sendMessage(chatId, responseText, { reply_to_message_id: messageId });
+      case 'p': {
+        const current = await this.storage.getTask(taskId);
+        const raised = current && this.raisePriority(current.priority);
+        if (current && !raised) {
+          return await this.answerCallbackQuery(callbackQuery.id, `🔴 ${taskId} is already High priority`);
+        }
+        task = current && await this.storage.changeTask(taskId, 'priority', t => { t.priority = raised; }, actor);
+        notice = task && `⬆️ ${task.id} priority: ${task.priority}`;
+        break;
+      }
+      case 'd':
+        task = await this.storage.deleteTask(taskId, actor);
+        if (task) await this.storage.setValue(`undo:${callbackQuery.from?.id}`, task.id);
+        notice = task && `🗑 ${task.id} deleted - send /undo to restore it`;
+        break;
+      default:
+        return await this.answerCallbackQuery(callbackQuery.id, '❌ Unknown action');
+    }
+    
+    if (!task) {
+      notice = `❌ Task ${taskId} not found`;
+    }
+    
+    const { text, replyMarkup } = await this.renderListView(state.view, value, state.page, context);
+    const { chat, message_id: messageId } = callbackQuery.message;
+    await this.editMessageText(chat.id, messageId, text, { reply_markup: replyMarkup || { inline_keyboard: [] } });
+    
+    return await this.answerCallbackQuery(callbackQuery.id, notice);
+  }
+
+  // Approve/Deny on access request notifications; the answered request loses its buttons
+  async handleAccessRequestCallback(callbackQuery) {
+    const [, action, userId, role] = callbackQuery.data.split(':');
+    const result = await this.onboarding.answerRequest(callbackQuery.from, userId, action === 'ok' ? role : null);
+    if (result.error && !result.request) {
+      return await this.answerCallbackQuery(callbackQuery.id, `❌ ${result.error}`, true);
+    }
+    
+    const { request } = result;
+    const who = this.access.describeUser({ id: request.userId, username: request.username, name: request.name });
+    const answeredBy = this.access.describeUser(request.answeredBy);
+    const outcome = request.status === 'approved' ?
+      `✅ Approved as ${ROLE_EMOJIS[request.role]} ${request.role} by ${answeredBy}` :
+      `✖️ Denied by ${answeredBy}`;
+    
+    const { chat, message_id: messageId } = callbackQuery.message;
+    await this.editMessageText(chat.id, messageId, `🙋 **Access Request**\n\n${who} (\`${request.userId}\`)\n\n${outcome}`,
+      { reply_markup: { inline_keyboard: [] } });
+    
+    // Only the first answer is sent to the requester
+    if (!result.error) {
+      if (request.status === 'approved') {
+        await this.updateCommandMenu({ id: request.userId, type: 'private' });
+      }
+      const reply = request.status === 'approved' ?
+        `🎉 **Access approved**\n\nYou're now ${ROLE_EMOJIS[request.role]} ${request.role} on this bot. Type /help to see what you can do.` :
+        '🔒 Your access request was denied.';
+      try {
+        await this.sendMessage(request.chatId, reply);
+      } catch (error) {
+        console.error('Failed to notify requester:', error);
+      }
+    }
+    return await this.answerCallbackQuery(callbackQuery.id, result.error || outcome);
+  }
+
+  // ✅ Accept / ✖️ Dismiss on suggested action items; handled rows lose their buttons
+  async handleSuggestionCallback(callbackQuery) {
+    const [, action, suggestionId] = callbackQuery.data.split(':');
+    const suggestion = await this.storage.getSuggestion(suggestionId);
+    if (!suggestion) {
+      return await this.answerCallbackQuery(callbackQuery.id, 'This suggestion was already handled');
+    }
+    
+    let notice;
+    if (action === 'a') {
+      const parent = suggestion.parentId ? await this.storage.getTask(suggestion.parentId) : null;
+      const { defaultPriority } = await this.userSettings.get(callbackQuery.from?.id);
+      const task = await this.addTask(suggestion.description, defaultPriority, ['auto-extracted'], {
+        createdBy: this.actorFrom(callbackQuery),
+        sourceChat: suggestion.sourceChat,
+        sourceMessageId: suggestion.messageId,
+        ...(suggestion.assignee ? { assignee: suggestion.assignee } : {}),
+        ...(suggestion.dueAt ? { dueAt: suggestion.dueAt, timeZone: suggestion.timeZone } : {}),
+        ...(suggestion.project ? { project: suggestion.project } : {}),
+        ...(parent ? { parentId: parent.id } : {})
+      });
+      notice = `✅ Added ${task.id}: ${task.description}`;
+    } else if (action === 'd') {
+      notice = '✖️ Suggestion dismissed';
     } else {
-      // Unauthorized user
-      return await this.sendMessage(chatId, 
-        `🔒 **Access Restricted**\n\nThis bot is for @${this.config.telegram.authorizedUsername} only.\n\nPublic commands:\n• /help\n• /plasmabrand\n• /start`,
-        { reply_to_message_id: messageId }
-      );
+      return await this.answerCallbackQuery(callbackQuery.id, '❌ Unknown action');
+    }
+    await this.storage.removeSuggestion(suggestionId);
+    
+    const { chat, message_id: messageId, reply_markup: replyMarkup } = callbackQuery.message;
+    const rows = (replyMarkup?.inline_keyboard || [])
+      .filter(row => !row.some(button => button.callback_data?.endsWith(`:${suggestionId}`)));
+    await this.callTelegramApi('editMessageReplyMarkup', {
+      chat_id: chat.id,
+      message_id: messageId,
+      reply_markup: { inline_keyboard: rows }
+    });
+    
+    return await this.answerCallbackQuery(callbackQuery.id, notice);
+  }
+
+  // Settings menu buttons: set:menu, set:o:<setting> opens its choices, set:v:<setting>:<value> applies one
+  async handleSettingsCallback(callbackQuery) {
+    const [, action, key, ...rest] = callbackQuery.data.split(':');
+    const userId = callbackQuery.from?.id;
+    const keys = await this.settingKeysFor(callbackQuery.from, callbackQuery.message?.chat);
+    let notice = '';
+    let view;
+    
+    if (action === 'o' && keys.includes(key)) {
+      view = await this.renderSettingOptions(userId, key);
+    } else if (action === 'v' && keys.includes(key)) {
+      const result = await this.applySetting(userId, key, rest.join(':'));
+      if (result.error) {
+        return await this.answerCallbackQuery(callbackQuery.id, `❌ ${result.error}`, true);
+      }
+      notice = result.notice;
+      view = await this.renderSettingsMenu(userId, keys);
+    } else {
+      view = await this.renderSettingsMenu(userId, keys);
     }
+    
+    const { chat, message_id: messageId } = callbackQuery.message;
+    await this.editMessageText(chat.id, messageId, view.text, { reply_markup: view.replyMarkup });
+    return await this.answerCallbackQuery(callbackQuery.id, notice);
+  }
+
+  async handleCallbackQuery(callbackQuery) {
+    // Authorization is checked against the user who pressed the button
+    const action = `button:${String(callbackQuery.data || '').split(':')[0]}`;
+    const access = await this.authorize({ from: callbackQuery.from, chat: callbackQuery.message?.chat }, action);
+    if (!access.allowed) {
+      const denial = access.error ? `❌ ${access.error.message}` : this.access.denialMessage(access, action, callbackQuery.from);
+      return await this.answerCallbackQuery(callbackQuery.id, denial, true);
+    }
+    
+    try {
+      if (callbackQuery.data?.startsWith('dec:')) {
+        return await this.decisionManager.handleCallback(callbackQuery);
+      }
+      if (callbackQuery.data?.startsWith('pg:')) {
+        return await this.handlePageCallback(callbackQuery);
+      }
+      if (callbackQuery.data?.startsWith('it:')) {
+        return await this.handleTaskActionCallback(callbackQuery);
+      }
+      if (callbackQuery.data?.startsWith('sug:')) {
+        return await this.handleSuggestionCallback(callbackQuery);
+      }
+      if (callbackQuery.data?.startsWith('set:')) {
+        return await this.handleSettingsCallback(callbackQuery);
+      }
+      if (callbackQuery.data?.startsWith('acc:')) {
+        return await this.handleAccessRequestCallback(callbackQuery);
+      }
+      if (callbackQuery.data?.startsWith('cv:')) {
+        return await this.handleConversationCallback(callbackQuery);
+      }
+    } catch (error) {
+      console.error('Callback query failed:', error);
+      return await this.answerCallbackQuery(callbackQuery.id, `❌ ${error.message}`, true);
+    }
+    
+    return await this.answerCallbackQuery(callbackQuery.id, '❌ Unknown action');
   }
 
   async processUpdate(update) {
+    // Usernames are remembered so roles can be granted with /grant @username
+    try {
+      await this.access.remember(update.callback_query?.from || update.message?.from);
+    } catch (error) {
+      console.error('Failed to remember user:', error);
+    }
+    
+    if (update.callback_query) {
+      return await this.handleCallbackQuery(update.callback_query);
+    }
+    
     if (update.message) {
       const message = update.message;
       
       // Handle different message types
       if (message.text) {
         return await this.handleMessage(message);
-      } else if (message.photo && this.isAuthorized(message)) {
+      }
+      
+      // Media from users without access is ignored
+      const isMedia = message.photo || message.voice || message.document || message.forward_from;
+      if (!isMedia || !(await this.authorize(message, 'message')).allowed) {
+        return null;
+      }
+      
+      if (message.photo) {
         return await this.handlePhotoMessage(message);
-      } else if (message.voice && this.isAuthorized(message)) {
+      } else if (message.voice) {
         return await this.handleVoiceMessage(message);
-      } else if (message.document && this.isAuthorized(message)) {
+      } else if (message.document) {
         return await this.handleDocumentMessage(message);
-      } else if (message.forward_from && this.isAuthorized(message)) {
+      } else if (message.forward_from) {
         return await this.handleForwardedMessage(message);
       }
     }
@@ -774,7 +2384,8 @@ Contact @${this.config.telegram.authorizedUsername} for access to additional fea
     try {
       // Save photo context
       const contextText = `Photo uploaded${caption ? ': ' + caption : ''}`;
-      await this.saveMessage(contextText, `Personal Chat (@${username})`, ['photo', 'visual']);
+      const result = await this.saveMessage(contextText, `Personal Chat (@${username})`, ['photo', 'visual'],
+        { userId: message.from?.id });
       
       // Send response with analysis options
       let responseText = `📸 **Photo Received**\n\n`;
@@ -788,7 +2399,11 @@ Contact @${this.config.telegram.authorizedUsername} for access to additional fea
       responseText += `• Forward with questions for context analysis\n\n`;
       responseText += `*Note: AI image analysis requires API integration*`;
       
-      return await this.sendMessage(chatId, responseText, { reply_to_message_id: messageId });
+      const reply = await this.withSuggestions(responseText, result, message.from?.id);
+      return await this.sendMessage(chatId, reply.text, {
+        reply_to_message_id: messageId,
+        ...(reply.replyMarkup ? { reply_markup: reply.replyMarkup } : {})
+      });
     } catch (error) {
       return await this.sendMessage(chatId, `❌ Error processing photo: ${error.message}`, 
         { reply_to_message_id: messageId });
@@ -858,7 +2473,8 @@ Contact @${this.config.telegram.authorizedUsername} for access to additional fea
     try {
       // Save document context
       const contextText = `Document uploaded: ${document.file_name}${caption ? ' - ' + caption : ''}`;
-      await this.saveMessage(contextText, `Personal Chat (@${username})`, ['document', 'file']);
+      const result = await this.saveMessage(contextText, `Personal Chat (@${username})`, ['document', 'file'],
+        { userId: message.from?.id });
       
       let responseText = `📄 **Document Received**\n\n`;
       responseText += `📁 File: ${document.file_name}\n`;
@@ -873,7 +2489,11 @@ Contact @${this.config.telegram.authorizedUsername} for access to additional fea
       responseText += `• Supports PDF, CSV, TXT analysis\n\n`;
       responseText += `*Note: Document processing requires file API integration*`;
       
-      return await this.sendMessage(chatId, responseText, { reply_to_message_id: messageId });
+      const reply = await this.withSuggestions(responseText, result, message.from?.id);
+      return await this.sendMessage(chatId, reply.text, {
+        reply_to_message_id: messageId,
+        ...(reply.replyMarkup ? { reply_markup: reply.replyMarkup } : {})
+      });
     } catch (error) {
       return await this.sendMessage(chatId, `❌ Error processing document: ${error.message}`, 
         { reply_to_message_id: messageId });
@@ -901,20 +2521,20 @@ Contact @${this.config.telegram.authorizedUsername} for access to additional fea
       
       // Save forwarded message
       const contextText = `Forwarded from ${source}: ${text}`;
-      const result = await this.saveMessage(contextText, `Forwarded to @${username}`, ['forwarded', 'important']);
+      const result = await this.saveMessage(contextText, `Forwarded to @${username}`, ['forwarded', 'important'],
+        { userId: message.from?.id });
       
       let responseText = `📤 **Forwarded Message Processed**\n\n`;
       responseText += `📍 **Source:** ${source}\n`;
       responseText += `💬 **Content:** ${text.substring(0, 100)}${text.length > 100 ? '...' : ''}\n\n`;
-      responseText += `✅ Saved to your context with auto-extracted action items\n`;
-      
-      if (result.tasksCreated > 0) {
-        responseText += `📋 Auto-created ${result.tasksCreated} tasks\n`;
-      }
-      
+      responseText += `✅ Saved to your context\n`;
       responseText += `🔍 Use /recent or /search to find it later`;
       
-      return await this.sendMessage(chatId, responseText, { reply_to_message_id: messageId });
+      const reply = await this.withSuggestions(responseText, result, message.from?.id);
+      return await this.sendMessage(chatId, reply.text, {
+        reply_to_message_id: messageId,
+        ...(reply.replyMarkup ? { reply_markup: reply.replyMarkup } : {})
+      });
     } catch (error) {
       return await this.sendMessage(chatId, `❌ Error processing forwarded message: ${error.message}`, 
         { reply_to_message_id: messageId });
@@ -964,7 +2584,7 @@ export default async function handler(req, res) {
           'AI Integration',
           'Security Controls'
         ],
-        authorizedUser: process.env.AUTHORIZED_USERNAME || 'Xkonjin',
+        authorization: 'Role-based (OWNER_USER_IDS, /grant)',
         timestamp: new Date().toISOString()
       });
     }
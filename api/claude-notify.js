@@ -2,6 +2,9 @@
 // Receives notifications from Claude Code instances and routes to appropriate group topics
 
 import GroupManager from '../lib/group-manager.js';
+import DecisionManager from '../lib/decision-manager.js';
+import TaskReminders from '../lib/task-reminders.js';
+import Digest from '../lib/digest.js';
 
 class ClaudeNotificationHandler {
   constructor() {
@@ -9,6 +12,10 @@ class ClaudeNotificationHandler {
     this.groupChatId = process.env.JINBOT_HQ_GROUP_ID || process.env.TELEGRAM_CHAT_ID;
     this.webhookSecret = process.env.CLAUDE_WEBHOOK_SECRET || process.env.WEBHOOK_SECRET;
     this.groupManager = new GroupManager(this.botToken);
+    this.decisionManager = new DecisionManager(this.groupManager.storage, this.groupManager);
+    
+    // Long-poll cap, kept below the function's maxDuration in vercel.json
+    this.maxWaitSeconds = parseInt(process.env.DECISION_MAX_WAIT_SECONDS || '50');
     
     // Notification types and routing
     this.notificationRouting = {
@@ -23,15 +30,28 @@ class ClaudeNotificationHandler {
     };
   }
 
+  // Returns null when the secret matches, otherwise { status, error }. Fails closed: without a
+  // configured secret nothing is accepted, since it guards decisions and sweeps as well
+  checkSecret(req) {
+    if (!this.webhookSecret) {
+      return { status: 503, error: 'CLAUDE_WEBHOOK_SECRET is not configured' };
+    }
+
+    // Not accepted in the query string, where it would end up in access logs
+    const providedSecret = req.headers['x-claude-secret'] || req.body?.secret;
+    return providedSecret === this.webhookSecret ? null : { status: 401, error: 'Invalid webhook secret' };
+  }
+
   validateRequest(req) {
     // Verify webhook secret
-    const providedSecret = req.headers['x-claude-secret'] || req.body?.secret;
-    if (providedSecret !== this.webhookSecret) {
-      return { valid: false, error: 'Invalid webhook secret' };
+    const denied = this.checkSecret(req);
+    if (denied) {
+      return { valid: false, ...denied };
     }
 
-    // Validate required fields
-    if (!req.body?.message && !req.body?.notification) {
+    // Validate required fields (only these actions carry no notification)
+    const contentless = ['setup', 'decision', 'sweep'].includes(req.query?.action);
+    if (!contentless && !req.body?.message && !req.body?.notification) {
       return { valid: false, error: 'Missing notification content' };
     }
 
@@ -49,6 +69,9 @@ class ClaudeNotificationHandler {
         project: payload.project,
         requiresDecision: payload.requiresDecision || false,
         actions: payload.actions || [],
+        timeoutSeconds: payload.timeoutSeconds,
+        defaultDecision: payload.defaultDecision,
+        reminderSeconds: payload.reminderSeconds,
         priority: payload.priority || 'medium'
       };
 
@@ -58,6 +81,24 @@ class ClaudeNotificationHandler {
       // Format notification for group
       const formattedNotification = this.groupManager.formatClaudeInstanceNotification(notification);
       
+      // Decisions get inline keyboard buttons and a tracked decision record
+      if (formattedNotification.requiresDecision) {
+        const decisionResult = await this.decisionManager.requestDecision(
+          this.groupChatId,
+          topicKey,
+          formattedNotification
+        );
+
+        return {
+          success: decisionResult.success,
+          topicKey,
+          topicId: decisionResult.topicId,
+          messageId: decisionResult.messageId,
+          decisionId: decisionResult.decisionId,
+          error: decisionResult.error
+        };
+      }
+      
       // Send to appropriate topic in group
       const result = await this.groupManager.sendClaudeNotification(
         this.groupChatId,
@@ -79,23 +120,42 @@ class ClaudeNotificationHandler {
 
   async handleDecisionWebhook(payload) {
     try {
-      const decision = payload.decision;
-      const originalMessageId = payload.messageId;
-      const context = payload.context || '';
+      if (!payload?.decisionId) {
+        return { success: false, error: 'Missing decisionId' };
+      }
 
-      const result = await this.groupManager.handleDecisionResponse(
-        this.groupChatId,
-        originalMessageId,
-        decision,
-        context
+      const result = await this.decisionManager.resolveFromWebhook(
+        payload.decisionId,
+        payload.decision,
+        payload.decidedBy
       );
 
-      return result;
+      return {
+        success: result.success,
+        alreadyResolved: !!result.alreadyResolved,
+        decision: result.decision ? this.decisionManager.formatDecisionStatus(result.decision) : null,
+        error: result.error
+      };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
+  async getDecisionResult(decisionId, wait = 0) {
+    if (!decisionId) {
+      return { success: false, status: 400, error: 'Missing decision id' };
+    }
+
+    const waitSeconds = Math.min(Math.max(parseInt(wait) || 0, 0), this.maxWaitSeconds);
+    const decision = await this.decisionManager.waitForDecision(decisionId, waitSeconds);
+
+    if (!decision) {
+      return { success: false, status: 404, error: `Decision ${decisionId} not found` };
+    }
+
+    return { success: true, status: 200, decision };
+  }
+
   async setupGroupTopics() {
     try {
       if (!this.groupChatId) {
@@ -118,7 +178,7 @@ class ClaudeNotificationHandler {
       notify_command: {
         bash: `curl -X POST "https://telegram-monitor.vercel.app/api/claude-notify" \\
   -H "Content-Type: application/json" \\
-  -H "X-Claude-Secret: ${this.webhookSecret}" \\
+  -H "X-Claude-Secret: SECRET" \\
   -d '{
     "type": "task_completion",
     "message": "Task completed successfully",
@@ -134,7 +194,7 @@ def notify_claude_completion(message, context="", instance="default", project=""
     webhook_url = "https://telegram-monitor.vercel.app/api/claude-notify"
     headers = {
         "Content-Type": "application/json",
-        "X-Claude-Secret": "${this.webhookSecret}"
+        "X-Claude-Secret": "SECRET"
     }
     payload = {
         "type": "task_completion",
@@ -152,16 +212,23 @@ def notify_claude_completion(message, context="", instance="default", project=""
         `
       },
       
+      decision_result: {
+        bash: `curl "https://telegram-monitor.vercel.app/api/claude-notify?action=decision&id=DECISION_ID&wait=30" \\
+  -H "X-Claude-Secret: SECRET"`
+      },
+
       decision_request: {
         bash: `curl -X POST "https://telegram-monitor.vercel.app/api/claude-notify" \\
   -H "Content-Type: application/json" \\
-  -H "X-Claude-Secret: ${this.webhookSecret}" \\
+  -H "X-Claude-Secret: SECRET" \\
   -d '{
     "type": "decision_required",
     "message": "Deploy to production?",
     "context": "All tests passed, code review complete",
     "requiresDecision": true,
     "actions": ["Deploy now", "Schedule for later", "Run additional tests"],
+    "timeoutSeconds": 3600,
+    "defaultDecision": "Schedule for later",
     "priority": "high"
   }'`
       }
@@ -188,7 +255,7 @@ export default async function handler(req, res) {
       // Validate request
       const validation = notificationHandler.validateRequest(req);
       if (!validation.valid) {
-        return res.status(401).json({
+        return res.status(validation.status || 401).json({
           success: false,
           error: validation.error
         });
@@ -208,6 +275,16 @@ export default async function handler(req, res) {
           result = await notificationHandler.handleDecisionWebhook(req.body);
           break;
 
+        case 'sweep':
+          // Expire timed-out decisions, send reminders and a due digest (for external schedulers)
+          result = {
+            success: true,
+            ...await notificationHandler.decisionManager.sweepDecisions(),
+            taskReminders: await new TaskReminders(notificationHandler.groupManager.storage, notificationHandler.groupManager).sweepTaskReminders(),
+            digest: await new Digest(notificationHandler.groupManager.storage, notificationHandler.groupManager).sweepDigest()
+          };
+          break;
+
         default:
           // Process Claude notification
           result = await notificationHandler.processClaudeNotification(req.body);
@@ -219,6 +296,25 @@ export default async function handler(req, res) {
         timestamp: new Date().toISOString()
       });
 
+    } else if (req.query.action === 'decision') {
+      // GET decision result - agents poll or long-poll with ?wait=seconds
+      const denied = notificationHandler.checkSecret(req);
+      if (denied) {
+        return res.status(denied.status).json({
+          success: false,
+          error: denied.error
+        });
+      }
+
+      const result = await notificationHandler.getDecisionResult(req.query.id, req.query.wait);
+      
+      res.status(result.status).json({
+        success: result.success,
+        decision: result.decision,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+
     } else {
       // GET request - return integration information
       const commands = notificationHandler.generateClaudeCodeIntegrationCommands();
@@ -229,7 +325,9 @@ export default async function handler(req, res) {
         endpoints: {
           notify: '/api/claude-notify',
           setup: '/api/claude-notify?action=setup',
-          decision: '/api/claude-notify?action=decision'
+          decision: '/api/claude-notify?action=decision',
+          decisionResult: 'GET /api/claude-notify?action=decision&id=DECISION_ID&wait=SECONDS',
+          sweep: 'POST /api/claude-notify?action=sweep'
         },
         groupChatId: notificationHandler.groupChatId || 'not configured',
         topics: Object.keys(notificationHandler.groupManager.claudeTopics),
@@ -49,11 +49,12 @@ export default async function handler(req, res) {
       }
     });
 
-    // Find the most likely chat ID (most recent from authorized user)
-    const authorizedUsername = process.env.AUTHORIZED_USERNAME || 'Xkonjin';
-    const authorizedChat = chatInfo.find(chat => 
+    // Find the most likely chat ID (most recent from AUTHORIZED_USERNAME, which grants no access)
+    const authorizedUsername = (process.env.AUTHORIZED_USERNAME || '').replace(/^@/, '');
+    const authorizedChat = authorizedUsername ? chatInfo.find(chat => 
       chat.username?.toLowerCase() === authorizedUsername.toLowerCase()
-    );
+    ) : null;
+    const recommendedChat = authorizedChat || chatInfo[0] || null;
 
     res.status(200).json({
       success: true,
@@ -63,11 +64,11 @@ export default async function handler(req, res) {
         step3: 'Add TELEGRAM_CHAT_ID environment variable in Vercel'
       },
       chatInfo,
-      recommendedChatId: authorizedChat?.chatId || (chatInfo[0]?.chatId || null),
-      authorizedUser: authorizedUsername,
+      recommendedChatId: recommendedChat?.chatId || null,
+      authorizedUser: authorizedUsername || 'not set',
       totalUpdates: updates.length,
-      setupCommand: authorizedChat ? 
-        `echo "${authorizedChat.chatId}" | vercel env add TELEGRAM_CHAT_ID production` :
+      setupCommand: recommendedChat ? 
+        `echo "${recommendedChat.chatId}" | vercel env add TELEGRAM_CHAT_ID production` :
         'Send a message to your bot first',
       timestamp: new Date().toISOString()
     });
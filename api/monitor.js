@@ -4,11 +4,18 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import fetch from 'node-fetch';
+import GroupManager from '../lib/group-manager.js';
+import DecisionManager from '../lib/decision-manager.js';
+import TaskReminders from '../lib/task-reminders.js';
+import Digest from '../lib/digest.js';
+import PersistentStorage from '../lib/storage.js';
 
 const execAsync = promisify(exec);
 
 class CloudMonitor {
-  constructor() {
+  // Without storage only MONITOR_ENDPOINTS are checked
+  constructor(storage = null) {
+    this.storage = storage;
     this.config = {
       telegram: {
         botToken: process.env.TELEGRAM_BOT_TOKEN,
@@ -140,6 +147,18 @@ class CloudMonitor {
     }
   }
 
+  // MONITOR_ENDPOINTS plus the ones added from chat with /endpoints add: [{ url, name }]
+  async getEndpoints() {
+    const stored = this.storage ? await this.storage.getMonitorEndpoints() : [];
+    const endpoints = this.config.endpoints.map(url => ({ url: url.trim(), name: null })).filter(endpoint => endpoint.url);
+    for (const endpoint of stored) {
+      if (!endpoints.some(existing => existing.url === endpoint.url)) {
+        endpoints.push({ url: endpoint.url, name: endpoint.name || null });
+      }
+    }
+    return endpoints;
+  }
+
   async runMonitoringCheck() {
     console.log('Starting monitoring check at', new Date().toISOString());
     
@@ -163,11 +182,10 @@ class CloudMonitor {
     }
 
     // Check configured endpoints
-    for (const endpoint of this.config.endpoints) {
-      if (!endpoint.trim()) continue;
-      
-      const healthCheck = await this.checkEndpointHealth(endpoint);
-      results.endpoints.push(healthCheck);
+    for (const { url, name } of await this.getEndpoints()) {
+      const endpoint = name ? `${name} (${url})` : url;
+      const healthCheck = await this.checkEndpointHealth(url);
+      results.endpoints.push({ ...healthCheck, name });
 
       if (!healthCheck.healthy) {
         const alert = {
@@ -208,22 +226,80 @@ class CloudMonitor {
   }
 }
 
+// Vercel cron runs send `Authorization: Bearer $CRON_SECRET`; /monitor from chat sends the same.
+// Runs DM people and post alerts, so nothing runs while CRON_SECRET is unset.
+function checkCronSecret(req) {
+  if (!process.env.CRON_SECRET) {
+    return { status: 503, error: 'CRON_SECRET is not configured' };
+  }
+  return req.headers?.authorization === `Bearer ${process.env.CRON_SECRET}` ?
+    null :
+    { status: 401, error: 'Invalid or missing cron secret' };
+}
+
+async function runSweep(label, sweep) {
+  try {
+    return await sweep();
+  } catch (sweepError) {
+    console.error(`${label} sweep error:`, sweepError);
+    return { error: sweepError.message };
+  }
+}
+
 // Vercel serverless function handler
 export default async function handler(req, res) {
   // Set CORS headers for browser access
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
     return;
   }
 
+  const denied = checkCronSecret(req);
+  if (denied) {
+    return res.status(denied.status).json({ success: false, error: denied.error });
+  }
+
   try {
-    const monitor = new CloudMonitor();
+    let storage = null;
+    try {
+      storage = new PersistentStorage();
+    } catch (storageError) {
+      console.error('Storage unavailable, checking MONITOR_ENDPOINTS only:', storageError);
+    }
+    
+    const monitor = new CloudMonitor(storage);
     const results = await monitor.runMonitoringCheck();
     
+    // The sweeps share the monitor's storage, so the file driver's write queue covers all of them
+    const groupManager = storage ? new GroupManager(process.env.TELEGRAM_BOT_TOKEN, storage) : null;
+    const withStorage = sweep => async () => {
+      if (!groupManager) throw new Error('Storage unavailable');
+      return await sweep();
+    };
+    
+    // Expire overdue decision requests and send reminders on the same schedule
+    const decisionSweep = await runSweep('Decision', withStorage(() =>
+      new DecisionManager(storage, groupManager).sweepDecisions()));
+    
+    // DM task owners about upcoming and missed deadlines
+    const reminderSweep = await runSweep('Task reminder', withStorage(() =>
+      new TaskReminders(storage, groupManager).sweepTaskReminders()));
+    
+    // Age and per-tag message limits; the count limit is applied whenever a message is saved
+    const retentionSweep = await runSweep('Message retention', withStorage(async () =>
+      ({ deleted: await storage.applyMessageRetention() })));
+    
+    // Keep this run's alerts for the digest, then send the digest if its delivery time has passed
+    const digestSweep = await runSweep('Digest', withStorage(async () => {
+      const timestamp = results.timestamp;
+      await storage.addIncidents(results.alerts.map(alert => ({ ...alert, timestamp })));
+      return await new Digest(storage, groupManager).sweepDigest();
+    }));
+    
     // Return monitoring results
     res.status(200).json({
       success: true,
@@ -234,8 +310,12 @@ export default async function handler(req, res) {
         alertsGenerated: results.alerts.length,
         healthyEndpoints: results.endpoints.filter(e => e.healthy).length
       },
+      decisions: decisionSweep,
+      taskReminders: reminderSweep,
+      digest: digestSweep,
+      messageRetention: retentionSweep,
       details: results,
-      nextCheck: new Date(Date.now() + 5 * 60 * 1000).toISOString() // Next check in 5 minutes
+      nextCheck: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // Next daily cron run
     });
   } catch (error) {
     console.error('Monitoring error:', error);
@@ -2,6 +2,9 @@
 // Configures webhook URL and bot commands
 
 import fetch from 'node-fetch';
+import PersistentStorage from '../lib/storage.js';
+import AccessControl, { DEFAULT_GROUP_POLICY } from '../lib/access-control.js';
+import CommandRegistry from '../lib/commands.js';
 
 class WebhookManager {
   constructor() {
@@ -62,38 +65,67 @@ class WebhookManager {
     }
   }
 
-  async setBotCommands() {
-    const commands = [
-      { command: 'start', description: 'Welcome message and bot introduction' },
-      { command: 'help', description: 'Show all available commands' },
-      { command: 'plasmabrand', description: 'Get Plasma brand resources and guidelines' },
-      { command: 'status', description: 'Bot status and statistics (authorized users)' },
-      { command: 'addtask', description: 'Add a new task (authorized users)' },
-      { command: 'tasks', description: 'List pending tasks (authorized users)' },
-      { command: 'complete', description: 'Mark task as completed (authorized users)' },
-      { command: 'save', description: 'Save message context (authorized users)' },
-      { command: 'recent', description: 'Get recent context (authorized users)' },
-      { command: 'search', description: 'Search messages (authorized users)' },
-      { command: 'monitor', description: 'Trigger system monitoring (authorized users)' },
-      { command: 'endpoints', description: 'Check monitored endpoints (authorized users)' },
-      { command: 'webhook', description: 'Webhook configuration (authorized users)' },
-      { command: 'sync', description: 'Sync data (authorized users)' }
-    ];
-
+  async setMyCommands(commands, scope) {
     const url = `${this.apiBase}/setMyCommands`;
     
     try {
       const response = await fetch(url, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ commands })
+        body: JSON.stringify({ commands, scope })
       });
 
       const data = await response.json();
-      return { success: data.ok, data, commandCount: commands.length };
+      return { success: data.ok, scope, commandCount: commands.length, ...(data.ok ? {} : { error: data.description }) };
     } catch (error) {
-      return { success: false, error: error.message };
+      return { success: false, scope, error: error.message };
+    }
+  }
+
+  // One menu per scope, all generated from the command registry: public commands by default,
+  // what members can run in groups, and per-chat menus for each user's role and each group
+  // with its own policy. The per-chat ones need storage; without it only the first two are set.
+  async setBotCommands() {
+    const registry = new CommandRegistry();
+    // Only the role rules are needed for these two, nothing is read from storage
+    const rules = new AccessControl(null);
+    const menus = [
+      { scope: { type: 'default' }, entries: registry.allowedFor(rules, null) },
+      {
+        scope: { type: 'all_group_chats' },
+        entries: registry.allowedFor(rules, DEFAULT_GROUP_POLICY.maxRole, { chatType: 'group', policy: DEFAULT_GROUP_POLICY })
+      }
+    ];
+    
+    try {
+      const access = new AccessControl(new PersistentStorage());
+      for (const user of await access.listUsers()) {
+        menus.push({ scope: { type: 'chat', chat_id: user.userId }, entries: registry.allowedFor(access, user.role) });
+      }
+      
+      const groups = await access.storage.getChatPolicies();
+      if (access.hqGroupId && !groups.some(policy => String(policy.chatId) === access.hqGroupId)) {
+        groups.push(await access.getChatPolicy({ id: access.hqGroupId, type: 'supergroup' }));
+      }
+      for (const policy of groups) {
+        menus.push({
+          scope: { type: 'chat', chat_id: policy.chatId },
+          entries: registry.allowedFor(access, policy.maxRole || 'owner', { chatType: 'group', policy })
+        });
+      }
+    } catch (error) {
+      console.error('Failed to load roles for per-chat command menus:', error);
+    }
+    
+    const results = [];
+    for (const menu of menus) {
+      results.push(await this.setMyCommands(registry.menu(menu.entries), menu.scope));
     }
+    return {
+      success: results.every(result => result.success),
+      commandCount: results[0].commandCount,
+      scopes: results
+    };
   }
 
   async getBotInfo() {
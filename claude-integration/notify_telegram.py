@@ -8,6 +8,7 @@ import requests
 import json
 import sys
 import os
+import time
 from datetime import datetime
 from typing import Dict, List, Optional
 
@@ -19,7 +20,8 @@ class ClaudeTelegramNotifier:
         
     def notify(self, message: str, topic: str = "general", context: str = "", 
               requires_decision: bool = False, actions: List[str] = None,
-              priority: str = "medium", project: str = ""):
+              priority: str = "medium", project: str = "",
+              timeout_seconds: Optional[int] = None, default_decision: Optional[str] = None):
         """
         Send notification to Telegram group topic
         
@@ -31,6 +33,8 @@ class ClaudeTelegramNotifier:
             actions: List of available actions for decision
             priority: Priority level (low, medium, high, critical)
             project: Project name
+            timeout_seconds: Seconds before an unanswered decision resolves to the default
+            default_decision: Outcome applied on timeout (approve, reject, info or an action label)
         """
         try:
             headers = {
@@ -51,6 +55,11 @@ class ClaudeTelegramNotifier:
                 "source": "claude-code"
             }
             
+            if timeout_seconds:
+                payload["timeoutSeconds"] = timeout_seconds
+            if default_decision:
+                payload["defaultDecision"] = default_decision
+            
             response = requests.post(self.webhook_url, json=payload, headers=headers, timeout=10)
             
             if response.ok:
@@ -58,7 +67,8 @@ class ClaudeTelegramNotifier:
                 return {
                     "success": True,
                     "topic_id": result.get("result", {}).get("topicId"),
-                    "message_id": result.get("result", {}).get("messageId")
+                    "message_id": result.get("result", {}).get("messageId"),
+                    "decision_id": result.get("result", {}).get("decisionId")
                 }
             else:
                 return {
@@ -93,7 +103,8 @@ class ClaudeTelegramNotifier:
         )
     
     def request_decision(self, decision_needed: str, context: str = "", 
-                        actions: List[str] = None, project: str = ""):
+                        actions: List[str] = None, project: str = "",
+                        timeout_seconds: Optional[int] = None, default_decision: Optional[str] = None):
         """Request a decision from user"""
         return self.notify(
             message=f"⚖️ Decision needed: {decision_needed}",
@@ -102,9 +113,76 @@ class ClaudeTelegramNotifier:
             requires_decision=True,
             actions=actions or ["Approve", "Reject", "More Info"],
             project=project,
-            priority="high"
+            priority="high",
+            timeout_seconds=timeout_seconds,
+            default_decision=default_decision
         )
     
+    def get_decision(self, decision_id: str, wait: int = 0):
+        """
+        Fetch the current state of a decision request
+        
+        Args:
+            decision_id: ID returned by request_decision()
+            wait: Seconds the server may block waiting for a result (long-poll)
+        """
+        try:
+            headers = {"X-Claude-Secret": self.webhook_secret}
+            params = {"action": "decision", "id": decision_id, "wait": wait}
+            
+            response = requests.get(self.webhook_url, params=params, headers=headers, timeout=wait + 10)
+            
+            if response.ok:
+                return {"success": True, "decision": response.json().get("decision")}
+            else:
+                return {
+                    "success": False,
+                    "status": response.status_code,
+                    "error": f"HTTP {response.status_code}: {response.text}"
+                }
+                
+        except Exception as e:
+            return {
+                "success": False,
+                "status": None,
+                "error": str(e)
+            }
+
+    def wait_for_decision(self, decision_id: str, timeout: int = 600, poll_wait: int = 45):
+        """
+        Block until a decision is made or the timeout elapses
+        
+        Args:
+            decision_id: ID returned by request_decision()
+            timeout: Total seconds to wait before giving up
+            poll_wait: Seconds per long-poll request (server caps this)
+            
+        Returns the final decision dict, or the last pending state with
+        "timed_out": True if nobody answered in time. Client errors (4xx,
+        e.g. a wrong secret or unknown decision ID) are returned at once.
+        """
+        deadline = time.time() + timeout
+        last_state = None
+        
+        while time.time() < deadline:
+            wait = int(max(0, min(poll_wait, deadline - time.time())))
+            result = self.get_decision(decision_id, wait=wait)
+            
+            if not result["success"]:
+                status = result.get("status")
+                if status is not None and status < 500:
+                    return {"success": False, "timed_out": False, "error": result["error"], "decision": last_state}
+                
+                # Server and connection errors are retried until the deadline
+                time.sleep(2)
+                continue
+            
+            last_state = result["decision"]
+            if last_state and last_state.get("resolved"):
+                return {"success": True, "timed_out": False, "decision": last_state}
+        
+        return {"success": False, "timed_out": True, "decision": last_state}
+
     def notify_content_ready(self, content_type: str, description: str = "", project: str = ""):
         """Notify when content is ready for review"""
         return self.notify(
@@ -145,6 +223,10 @@ def decision_needed(question: str, **kwargs):
     """Quick decision request"""
     return notifier.request_decision(question, **kwargs)
 
+def wait_for_decision(decision_id: str, **kwargs):
+    """Block until a decision is made"""
+    return notifier.wait_for_decision(decision_id, **kwargs)
+
 def content_ready(content: str, **kwargs):
     """Quick content notification"""
     return notifier.notify_content_ready(content, **kwargs)
@@ -0,0 +1,282 @@
+// Role-based access control shared by the bot endpoints
+// Roles are keyed by Telegram user ID because usernames can change; usernames are only
+// remembered so roles can be granted with /grant @username. What a role allows also depends
+// on the chat: group chats can cap roles and turn commands on or off with /chatpolicy.
+
+// Lowest to highest; each role can do everything the roles before it can
+export const ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+export const ROLE_EMOJIS = {
+  owner: '👑',
+  admin: '🛡️',
+  member: '👤',
+  viewer: '👀'
+};
+
+// Actions that aren't commands -> lowest role allowed; unlisted ones need `member`. Button
+// presses are checked as `button:<prefix>`, saved chat messages and media as `message`.
+// Commands declare their role in lib/commands.js and pass it to check().
+export const PERMISSIONS = {
+  'button:pg': 'viewer',
+  'button:set': 'viewer',
+  'button:dec': 'admin',
+  'button:acc': 'admin'
+};
+
+const DEFAULT_ROLE = 'member';
+
+// Per-chat policies cap the role people act with in a chat (`maxRole`) and override what a
+// command needs there (`commands`: a role, or 'off'). Group output is visible to everyone
+// in the group, so groups without a policy act as members at most.
+export const DEFAULT_GROUP_POLICY = { maxRole: 'member', commands: {} };
+export const DEFAULT_HQ_POLICY = { maxRole: 'admin', commands: { export: 'off', notify: 'member' } };
+
+// Chat policies are managed from the chat they apply to, so they ignore its limits
+const UNSCOPED_ACTIONS = ['chatpolicy'];
+
+export function requiredRole(action) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, action) ? PERMISSIONS[action] : DEFAULT_ROLE;
+}
+
+class AccessControl {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+
+    // Configured owners can't be demoted from chat. Without OWNER_USER_IDS a private
+    // TELEGRAM_CHAT_ID is used, since a private chat's ID is the user's ID.
+    const chatId = options.chatId ?? process.env.TELEGRAM_CHAT_ID ?? '';
+    const ownerIds = options.ownerIds ?? process.env.OWNER_USER_IDS ?? (parseInt(chatId) > 0 ? chatId : '');
+    this.ownerIds = String(ownerIds).split(',').map(id => id.trim()).filter(Boolean);
+
+    // The HQ group gets DEFAULT_HQ_POLICY until it has its own
+    const hqGroupId = options.hqGroupId ?? process.env.JINBOT_HQ_GROUP_ID ?? (parseInt(chatId) < 0 ? chatId : '');
+    this.hqGroupId = hqGroupId ? String(hqGroupId) : null;
+  }
+
+  rank(role) {
+    return ROLES.indexOf(role);
+  }
+
+  isRole(role) {
+    return ROLES.includes(role);
+  }
+
+  hasRole(role, required) {
+    if (required === null) return true;
+    return this.isRole(role) && this.rank(role) >= this.rank(required);
+  }
+
+  // The user's own role, wherever they are: { role, source } with source `config` (OWNER_USER_IDS) or `granted`
+  async resolve(user) {
+    if (!user?.id) return { role: null, source: null };
+    if (this.ownerIds.includes(String(user.id))) return { role: 'owner', source: 'config' };
+
+    const record = await this.storage.getUserRole(user.id);
+    if (record && this.isRole(record.role)) return { role: record.role, source: 'granted' };
+    return { role: null, source: null };
+  }
+
+  // Configured and granted owners, e.g. to notify about access requests
+  async getOwnerIds() {
+    const granted = (await this.storage.getUserRoles())
+      .filter(record => record.role === 'owner')
+      .map(record => String(record.userId));
+    return [...new Set([...this.ownerIds, ...granted])];
+  }
+
+  // Private chats have no limits; returns { chatId, maxRole, commands, custom }
+  async getChatPolicy(chat) {
+    if (!chat?.id || chat.type === 'private') {
+      return { chatId: chat?.id ?? null, maxRole: null, commands: {}, custom: false };
+    }
+
+    const stored = await this.storage.getChatPolicy(chat.id);
+    if (stored) return { ...stored, custom: true };
+    const defaults = String(chat.id) === this.hqGroupId ? DEFAULT_HQ_POLICY : DEFAULT_GROUP_POLICY;
+    return { chatId: chat.id, ...defaults, commands: { ...defaults.commands }, custom: false };
+  }
+
+  async saveChatPolicy(chat, { maxRole, commands }, actor) {
+    const policy = {
+      chatId: chat.id,
+      title: chat.title || null,
+      maxRole: maxRole || null,
+      commands,
+      updatedBy: { id: actor.id, username: actor.username || null },
+      updatedAt: new Date().toISOString()
+    };
+    await this.storage.saveChatPolicy(policy);
+    return { ...policy, custom: true };
+  }
+
+  // Back to the default group (or HQ) policy
+  async resetChatPolicy(chat) {
+    await this.storage.removeChatPolicy(chat.id);
+    return await this.getChatPolicy(chat);
+  }
+
+  // The lower of the user's role and the chat's cap
+  scopeRole(role, policy) {
+    if (!role || !policy.maxRole) return role;
+    return this.rank(role) > this.rank(policy.maxRole) ? policy.maxRole : role;
+  }
+
+  // The single authorization check, for a user in a chat. `required` is the command's role
+  // from the registry; other actions default to PERMISSIONS.
+  // Returns { allowed, role, chatRole, required, disabled, source }
+  async check(user, action, chat = null, required = requiredRole(action)) {
+    const { role, source } = await this.resolve(user);
+    const policy = UNSCOPED_ACTIONS.includes(action) ? null : await this.getChatPolicy(chat);
+    return { ...this.evaluate(role, policy, action, required), source };
+  }
+
+  // check() for a known role and chat policy, without storage lookups (e.g. for every command in /help)
+  evaluate(role, policy, action, required = requiredRole(action)) {
+    if (!policy || UNSCOPED_ACTIONS.includes(action)) {
+      return { allowed: this.hasRole(role, required), role, chatRole: role, required, disabled: false };
+    }
+
+    const override = policy.commands[action];
+    const chatRole = this.scopeRole(role, policy);
+    const disabled = override === 'off';
+    const needed = override && !disabled ? override : required;
+    return { allowed: !disabled && this.hasRole(chatRole, needed), role, chatRole, required: needed, disabled };
+  }
+
+  // Button denials are shown as a plain-text alert, so they stay short. Endpoints without
+  // /request and invite links pass `canRequest: false`; `publicCommands` come from their registry.
+  denialMessage(access, action, user, { canRequest = true, publicCommands = [] } = {}) {
+    const howToJoin = canRequest ?
+      'send /request to ask the owner for access, or open an invite link' :
+      'ask the owner or an admin to /grant you one';
+    if (!access.role && action.startsWith('button:')) {
+      return `🔒 You don't have a role on this bot yet - ${howToJoin}`;
+    }
+    if (!access.role) {
+      return `🔒 **Access Restricted**\n\nYou don't have a role on this bot yet - ${howToJoin}.\nYour user ID: \`${user?.id}\`\n\nAvailable for everyone:\n${publicCommands.map(command => `• /${command}`).join('\n')}`;
+    }
+    const what = action.startsWith('button:') ? 'This button' : action === 'message' ? 'Saving messages' : `/${action}`;
+    if (access.disabled) {
+      return `🔒 ${what} is turned off in this chat.`;
+    }
+    if (access.chatRole !== access.role && this.hasRole(access.role, access.required)) {
+      return `🔒 ${what} needs the ${access.required} role - in this chat you act as ${access.chatRole} at most. Try it in a private chat with the bot.`;
+    }
+    return `🔒 ${what} needs the ${access.required} role - you are ${ROLE_EMOJIS[access.role]} ${access.role}.`;
+  }
+
+  // Records the user's current username; only written when it changed
+  async remember(user) {
+    if (!user?.id || user.is_bot) return null;
+
+    const previous = await this.storage.getUserProfile(user.id);
+    const profile = {
+      id: user.id,
+      username: user.username || null,
+      name: [user.first_name, user.last_name].filter(Boolean).join(' ') || null
+    };
+    if (previous?.username !== profile.username || previous?.name !== profile.name) {
+      await this.storage.saveUserProfile(profile, previous);
+    }
+    return profile;
+  }
+
+  // "@username" (seen by the bot before) or a numeric user ID -> { id, username, name } or null
+  async findUser(reference) {
+    const value = String(reference || '').trim();
+    const id = /^\d+$/.test(value) ? parseInt(value) :
+      /^@?[A-Za-z0-9_]{3,}$/.test(value) ? await this.storage.getUserIdByUsername(value) : null;
+    if (!id) return null;
+
+    return await this.storage.getUserProfile(id) || { id, username: null, name: null };
+  }
+
+  describeUser(profile) {
+    if (profile?.username) return `@${profile.username}`;
+    return profile?.name ? `${profile.name} (${profile.id})` : `user ${profile?.id}`;
+  }
+
+  // Owners can hand out any role; admins only members and viewers. Used for grants, invites
+  // and request approvals; returns { error } or { actorRole }.
+  async checkAssign(actor, role) {
+    const actorAccess = await this.resolve(actor);
+    if (!actorAccess.role) {
+      return { error: 'Role changes need a role of your own' };
+    }
+    if (actorAccess.role !== 'owner' && role && this.rank(role) >= this.rank(actorAccess.role)) {
+      return { error: 'Only the owner can grant or revoke admin and owner roles' };
+    }
+    return { actorRole: actorAccess.role };
+  }
+
+  // Returns { error } or null when `actor` may change `target` to `role` (null to revoke)
+  async checkChange(actor, target, role) {
+    const assign = await this.checkAssign(actor, role);
+    if (assign.error) return assign;
+    if (String(actor.id) === String(target.id)) {
+      return { error: "You can't change your own role" };
+    }
+    if (this.ownerIds.includes(String(target.id))) {
+      return { error: `${this.describeUser(target)} is an owner through OWNER_USER_IDS` };
+    }
+
+    const current = await this.storage.getUserRole(target.id);
+    if (assign.actorRole !== 'owner' && current && this.rank(current.role) >= this.rank(assign.actorRole)) {
+      return { error: 'Only the owner can grant or revoke admin and owner roles' };
+    }
+    return null;
+  }
+
+  // `details` records how the role was given (e.g. { via: 'invite' }); returns { record, previous } or { error }
+  async grant(actor, target, role, details = {}) {
+    if (!this.isRole(role)) {
+      return { error: `Unknown role: ${role}\nRoles: ${ROLES.slice().reverse().join(', ')}` };
+    }
+    const denied = await this.checkChange(actor, target, role);
+    if (denied) return denied;
+
+    const previous = await this.storage.getUserRole(target.id);
+    const record = {
+      userId: target.id,
+      role,
+      grantedBy: { id: actor.id, username: actor.username || null },
+      grantedAt: new Date().toISOString(),
+      ...details
+    };
+    await this.storage.saveUserRole(record);
+    return { record, previous };
+  }
+
+  // Returns { previous } or { error }
+  async revoke(actor, target) {
+    const denied = await this.checkChange(actor, target, null);
+    if (denied) return denied;
+
+    const previous = await this.storage.getUserRole(target.id);
+    if (!previous) {
+      return { error: `${this.describeUser(target)} has no granted role` };
+    }
+    await this.storage.removeUserRole(target.id);
+    return { previous };
+  }
+
+  // Granted roles plus configured owners, highest role first: [{ profile, role, source, grantedAt }]
+  async listUsers() {
+    const records = await this.storage.getUserRoles();
+    const entries = [
+      ...this.ownerIds.map(id => ({ userId: id, role: 'owner', source: 'config' })),
+      ...records
+        .filter(record => !this.ownerIds.includes(String(record.userId)) && this.isRole(record.role))
+        .map(record => ({ ...record, source: 'granted' }))
+    ];
+
+    const users = await Promise.all(entries.map(async entry => ({
+      ...entry,
+      profile: await this.storage.getUserProfile(entry.userId) || { id: entry.userId, username: null, name: null }
+    })));
+    return users.sort((a, b) => this.rank(b.role) - this.rank(a.role) ||
+      this.describeUser(a.profile).localeCompare(this.describeUser(b.profile)));
+  }
+}
+
+export default AccessControl;
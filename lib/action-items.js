@@ -0,0 +1,160 @@
+// Action item extraction for saved messages
+// Finds imperatives ("send the deck to Ana"), commitments ("I'll review it", "@bob needs to call Ana")
+// and explicit markers ("TODO: ..."), skipping questions and things that already happened
+
+import DueDateParser from './due-dates.js';
+import { tokenize } from './search-index.js';
+
+// Verbs that start an instruction when they open a sentence
+const IMPERATIVE_VERBS = new Set([
+  'add', 'approve', 'arrange', 'ask', 'book', 'buy', 'call', 'cancel', 'check', 'collect', 'confirm',
+  'contact', 'create', 'deliver', 'deploy', 'design', 'discuss', 'do', 'draft', 'email', 'file',
+  'finalise', 'finalize', 'finish', 'fix', 'follow', 'implement', 'install', 'investigate', 'invite',
+  'mail', 'make', 'merge', 'message', 'migrate', 'move', 'order', 'organise', 'organize', 'pay', 'ping',
+  'plan', 'post', 'prepare', 'print', 'publish', 'push', 'reach', 'refactor', 'register', 'release',
+  'remind', 'remove', 'renew', 'reply', 'research', 'reschedule', 'respond', 'review', 'schedule',
+  'send', 'share', 'ship', 'sign', 'submit', 'test', 'text', 'update', 'upload', 'verify', 'write'
+]);
+
+// Verbs after "will"/"should" that describe a state rather than something to do
+const STATE_VERBS = new Set([
+  'be', 'feel', 'hate', 'hope', 'know', 'like', 'love', 'mind', 'need', 'seem', 'think', 'want', 'wish'
+]);
+
+const MODAL_PATTERN = /^(?:(?:really|also|still|definitely|probably)\s+)?(?:needs?\s+to|ha(?:ve|s)\s+to|must|should|shall|will|['’]ll|(?:am|is|are|['’]m|['’]re)\s+going\s+to|plans?\s+to|gotta|gonna)\s+(.+)$/i;
+const SUBJECT_PRONOUNS = ['i', 'we', 'you', 'they', 'he', 'she', 'someone', 'somebody'];
+const QUESTION_WORDS = /^(?:who|what|when|where|why|how|which|is|are|am|do|does|did)\b/i;
+const PAST_MARKERS = /\b(?:already|was supposed to|were supposed to)\b|^(?:have|['’]ve|has)\s+\w+(?:ed|en|t)\b/i;
+const LEAD_IN = /^(?:(?:please|pls|kindly|let['’]?s|also|and|then|so|ok(?:ay)?|don['’]t forget to|remember to|make sure to|need to|must)\s*,?\s+)+/i;
+// Sharing links and media reads like an instruction but isn't one
+const NOT_A_TASK = /^check\s+(?:(?:this|that|it)\s+out|out\s+(?:this|that|these|my|our))\b/i;
+const EXPLICIT_MARKER = /^(?:todo|to-do|action(?:\s+item)?|ai|task)\s*[:\-]\s*(.+)$/i;
+
+class ActionItemExtractor {
+  constructor(options = {}) {
+    this.dueDates = options.dueDates || new DueDateParser();
+    this.limit = options.limit || 3;
+    this.duplicateThreshold = options.duplicateThreshold || 0.6;
+  }
+
+  // Sentences keep their closing punctuation so questions can be recognized
+  splitSentences(text) {
+    return String(text || '')
+      .split(/(?<=[.!?])\s+|\n+|;\s*/)
+      .map(sentence => sentence.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+      .filter(Boolean);
+  }
+
+  isQuestion(sentence) {
+    return /\?\s*$/.test(sentence) || QUESTION_WORDS.test(sentence) && !/[.!]$/.test(sentence);
+  }
+
+  // Returns { subject, rest } for "I will ...", "@bob needs to ...", "Ana should ..."
+  splitSubject(sentence) {
+    const match = sentence.match(/^(@\w+|[\p{L}]+)(?=\s|['’])\s*(.*)$/u);
+    if (!match) return null;
+
+    const [, word, rest] = match;
+    const isPronoun = SUBJECT_PRONOUNS.includes(word.toLowerCase());
+    // A capitalized name ("Ana should ...") counts as a subject, other words don't
+    const isName = word.startsWith('@') ||
+      (!isPronoun && /^\p{Lu}\p{Ll}+$/u.test(word) && !IMPERATIVE_VERBS.has(word.toLowerCase()));
+    if (!isPronoun && !isName) return null;
+
+    return { subject: word, rest, assignee: isName ? word : null };
+  }
+
+  // Turns one sentence into { action, assignee } or null when it isn't an action item
+  classify(sentence) {
+    // Chat-style "Name: message" prefixes are ignored unless they mark a to-do
+    const explicit = sentence.match(EXPLICIT_MARKER);
+    if (explicit) return { action: explicit[1], assignee: null };
+    const unlabeled = sentence.replace(/^[^:\n]{1,40}:\s+(?=\S)/, '');
+    const marked = unlabeled.match(EXPLICIT_MARKER);
+    if (marked) return { action: marked[1], assignee: null };
+
+    if (this.isQuestion(unlabeled)) return null;
+    const body = unlabeled.replace(LEAD_IN, '');
+    if (PAST_MARKERS.test(body) || NOT_A_TASK.test(body)) return null;
+
+    // "ask @bob to review the PR" delegates to @bob
+    const delegated = body.match(/^ask\s+(@\w+|\p{Lu}\p{Ll}+)\s+to\s+(.+)$/u);
+    if (delegated) return { action: delegated[2], assignee: delegated[1] };
+    if (this.startsWithImperative(body)) return { action: body, assignee: null };
+
+    const subject = this.splitSubject(body);
+    if (subject) {
+      // "@bob please review the PR" assigns an instruction
+      const instruction = subject.assignee && subject.rest.replace(LEAD_IN, '');
+      if (instruction && instruction !== subject.rest && this.startsWithImperative(instruction)) {
+        return { action: instruction, assignee: subject.assignee };
+      }
+
+      const commitment = subject.rest.match(MODAL_PATTERN);
+      if (!commitment || PAST_MARKERS.test(commitment[1])) return null;
+
+      const verb = commitment[1].split(/\s+/)[0].toLowerCase();
+      if (STATE_VERBS.has(verb) || /^(?:not|never)$/.test(verb)) return null;
+      return { action: commitment[1], assignee: subject.assignee };
+    }
+    return null;
+  }
+
+  startsWithImperative(text) {
+    return IMPERATIVE_VERBS.has(text.split(/\s+/)[0].toLowerCase());
+  }
+
+  clean(action) {
+    const text = action.replace(/[\s.!,;:]+$/, '').replace(/\s+please$/i, '').trim();
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // Returns up to `limit` candidates: { description, assignee, dueAt, sentence }
+  extract(text, { timeZone = 'UTC', now = new Date() } = {}) {
+    const candidates = [];
+
+    for (const sentence of this.splitSentences(text)) {
+      const item = this.classify(sentence);
+      if (!item) continue;
+
+      const deadline = this.dueDates.parse(item.action, { timeZone, now });
+      const description = this.clean(deadline.error ? item.action : deadline.description);
+      if (description.length < 6 || candidates.some(c => this.similarity(c.description, description) === 1)) continue;
+
+      candidates.push({
+        description,
+        assignee: item.assignee,
+        dueAt: deadline.dueAt && !deadline.error ? deadline.dueAt.toISOString() : null,
+        sentence
+      });
+      if (candidates.length >= this.limit) break;
+    }
+
+    return candidates;
+  }
+
+  // Jaccard similarity of the significant words, ignoring "From Chat 123:" style prefixes
+  similarity(a, b) {
+    const words = text => new Set(tokenize(String(text).replace(/^from [^:]{1,60}:\s*/i, '')));
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 || right.size === 0) return 0;
+
+    const shared = [...left].filter(word => right.has(word)).length;
+    return shared / (left.size + right.size - shared);
+  }
+
+  // Most similar pending task above the duplicate threshold, or null
+  findDuplicate(description, tasks) {
+    let best = null;
+    for (const task of tasks) {
+      const score = this.similarity(description, task.description);
+      if (score >= this.duplicateThreshold && (!best || score > best.score)) {
+        best = { task, score };
+      }
+    }
+    return best;
+  }
+}
+
+export default ActionItemExtractor;
@@ -112,7 +112,8 @@ class CalendarIntegration {
     }
   }
 
-  formatEventsForTelegram(events) {
+  // `formatTime` renders a Date, e.g. in the user's timezone and date format
+  formatEventsForTelegram(events, formatTime = time => time.toLocaleString()) {
     if (!events || events.length === 0) {
       return '📅 No upcoming events found.';
     }
@@ -124,7 +125,7 @@ class CalendarIntegration {
       const endTime = new Date(event.end);
       
       response += `${index + 1}. **${event.summary}**\n`;
-      response += `🕐 ${startTime.toLocaleString()}\n`;
+      response += `🕐 ${formatTime(startTime)}\n`;
       if (event.description) {
         response += `📝 ${event.description}\n`;
       }
@@ -2,9 +2,11 @@
 // Provides webhook-based interface to Claude Code master system
 
 import fetch from 'node-fetch';
+import PersistentStorage from './storage.js';
 
 class ClaudeIntegration {
-  constructor() {
+  constructor(storage = null) {
+    this.storage = storage || new PersistentStorage();
     this.claudeWebhookUrl = process.env.CLAUDE_WEBHOOK_URL;
     this.masterMemoryUrl = process.env.MASTER_MEMORY_URL;
     this.claudeApiKey = process.env.CLAUDE_API_KEY;
@@ -87,11 +89,9 @@ class ClaudeIntegration {
   async logToMasterMemory(operationType, data) {
     try {
       // In production, this would sync with your master memory system
-      // For now, we'll store in a separate KV namespace for Claude operations
+      // For now, we'll store in a separate storage namespace for Claude operations
       
-      if (process.env.KV_REST_API_URL) {
-        const { kv } = await import('@vercel/kv');
-        
+      if (this.storage.driver.persistent) {
         const logEntry = {
           id: `claude_${Date.now()}`,
           operationType,
@@ -101,7 +101,7 @@ class ClaudeIntegration {
         };
         
         // Store in Claude operations log
-        const claudeOps = await kv.get('jinbot:claude_operations') || [];
+        const claudeOps = await this.storage.getValue('claude_operations', []);
         claudeOps.push(logEntry);
         
         // Keep only last 100 operations
@@ -109,7 +109,7 @@ class ClaudeIntegration {
           claudeOps.splice(0, claudeOps.length - 100);
         }
         
-        await kv.set('jinbot:claude_operations', claudeOps);
+        await this.storage.setValue('claude_operations', claudeOps);
         return true;
       }
       
@@ -122,12 +122,8 @@ class ClaudeIntegration {
 
   async getClaudeOperationsHistory(limit = 10) {
     try {
-      if (process.env.KV_REST_API_URL) {
-        const { kv } = await import('@vercel/kv');
-        const operations = await kv.get('jinbot:claude_operations') || [];
-        return operations.slice(-limit).reverse(); // Most recent first
-      }
-      return [];
+      const operations = await this.storage.getValue('claude_operations', []);
+      return operations.slice(-limit).reverse(); // Most recent first
     } catch (error) {
       console.error('Get Claude operations error:', error);
       return [];
@@ -148,10 +144,7 @@ class ClaudeIntegration {
       };
       
       // Store sync record
-      if (process.env.KV_REST_API_URL) {
-        const { kv } = await import('@vercel/kv');
-        await kv.set('jinbot:last_memory_sync', syncData);
-      }
+      await this.storage.setValue('last_memory_sync', syncData);
       
       return {
         success: true,
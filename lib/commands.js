@@ -0,0 +1,871 @@
+// Command registry shared by the bot endpoints and webhook setup
+// Each command is declared once; help text, Telegram's command menus, argument checks and
+// usage errors are generated from these entries, and the role they need is checked from here.
+
+import { ROLES } from './access-control.js';
+
+// Help sections in display order; `notes` are printed after the section's commands
+export const COMMAND_SECTIONS = {
+  basic: { title: '📱 Basic' },
+  tasks: { title: '📋 Task Management' },
+  messages: { title: '💬 Context & Messages' },
+  // Shown along with the commands in `with`
+  search: {
+    title: '🔎 Search Syntax',
+    with: ['search', 'searchtasks'],
+    notes: [
+      'Words match all terms, "quoted phrases" match exactly, plan* matches prefixes',
+      '-word or -tag:x excludes, page:2 shows more results',
+      'Dates: before:/after: YYYY-MM-DD, today, yesterday, 7d, 2w'
+    ]
+  },
+  monitoring: { title: '⚙️ Monitoring' },
+  claude: { title: '🧠 Claude Code' },
+  calendar: { title: '📅 Calendar' },
+  groups: { title: '👥 Group Management' },
+  system: { title: '🔧 System' },
+  access: { title: '🔐 Access' }
+};
+
+// Chat scopes a command can be used in; group covers groups and supergroups
+export const CHAT_SCOPES = ['private', 'group'];
+
+const BOTH = CHAT_SCOPES;
+const PRIVATE = ['private'];
+const ROLE_CHOICES = ROLES.slice().reverse();
+
+// Argument types:
+//   word   - one word
+//   text   - the rest of the message (last argument only)
+//   choice - one of `options`; unambiguous prefixes are accepted ("h" for high)
+//   role   - a role name, also by prefix
+//   user   - @username or numeric user ID; with `reply` it can come from the replied-to message
+// Arguments are required unless marked `optional`. `label` replaces the generated [name] in usage.
+//
+// Commands need `role` or higher (null is open to everyone). `handler` is the method the bot
+// endpoint implements; endpoints only offer the commands they have handlers for.
+// `description` is shown in Telegram's menu, `help` (if longer) in /help. `guestsOnly` commands
+// are left out of help and menus for users who already have a role. A command or subcommand
+// with a `wizard` (see lib/conversations.js) asks for its arguments one at a time when it's
+// sent without any.
+export const COMMANDS = [
+  {
+    name: 'start',
+    section: 'basic',
+    description: 'Welcome message and bot introduction',
+    args: [{ name: 'invite_code', type: 'word', optional: true, hidden: true }],
+    role: null,
+    scopes: BOTH,
+    handler: 'handleStartCommand'
+  },
+  {
+    name: 'help',
+    section: 'basic',
+    description: 'Show the commands you can use',
+    role: null,
+    scopes: BOTH,
+    handler: 'handleHelpCommand'
+  },
+  {
+    name: 'status',
+    section: 'basic',
+    description: 'Bot status and statistics',
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleStatusCommand'
+  },
+  {
+    name: 'ping',
+    section: 'basic',
+    description: 'Check that the bot responds',
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handlePingCommand'
+  },
+  {
+    name: 'plasmabrand',
+    section: 'basic',
+    description: 'Plasma brand resources',
+    role: null,
+    scopes: BOTH,
+    handler: 'handlePlasmaBrandCommand'
+  },
+  {
+    name: 'cancel',
+    section: 'basic',
+    description: 'Stop the question-by-question command in progress',
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleCancelCommand'
+  },
+
+  {
+    name: 'addtask',
+    section: 'tasks',
+    description: 'Add a new task',
+    help: 'Add new task (add "by Friday" or due:2026-11-01 for a deadline, "every Monday" to repeat)',
+    args: [{ name: 'description', type: 'text' }],
+    subcommands: [
+      {
+        name: 'sub',
+        description: 'Add a subtask',
+        args: [{ name: 'task_id', type: 'word' }, { name: 'description', type: 'text' }],
+        examples: ['/addtask sub task_010 Write tests']
+      }
+    ],
+    examples: ['/addtask Review quarterly reports by Friday'],
+    notes: [
+      'Deadlines: tomorrow 5pm, in 3 days, on Nov 1, due:2026-11-01',
+      'Repeats: every Monday, every 2 weeks, monthly on the 1st, repeat:"0 9 * * 1-5"',
+      'Subtasks: /addtask sub task_010 Write tests'
+    ],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleAddTaskCommand'
+  },
+  {
+    name: 'tasks',
+    section: 'tasks',
+    description: 'List pending tasks',
+    help: 'List pending tasks (/tasks blocked for blocked ones)',
+    args: [{ name: 'filter', type: 'choice', options: ['blocked'], optional: true }],
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleTasksCommand'
+  },
+  {
+    name: 'complete',
+    section: 'tasks',
+    description: 'Mark a task as completed',
+    args: [{ name: 'task_id', type: 'word' }],
+    examples: ['/complete task_001'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleCompleteCommand'
+  },
+  {
+    name: 'block',
+    section: 'tasks',
+    description: 'Make a task wait for another',
+    args: [{ name: 'task_id', type: 'word' }, { name: 'blocking_task_id', type: 'word' }],
+    examples: ['/block task_012 task_010 (task_012 waits for task_010)'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleBlockCommand'
+  },
+  {
+    name: 'unblock',
+    section: 'tasks',
+    description: 'Remove a task dependency',
+    args: [{ name: 'task_id', type: 'word' }, { name: 'blocking_task_id', type: 'word' }],
+    examples: ['/unblock task_012 task_010'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleUnblockCommand'
+  },
+  {
+    name: 'task',
+    section: 'tasks',
+    description: 'Task details and change history',
+    args: [{ name: 'task_id', type: 'word' }],
+    examples: ['/task task_012'],
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleTaskCommand'
+  },
+  {
+    name: 'edit',
+    section: 'tasks',
+    description: 'Change a task description',
+    args: [{ name: 'task_id', type: 'word' }, { name: 'new description', type: 'text' }],
+    examples: ['/edit task_012 Send the Q3 report to finance'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleEditCommand'
+  },
+  {
+    name: 'priority',
+    section: 'tasks',
+    description: 'Change task priority',
+    args: [{ name: 'task_id', type: 'word' }, { name: 'priority', type: 'choice', options: ['high', 'medium', 'low'] }],
+    examples: ['/priority task_012 high'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handlePriorityCommand'
+  },
+  {
+    name: 'tag',
+    section: 'tasks',
+    description: 'Add or remove task tags',
+    args: [{ name: 'task_id', type: 'word' }, { name: 'tags', label: '+add -remove', type: 'text' }],
+    examples: ['/tag task_012 +plasma -draft'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleTagCommand'
+  },
+  {
+    name: 'snooze',
+    section: 'tasks',
+    description: 'Hide a task until later',
+    args: [{ name: 'task_id', type: 'word' }, { name: 'duration', type: 'text' }],
+    examples: ['/snooze task_012 3d'],
+    notes: ['Durations: 2h, 3d, 1w, tomorrow 9am, friday'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleSnoozeCommand'
+  },
+  {
+    name: 'reopen',
+    section: 'tasks',
+    description: 'Reopen a completed task',
+    args: [{ name: 'task_id', type: 'word' }],
+    examples: ['/reopen task_012'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleReopenCommand'
+  },
+  {
+    name: 'delete',
+    section: 'tasks',
+    description: 'Delete a task',
+    help: 'Delete task (/undo to restore)',
+    args: [{ name: 'task_id', type: 'word' }],
+    examples: ['/delete task_012'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleDeleteCommand'
+  },
+  {
+    name: 'undo',
+    section: 'tasks',
+    description: 'Restore the last deleted task',
+    args: [{ name: 'task_id', type: 'word', optional: true }],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleUndoCommand'
+  },
+  {
+    name: 'timezone',
+    section: 'tasks',
+    description: 'Set your timezone for deadlines',
+    args: [{ name: 'Area/City', type: 'word', optional: true }],
+    examples: ['/timezone Europe/London'],
+    role: 'viewer',
+    scopes: PRIVATE,
+    handler: 'handleTimezoneCommand'
+  },
+  {
+    name: 'settings',
+    section: 'tasks',
+    description: 'Timezone, date format, quiet hours and other preferences',
+    args: [{ name: 'setting', type: 'word', optional: true }, { name: 'value', type: 'text', optional: true }],
+    examples: ['/settings quiet 22:00-07:00'],
+    role: 'viewer',
+    scopes: PRIVATE,
+    handler: 'handleSettingsCommand'
+  },
+  {
+    name: 'searchtasks',
+    section: 'tasks',
+    description: 'Search tasks',
+    help: 'Search tasks (status:, priority:, tag:)',
+    args: [{ name: 'query', type: 'text' }],
+    examples: ['/searchtasks plasma status:pending priority:high'],
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleSearchTasksCommand'
+  },
+
+  {
+    name: 'save',
+    aliases: ['note'],
+    section: 'messages',
+    description: 'Save message context',
+    help: 'Save message context (parent:task_id files extracted tasks under it)',
+    args: [{ name: 'message', type: 'text' }],
+    examples: ['/save Important meeting tomorrow'],
+    notes: ['Add parent:task_010 to file extracted tasks under task_010'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleSaveCommand'
+  },
+  {
+    name: 'recent',
+    section: 'messages',
+    description: 'Recent context (24h)',
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleRecentCommand'
+  },
+  {
+    name: 'search',
+    section: 'messages',
+    description: 'Search saved messages',
+    help: 'Search messages (tag:, from:, before:, after:)',
+    args: [{ name: 'query', type: 'text' }],
+    examples: ['/search "board meeting" tag:important after:7d -draft'],
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleSearchCommand'
+  },
+  {
+    name: 'forget',
+    section: 'messages',
+    description: 'Delete a saved message',
+    args: [{ name: 'message_id', type: 'word' }],
+    examples: ['/forget msg_042'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleForgetCommand'
+  },
+  {
+    name: 'tagrule',
+    section: 'messages',
+    title: '🏷️ **Tag Rule Commands:**',
+    description: 'Auto-tagging rules',
+    subcommands: [
+      {
+        name: 'add',
+        description: 'Add a rule (keywords, /regex/i, from:"chat")',
+        args: [{ name: 'rule', label: '[tag]: [keywords]', type: 'text' }],
+        examples: ['/tagrule add urgent: asap|immediately|p0', '/tagrule add deploy: /deploy(ed)? to prod/i', '/tagrule add hq: standup from:"Plasma HQ"']
+      },
+      { name: 'list', description: 'Show your rules' },
+      {
+        name: 'remove',
+        description: 'Delete rules',
+        args: [{ name: 'rule_id|tag', type: 'word' }],
+        examples: ['/tagrule remove r2']
+      },
+      {
+        name: 'test',
+        description: 'Try your rules on some text',
+        args: [{ name: 'text', type: 'text' }],
+        examples: ['/tagrule test "need this asap" from:"Plasma HQ"']
+      },
+      { name: 'apply', description: 'Re-tag saved messages' }
+    ],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleTagRuleCommand'
+  },
+
+  {
+    name: 'monitor',
+    section: 'monitoring',
+    description: 'Trigger system monitoring',
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleMonitorCommand'
+  },
+  {
+    name: 'endpoints',
+    section: 'monitoring',
+    title: '📡 **Endpoint Commands:**',
+    description: 'URLs checked by monitoring',
+    subcommands: [
+      { name: 'list', description: 'Monitored endpoints' },
+      {
+        name: 'add',
+        description: 'Start checking a URL',
+        args: [{ name: 'url', type: 'word' }, { name: 'name', type: 'text', optional: true }],
+        examples: ['/endpoints add https://plasma.to/api/health Plasma API'],
+        wizard: 'endpoint'
+      },
+      {
+        name: 'remove',
+        description: 'Stop checking a URL',
+        args: [{ name: 'url|name', type: 'text' }],
+        examples: ['/endpoints remove Plasma API']
+      }
+    ],
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleEndpointsCommand'
+  },
+  {
+    name: 'digest',
+    section: 'monitoring',
+    title: '📰 **Digest Commands:**',
+    description: 'Preview or configure the daily or weekly digest',
+    subcommands: [
+      { name: 'preview', description: 'Show the digest now' },
+      {
+        name: 'settings',
+        description: 'Current settings, or change one',
+        args: [
+          { name: 'setting', type: 'choice', options: ['time', 'daily', 'weekly', 'on', 'off', 'show', 'hide'], optional: true },
+          { name: 'value', type: 'text', optional: true }
+        ],
+        examples: ['/digest settings time 08:30', '/digest settings weekly monday', '/digest settings hide incidents']
+      }
+    ],
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleDigestCommand'
+  },
+
+  {
+    name: 'claude',
+    section: 'claude',
+    description: 'Execute Claude Code commands',
+    args: [{ name: 'command', type: 'text' }],
+    examples: ['/claude status', '/claude memory search "telegram"'],
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleClaudeCommand'
+  },
+  {
+    name: 'memory',
+    section: 'claude',
+    title: '🧠 **Memory Commands:**',
+    description: 'Memory system operations',
+    subcommands: [
+      {
+        name: 'search',
+        description: 'Search memory',
+        args: [{ name: 'query', type: 'text' }],
+        examples: ['/memory search "telegram setup"']
+      },
+      { name: 'status', description: 'Memory system status' },
+      { name: 'sync', description: 'Sync with master memory' },
+      { name: 'summary', description: 'Recent activity summary' }
+    ],
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleMemoryCommand'
+  },
+  {
+    name: 'project',
+    section: 'claude',
+    title: '📁 **Project Commands:**',
+    description: 'Projects (the active one scopes /tasks, /recent, /export)',
+    subcommands: [
+      { name: 'list', description: 'List all projects' },
+      {
+        name: 'status',
+        description: 'Project status',
+        args: [{ name: 'name', type: 'text', optional: true }],
+        examples: ['/project status plasma']
+      },
+      {
+        name: 'switch',
+        description: 'Switch active project',
+        args: [{ name: 'name', type: 'text' }],
+        examples: ['/project switch plasma'],
+        notes: ['Use /project switch none to see all projects']
+      },
+      { name: 'stats', description: 'Project statistics' }
+    ],
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleProjectCommand'
+  },
+
+  {
+    name: 'events',
+    section: 'calendar',
+    description: 'Show upcoming events',
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleEventsCommand'
+  },
+  {
+    name: 'schedule',
+    section: 'calendar',
+    description: 'Schedule a new event',
+    args: [{ name: 'event description', type: 'text' }],
+    examples: ['/schedule Team meeting tomorrow 2pm'],
+    wizard: 'schedule',
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleScheduleCommand'
+  },
+  {
+    name: 'availability',
+    section: 'calendar',
+    description: 'Check availability',
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleAvailabilityCommand'
+  },
+
+  {
+    name: 'setuphq',
+    section: 'groups',
+    description: 'Set up Jinbot Test HQ topics',
+    args: [{ name: 'group_id', type: 'word', optional: true }],
+    notes: ['Without a group ID, JINBOT_HQ_GROUP_ID is used - send /groupid in the group to find it'],
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleSetupHQCommand'
+  },
+  {
+    name: 'notify',
+    section: 'groups',
+    description: 'Send a notification to a topic',
+    args: [{ name: 'topic', type: 'word' }, { name: 'message', type: 'text' }],
+    examples: ['/notify development "Code review needed"'],
+    notes: ['Use /topics to see available topics'],
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleNotifyCommand'
+  },
+  {
+    name: 'decision',
+    section: 'groups',
+    description: 'Ask for a decision in a topic',
+    help: 'Ask for a decision in a topic (Approve / Reject / More Info buttons)',
+    args: [{ name: 'topic', type: 'word' }, { name: 'question', type: 'text' }],
+    examples: ['/decision development Ship the new onboarding flow today?'],
+    notes: ['Use /topics to see available topics'],
+    wizard: 'decision',
+    role: 'member',
+    scopes: BOTH,
+    handler: 'handleDecisionCommand'
+  },
+  {
+    name: 'topics',
+    section: 'groups',
+    description: 'List available topics',
+    role: 'viewer',
+    scopes: BOTH,
+    handler: 'handleTopicsCommand'
+  },
+  {
+    name: 'groupid',
+    section: 'groups',
+    description: "Show this chat's ID",
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleGroupIdCommand'
+  },
+
+  {
+    name: 'sync',
+    section: 'system',
+    description: 'Sync data',
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleSyncCommand'
+  },
+  {
+    name: 'export',
+    section: 'system',
+    description: 'Export data',
+    role: 'admin',
+    scopes: PRIVATE,
+    handler: 'handleExportCommand'
+  },
+
+  {
+    name: 'users',
+    section: 'access',
+    description: 'Team members and their roles',
+    role: 'admin',
+    scopes: PRIVATE,
+    handler: 'handleUsersCommand'
+  },
+  {
+    name: 'grant',
+    section: 'access',
+    description: 'Give someone a role',
+    args: [{ name: 'user', label: '@user', type: 'user', reply: true }, { name: 'role', type: 'role' }],
+    examples: ['/grant @alice member'],
+    notes: ['Or reply to one of their messages with /grant member'],
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleGrantCommand'
+  },
+  {
+    name: 'revoke',
+    section: 'access',
+    description: "Remove someone's role",
+    args: [{ name: 'user', label: '@user', type: 'user', reply: true }],
+    examples: ['/revoke @alice'],
+    notes: ['Or reply to one of their messages with /revoke'],
+    role: 'admin',
+    scopes: BOTH,
+    handler: 'handleRevokeCommand'
+  },
+  {
+    name: 'invite',
+    section: 'access',
+    description: 'Create an invite link',
+    args: [
+      { name: 'role', type: 'word', optional: true },
+      { name: 'uses', label: '[uses:N]', type: 'word', optional: true },
+      { name: 'expires', label: '[expires:7d|never]', type: 'word', optional: true }
+    ],
+    subcommands: [
+      { name: 'list', description: 'Active invites' },
+      {
+        name: 'revoke',
+        description: 'Cancel an invite',
+        args: [{ name: 'code', type: 'word' }],
+        examples: ['/invite revoke inv_4fQ2xZ9kLmNp'],
+        notes: ['See /invite list for codes']
+      }
+    ],
+    examples: ['/invite member uses:3 expires:2w'],
+    role: 'admin',
+    scopes: PRIVATE,
+    handler: 'handleInviteCommand'
+  },
+  {
+    name: 'request',
+    section: 'access',
+    description: 'Ask the owner for access',
+    args: [{ name: 'note', type: 'text', optional: true }],
+    role: null,
+    guestsOnly: true,
+    scopes: BOTH,
+    handler: 'handleRequestCommand'
+  },
+  {
+    name: 'chatpolicy',
+    section: 'access',
+    description: 'What roles may do in this group',
+    help: 'What roles may do in this group (max role, per-command allow/deny)',
+    subcommands: [
+      { name: 'show', description: "This group's policy" },
+      { name: 'list', description: 'Groups with their own policy' },
+      {
+        name: 'max',
+        description: 'Highest role anyone acts with here',
+        args: [{ name: 'role', type: 'choice', options: [...ROLE_CHOICES, 'none'] }],
+        examples: ['/chatpolicy max member']
+      },
+      {
+        name: 'allow',
+        description: 'Change the role a command needs here',
+        args: [{ name: 'command', type: 'word' }, { name: 'role', type: 'role' }],
+        examples: ['/chatpolicy allow notify member']
+      },
+      {
+        name: 'deny',
+        description: 'Turn a command off here',
+        args: [{ name: 'command', type: 'word' }],
+        examples: ['/chatpolicy deny export']
+      },
+      {
+        name: 'reset',
+        description: 'Back to the default, for one command or everything',
+        args: [{ name: 'command', type: 'word', optional: true }],
+        examples: ['/chatpolicy reset export']
+      }
+    ],
+    role: 'owner',
+    scopes: BOTH,
+    handler: 'handleChatPolicyCommand'
+  }
+];
+
+// "private" for private chats, "group" for groups, supergroups and channels
+export function chatScope(chat) {
+  return !chat?.type || chat.type === 'private' ? 'private' : 'group';
+}
+
+class CommandRegistry {
+  // With `handlers` (the bot, or an object of handler functions) only the commands it
+  // implements are offered; without, every command is (e.g. for the webhook's command menu)
+  constructor(handlers = null, commands = COMMANDS) {
+    this.handlers = handlers;
+    this.commands = commands.filter(entry => !handlers || typeof handlers[entry.handler] === 'function');
+  }
+
+  // Looks a command up by name or alias; "/help@jinagentbot" and "help" both work
+  get(name) {
+    const key = String(name || '').replace(/^\//, '').split('@')[0].toLowerCase();
+    return this.commands.find(entry => entry.name === key || entry.aliases?.includes(key)) || null;
+  }
+
+  list() {
+    return this.commands;
+  }
+
+  // "/Search@jinagentbot board meeting" -> { name: 'search', args: 'board meeting' }
+  parse(text) {
+    const match = String(text || '').trim().match(/^\/([^\s@]+)(?:@\S+)?(?:\s+([\s\S]*))?$/);
+    return match ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+  }
+
+  availableIn(entry, chat) {
+    return (entry.scopes || CHAT_SCOPES).includes(chatScope(chat));
+  }
+
+  // Shown when a command is used in a chat it isn't available in
+  scopeMessage(entry) {
+    return (entry.scopes || CHAT_SCOPES).includes('private') ?
+      `ℹ️ /${entry.name} only works in a private chat with the bot` :
+      `ℹ️ /${entry.name} only works in groups`;
+  }
+
+  findSubcommand(entry, word) {
+    return entry.subcommands?.find(sub => sub.name === String(word || '').toLowerCase()) || null;
+  }
+
+  // Matches `value` against a choice's options, by exact name or unambiguous prefix
+  matchChoice(options, value) {
+    const lower = value.toLowerCase();
+    if (options.includes(lower)) return lower;
+    const matches = options.filter(option => option.startsWith(lower));
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  // Checks one word against its argument type; returns { value } or { error }
+  checkArg(arg, value) {
+    switch (arg.type) {
+      case 'choice':
+      case 'role': {
+        const options = arg.type === 'role' ? ROLE_CHOICES : arg.options;
+        const match = this.matchChoice(options, value);
+        return match ? { value: match } : { error: `Unknown ${arg.name}: ${value}\nOptions: ${options.join(', ')}` };
+      }
+      case 'user':
+        return /^(@?[A-Za-z0-9_]{3,}|\d+)$/.test(value) ?
+          { value } :
+          { error: `Expected @username or a numeric user ID, not ${value}` };
+      default:
+        return { value };
+    }
+  }
+
+  // Checks `args` against the command's (or subcommand's) argument schema.
+  // Returns { values, subcommand } or { error, subcommand }; `error` is '' when only the usage is needed.
+  validate(entry, args, message = null) {
+    const text = String(args || '').trim();
+    const [first = ''] = text.split(/\s+/);
+    const sub = first ? this.findSubcommand(entry, first) : null;
+    const subcommand = sub?.name || null;
+    const schema = sub ? sub.args || [] : entry.args || [];
+    const input = sub ? text.slice(first.length).trim() : text;
+
+    if (!sub && first && entry.subcommands && !entry.args) {
+      return { error: `Unknown action: ${first}`, subcommand };
+    }
+
+    // Arguments marked `reply` are taken from the replied-to message when they're left out
+    const required = schema.filter(arg => !arg.optional);
+    const words = input ? input.split(/\s+/) : [];
+    const fromReply = !!message?.reply_to_message && words.length < required.length;
+    const expected = schema.filter(arg => !(fromReply && arg.reply));
+
+    const values = {};
+    let remaining = input;
+    for (const arg of expected) {
+      if (!remaining) {
+        if (!arg.optional) return { error: '', subcommand };
+        continue;
+      }
+      if (arg.type === 'text') {
+        values[arg.name] = remaining;
+        remaining = '';
+        break;
+      }
+      const [word] = remaining.split(/\s+/, 1);
+      remaining = remaining.slice(word.length).trim();
+      const { value, error } = this.checkArg(arg, word);
+      if (error) return { error, subcommand };
+      values[arg.name] = value;
+    }
+    return { values, subcommand };
+  }
+
+  // The wizard to start instead: the command or subcommand has one and got no arguments
+  wizardFor(entry, args) {
+    const text = String(args || '').trim();
+    const [first = ''] = text.split(/\s+/);
+    const sub = first ? this.findSubcommand(entry, first) : null;
+    const input = sub ? text.slice(first.length).trim() : text;
+    return input ? null : (sub || entry).wizard || null;
+  }
+
+  formatArgs(args = []) {
+    return args
+      .filter(arg => !arg.hidden)
+      .map(arg => {
+        if (arg.label) return arg.label;
+        if (arg.type === 'choice') return `[${arg.options.join('|')}]`;
+        if (arg.type === 'role') return `[${ROLE_CHOICES.join('|')}]`;
+        return `[${arg.name}]`;
+      })
+      .join(' ');
+  }
+
+  // "/name [args]", or "/name [a|b|c]" for commands that only have subcommands
+  formatSyntax(entry, subcommand = null) {
+    const sub = subcommand ? this.findSubcommand(entry, subcommand) : null;
+    const args = sub ? `${sub.name} ${this.formatArgs(sub.args)}` :
+      entry.args ? this.formatArgs(entry.args) :
+      entry.subcommands ? `[${entry.subcommands.map(item => item.name).join('|')}]` : '';
+    return `/${entry.name} ${args}`.trim();
+  }
+
+  // "❌ Usage: /cmd [args]" with examples and notes, after `error` if there is one
+  usage(name, subcommand = null, error = '') {
+    const entry = this.get(name);
+    const sub = subcommand ? this.findSubcommand(entry, subcommand) : null;
+    const examples = (sub || entry).examples ||
+      (!sub && entry.subcommands ? entry.subcommands.flatMap(item => item.examples || []) : []);
+    const notes = [...(sub || entry).notes || []];
+    if ((sub || entry).wizard) {
+      notes.push(`Or send /${entry.name}${sub ? ` ${sub.name}` : ''} on its own to be asked step by step`);
+    }
+
+    const lines = [error ? `❌ ${error}\nUsage: ${this.formatSyntax(entry, sub?.name)}` : `❌ Usage: ${this.formatSyntax(entry, sub?.name)}`];
+    if (examples.length === 1) lines.push(`Example: ${examples[0]}`);
+    if (examples.length > 1) lines.push(`Examples:\n${examples.join('\n')}`);
+    return [...lines, ...notes].join('\n');
+  }
+
+  // Subcommand list, e.g. /project without arguments
+  overview(name) {
+    const entry = this.get(name);
+    const lines = (entry.subcommands || []).map(sub =>
+      `• \`/${entry.name} ${`${sub.name} ${this.formatArgs(sub.args)}`.trim()}\` - ${sub.description}`);
+    return `${entry.title || `**/${entry.name}** - ${entry.description}`}\n\n${lines.join('\n')}`;
+  }
+
+  // Commands `role` can run in a chat of `chatType` under `policy` (no policy in private chats)
+  allowedFor(access, role, { chatType = 'private', policy = null } = {}) {
+    return this.commands.filter(entry => (entry.scopes || CHAT_SCOPES).includes(chatType) &&
+      !(role && entry.guestsOnly) &&
+      access.evaluate(role, policy, entry.name, entry.role).allowed);
+  }
+
+  // Names of the commands open to everyone
+  publicCommands() {
+    return this.commands.filter(entry => entry.role === null).map(entry => entry.name);
+  }
+
+  // /help body for a list of commands, grouped into sections
+  helpText(entries) {
+    const sections = Object.entries(COMMAND_SECTIONS).map(([key, section]) => {
+      const lines = entries.filter(entry => entry.section === key).map(entry => {
+        const main = `${this.formatSyntax(entry)} - ${entry.help || entry.description}`;
+        // Commands that take their own arguments list their subcommands separately
+        const subs = entry.args ? (entry.subcommands || []).map(sub =>
+          `${this.formatSyntax(entry, sub.name)} - ${sub.description}`) : [];
+        return [main, ...subs].join('\n');
+      });
+      if (lines.length === 0 && !entries.some(entry => section.with?.includes(entry.name))) {
+        return null;
+      }
+      return `**${section.title}:**\n${[...lines, ...(section.notes || [])].join('\n')}`;
+    });
+    return sections.filter(Boolean).join('\n\n');
+  }
+
+  // Entries for Telegram's setMyCommands
+  menu(entries) {
+    return entries.map(entry => ({ command: entry.name, description: entry.description }));
+  }
+
+  // Calls the command's handler with (args, message, context)
+  async run(entry, args, message, context = {}) {
+    return await this.handlers[entry.handler](args, message, context);
+  }
+}
+
+export default CommandRegistry;
@@ -0,0 +1,323 @@
+// Multi-step commands: a conversation asks a command's questions one at a time, checks each
+// answer and keeps its progress in storage between webhook calls, keyed by chat and user.
+// Conversations are dropped after CONVERSATION_TIMEOUT_MINUTES without an answer.
+
+import DueDateParser from './due-dates.js';
+
+// Step types:
+//   text    - any text, up to `maxLength` characters
+//   choice  - one of `options` ([{ value, label }]), typed or picked from the buttons
+//   time    - a point in the future: "friday 3pm", "tomorrow", "in 2 days", "2h"
+//   minutes - a length of time: 30m, 1h, 90 min
+//   url     - an http(s) URL
+//   list    - comma-separated items, at most `maxItems`
+// `options` may be a function of (context, answers), where the context comes from the bot
+// endpoint (e.g. the user's timezone). `suggestions` are buttons for common typed answers.
+// `optional` steps can be skipped; steps whose `when(answers)` is false are left out.
+//
+// `command` is the registry command whose role every answer is checked against, and
+// `handler` the bot method that receives the answers when the last step is done.
+export const WIZARDS = {
+  schedule: {
+    command: 'schedule',
+    title: '📅 **New Event**',
+    handler: 'finishScheduleConversation',
+    steps: [
+      { name: 'title', type: 'text', maxLength: 200, prompt: 'What is the event called?' },
+      {
+        name: 'start',
+        type: 'time',
+        prompt: 'When does it start?',
+        hint: 'e.g. friday 3pm, tomorrow 10:30, on Nov 3 at 2pm',
+        suggestions: ['tomorrow 9am', 'tomorrow 2pm', 'monday 10am']
+      },
+      { name: 'duration', type: 'minutes', prompt: 'How long is it?', suggestions: ['15m', '30m', '1h', '2h'] },
+      { name: 'description', type: 'text', maxLength: 500, optional: true, prompt: 'Anything to add to the description?' }
+    ]
+  },
+  endpoint: {
+    command: 'endpoints',
+    title: '📡 **New Endpoint**',
+    handler: 'finishEndpointConversation',
+    steps: [
+      {
+        name: 'url',
+        type: 'url',
+        prompt: 'Which URL should be checked?',
+        hint: 'It is requested on every monitoring run; errors and slow responses raise alerts'
+      },
+      { name: 'name', type: 'text', maxLength: 40, optional: true, prompt: 'What should alerts call it?' }
+    ]
+  },
+  decision: {
+    command: 'decision',
+    title: '⚖️ **New Decision Request**',
+    handler: 'finishDecisionConversation',
+    steps: [
+      {
+        name: 'topic',
+        type: 'choice',
+        prompt: 'Which topic should it be posted in?',
+        options: context => Object.entries(context.topics).map(([key, topic]) => ({ value: key, label: topic.name }))
+      },
+      { name: 'question', type: 'text', maxLength: 1000, prompt: 'What needs deciding?' },
+      {
+        name: 'actions',
+        type: 'list',
+        maxItems: 5,
+        maxLength: 40,
+        optional: true,
+        prompt: 'Any options besides Approve, Reject and More Info?',
+        hint: 'Separate them with commas, e.g. Ship today, Wait for QA'
+      },
+      {
+        name: 'expires',
+        type: 'time',
+        optional: true,
+        prompt: 'When should it expire?',
+        hint: 'Skip to wait for an answer indefinitely',
+        suggestions: ['1h', '4h', 'tomorrow 9am']
+      },
+      {
+        name: 'default',
+        type: 'choice',
+        optional: true,
+        when: answers => !!answers.expires,
+        prompt: 'What happens if nobody answers in time?',
+        options: (context, answers) => [
+          { value: 'approve', label: '✅ Approve' },
+          { value: 'reject', label: '❌ Reject' },
+          ...(answers.actions || []).map(action => ({ value: action, label: `🎯 ${action}` }))
+        ]
+      }
+    ]
+  }
+};
+
+class Conversations {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.wizards = options.wizards || WIZARDS;
+    this.dueDates = options.dueDates || new DueDateParser();
+    this.timeoutMinutes = options.timeoutMinutes || parseInt(process.env.CONVERSATION_TIMEOUT_MINUTES || '15');
+  }
+
+  isExpired(conversation, now = Date.now()) {
+    return now - new Date(conversation.updatedAt).getTime() > this.timeoutMinutes * 60 * 1000;
+  }
+
+  // The user's open conversation in `chat`, or null; expired ones are removed
+  async get(chat, user) {
+    if (!chat?.id || !user?.id) return null;
+
+    const conversation = await this.storage.getConversation(chat.id, user.id);
+    if (!conversation || !this.wizards[conversation.wizard]) return null;
+    if (this.isExpired(conversation)) {
+      await this.storage.removeConversation(chat.id, user.id);
+      return null;
+    }
+    return conversation;
+  }
+
+  // Replaces any conversation the user already has in this chat
+  async start(name, chat, user, answers = {}) {
+    const now = new Date().toISOString();
+    const conversation = {
+      wizard: name,
+      chatId: chat.id,
+      userId: user.id,
+      step: null,
+      answers,
+      startedAt: now,
+      updatedAt: now
+    };
+    conversation.step = this.nextStep(conversation)?.name || null;
+    await this.storage.saveConversation(conversation);
+    return conversation;
+  }
+
+  // Returns the cancelled conversation, or null when there was none
+  async cancel(chat, user) {
+    const conversation = await this.get(chat, user);
+    if (conversation) {
+      await this.storage.removeConversation(chat.id, user.id);
+    }
+    return conversation;
+  }
+
+  wizardFor(conversation) {
+    return this.wizards[conversation.wizard];
+  }
+
+  // A wizard's step by name, e.g. to check a one-line command's argument the same way
+  step(wizard, name) {
+    return this.wizards[wizard]?.steps.find(step => step.name === name) || null;
+  }
+
+  currentStep(conversation) {
+    return this.step(conversation.wizard, conversation.step);
+  }
+
+  // The first step without an answer that applies to the answers so far
+  nextStep(conversation) {
+    return this.wizardFor(conversation).steps.find(step =>
+      !Object.prototype.hasOwnProperty.call(conversation.answers, step.name) &&
+      (!step.when || step.when(conversation.answers))) || null;
+  }
+
+  // Position of the current step among the steps that apply, e.g. { number: 2, total: 4 }
+  progress(conversation) {
+    const steps = this.wizardFor(conversation).steps.filter(step => !step.when || step.when(conversation.answers));
+    return { number: steps.findIndex(step => step.name === conversation.step) + 1, total: steps.length };
+  }
+
+  options(step, context, answers) {
+    return typeof step.options === 'function' ? step.options(context, answers) : step.options || [];
+  }
+
+  // Buttons offered for a step: [{ label, value }], where the value is answered like typed text
+  choices(step, context, answers) {
+    if (step.type === 'choice') {
+      return this.options(step, context, answers).map(option => ({ label: option.label, value: option.value }));
+    }
+    return (step.suggestions || []).map(value => ({ label: value, value }));
+  }
+
+  // The current question with its buttons: cv:<step>:<index> picks a choice, cv:<step>:skip
+  // skips an optional step and cv:cancel ends the conversation. Group members have to reply
+  // to the question, since bots in groups usually only see replies and commands.
+  prompt(conversation, context = {}, { notice = '', group = false } = {}) {
+    const wizard = this.wizardFor(conversation);
+    const step = this.currentStep(conversation);
+    const { number, total } = this.progress(conversation);
+    const choices = this.choices(step, context, conversation.answers);
+
+    const rows = [];
+    for (let index = 0; index < choices.length; index += 2) {
+      rows.push(choices.slice(index, index + 2).map((choice, offset) => ({
+        text: choice.label,
+        callback_data: `cv:${step.name}:${index + offset}`
+      })));
+    }
+    rows.push([
+      ...(step.optional ? [{ text: '⏭️ Skip', callback_data: `cv:${step.name}:skip` }] : []),
+      { text: '✖️ Cancel', callback_data: 'cv:cancel' }
+    ]);
+
+    const lines = [
+      `${wizard.title} (${number}/${total})`,
+      '',
+      step.prompt,
+      ...(step.hint ? [`_${step.hint}_`] : []),
+      '',
+      group ? 'Reply to this message with your answer, or /cancel to stop' :
+        `${step.optional ? 'Type your answer, skip' : 'Type your answer'}, or /cancel to stop`
+    ];
+    return {
+      text: `${notice ? `${notice}\n\n` : ''}${lines.join('\n')}`,
+      replyMarkup: { inline_keyboard: rows }
+    };
+  }
+
+  // "cv:start:1" -> { step: 'start', choice: 1 }; choice is 'skip' or 'cancel' for those buttons
+  parseCallbackData(data) {
+    if (data === 'cv:cancel') return { step: null, choice: 'cancel' };
+    const match = /^cv:([\w]+):(\d+|skip)$/.exec(data || '');
+    if (!match) return null;
+    return { step: match[1], choice: match[2] === 'skip' ? 'skip' : parseInt(match[2]) };
+  }
+
+  parseMinutes(text) {
+    const match = text.match(/^(\d+(?:\.\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?)$/i);
+    if (!match) return null;
+    const minutes = Math.round(parseFloat(match[1]) * (match[2].toLowerCase().startsWith('h') ? 60 : 1));
+    return minutes > 0 ? minutes : null;
+  }
+
+  // Checks an answer against its step; returns { value } or { error }
+  check(step, text, context = {}, answers = {}) {
+    const value = String(text || '').trim();
+    if (!value) return { error: 'Send some text as the answer' };
+
+    switch (step.type) {
+      case 'choice': {
+        const options = this.options(step, context, answers);
+        const lower = value.toLowerCase();
+        const exact = options.find(option => [option.value, option.label].some(item => String(item).toLowerCase() === lower));
+        const prefixed = options.filter(option => String(option.value).toLowerCase().startsWith(lower));
+        const match = exact || (prefixed.length === 1 ? prefixed[0] : null);
+        return match ?
+          { value: match.value } :
+          { error: `Unknown ${step.name}: ${value}\nOptions: ${options.map(option => option.value).join(', ')}` };
+      }
+
+      case 'time': {
+        const at = this.dueDates.resolveUntil(value, { timeZone: context.timeZone });
+        if (!at) return { error: `Could not understand "${value}" as a time` };
+        return at > new Date() ? { value: at.toISOString() } : { error: 'That time has already passed' };
+      }
+
+      case 'minutes': {
+        const minutes = this.parseMinutes(value);
+        return minutes ? { value: minutes } : { error: 'Expected a length such as 30m, 1h or 90 min' };
+      }
+
+      case 'url': {
+        let url;
+        try {
+          url = new URL(value);
+        } catch {
+          return { error: 'Expected a URL starting with https:// or http://' };
+        }
+        return ['http:', 'https:'].includes(url.protocol) ?
+          { value: url.toString() } :
+          { error: 'Only http and https URLs can be checked' };
+      }
+
+      case 'list': {
+        const items = [...new Set(value.split(',').map(item => item.trim()).filter(Boolean))];
+        if (items.length === 0) return { error: 'Separate the items with commas' };
+        if (step.maxItems && items.length > step.maxItems) return { error: `At most ${step.maxItems} items` };
+        const long = items.find(item => step.maxLength && item.length > step.maxLength);
+        return long ? { error: `"${long}" is longer than ${step.maxLength} characters` } : { value: items };
+      }
+
+      default:
+        return step.maxLength && value.length > step.maxLength ?
+          { error: `Keep it under ${step.maxLength} characters` } :
+          { value };
+    }
+  }
+
+  // Records an answer (null skips an optional step) and moves to the next step.
+  // Returns { conversation, done } or { error }
+  async answer(conversation, text, context = {}) {
+    const step = this.currentStep(conversation);
+    if (!step) return { error: 'This conversation has no open question' };
+
+    let value = null;
+    if (text === null || (step.optional && String(text).trim().toLowerCase() === 'skip')) {
+      if (!step.optional) return { error: 'This question needs an answer' };
+    } else {
+      const result = this.check(step, text, context, conversation.answers);
+      if (result.error) return result;
+      value = result.value;
+    }
+
+    const updated = {
+      ...conversation,
+      answers: { ...conversation.answers, [step.name]: value },
+      updatedAt: new Date().toISOString()
+    };
+    updated.step = this.nextStep(updated)?.name || null;
+
+    if (!updated.step) {
+      await this.storage.removeConversation(updated.chatId, updated.userId);
+      return { conversation: updated, done: true };
+    }
+    await this.storage.saveConversation(updated);
+    return { conversation: updated, done: false };
+  }
+}
+
+export default Conversations;
@@ -0,0 +1,417 @@
+// Decision request tracking for Claude Code notifications
+// Sends decisions with inline keyboard buttons and records the chosen outcome
+
+class DecisionManager {
+  constructor(storage, groupManager) {
+    this.storage = storage;
+    this.groupManager = groupManager;
+
+    // Reminder offsets (seconds before expiry) when the request doesn't specify any
+    this.defaultReminderSeconds = (process.env.DECISION_REMINDER_SECONDS || '600,60')
+      .split(',')
+      .map(value => parseInt(value))
+      .filter(value => value > 0);
+
+    // Standard buttons shown on every decision request
+    this.standardChoices = {
+      'approve': { emoji: '✅', label: 'Approve', status: 'approved', title: 'APPROVED' },
+      'reject': { emoji: '❌', label: 'Reject', status: 'rejected', title: 'REJECTED' },
+      'info': { emoji: '🤔', label: 'More Info', status: 'info_requested', title: 'MORE INFO REQUESTED' }
+    };
+  }
+
+  generateDecisionId() {
+    return `dec_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  normalizeActions(actions = []) {
+    // Custom actions that duplicate a standard button are dropped
+    const standardLabels = ['approve', 'reject', 'more info', 'info'];
+    return actions
+      .map(action => String(action).trim())
+      .filter(action => action && !standardLabels.includes(action.toLowerCase()));
+  }
+
+  buildKeyboard(decision) {
+    const standardRow = Object.entries(this.standardChoices).map(([choice, config]) => ({
+      text: `${config.emoji} ${config.label}`,
+      callback_data: `dec:${decision.id}:${choice}`
+    }));
+
+    const actionRows = decision.actions.map((action, index) => ([{
+      text: `🎯 ${action}`,
+      callback_data: `dec:${decision.id}:a${index}`
+    }]));
+
+    return { inline_keyboard: [standardRow, ...actionRows] };
+  }
+
+  resolveChoice(value, actions) {
+    // Accepts standard choices ("approve", "approved", "More Info", "✅") or a custom action label
+    if (!value) return null;
+    const normalized = String(value).trim().toLowerCase();
+    
+    for (const [choice, config] of Object.entries(this.standardChoices)) {
+      if ([choice, config.status, config.label.toLowerCase(), config.emoji].includes(normalized)) {
+        return choice;
+      }
+    }
+
+    const index = actions.findIndex(action => action.toLowerCase() === normalized);
+    return index >= 0 ? `a${index}` : null;
+  }
+
+  labelForChoice(choice, actions) {
+    if (this.standardChoices[choice]) {
+      const config = this.standardChoices[choice];
+      return `${config.emoji} ${config.label}`;
+    }
+    return `🎯 ${actions[parseInt(choice.slice(1))]}`;
+  }
+
+  buildSchedule(notification, actions) {
+    const timeoutSeconds = parseInt(notification.timeoutSeconds);
+    if (!timeoutSeconds || timeoutSeconds <= 0) {
+      return { expiresAt: null, defaultChoice: null, reminders: [] };
+    }
+
+    const defaultChoice = this.resolveChoice(notification.defaultDecision, actions);
+    if (notification.defaultDecision && !defaultChoice) {
+      throw new Error(`Unknown defaultDecision: ${notification.defaultDecision}`);
+    }
+
+    const expiresAt = Date.now() + timeoutSeconds * 1000;
+    const offsets = Array.isArray(notification.reminderSeconds) ?
+      notification.reminderSeconds.map(value => parseInt(value)) :
+      this.defaultReminderSeconds;
+
+    // Only keep reminders that fall after creation, earliest first
+    const reminders = offsets
+      .filter(offset => offset > 0 && offset < timeoutSeconds)
+      .sort((a, b) => b - a)
+      .map(offset => new Date(expiresAt - offset * 1000).toISOString());
+
+    return { expiresAt: new Date(expiresAt).toISOString(), defaultChoice, reminders };
+  }
+
+  async requestDecision(groupChatId, topicKey, notification) {
+    try {
+      const actions = this.normalizeActions(notification.actions);
+      const schedule = this.buildSchedule(notification, actions);
+      
+      const decision = {
+        id: this.generateDecisionId(),
+        status: 'pending',
+        type: notification.type,
+        message: notification.message,
+        context: notification.context || '',
+        actions,
+        instance: notification.instance || 'default',
+        project: notification.project || '',
+        priority: notification.priority || 'medium',
+        chatId: groupChatId,
+        topicKey,
+        expiresAt: schedule.expiresAt,
+        defaultChoice: schedule.defaultChoice,
+        reminders: schedule.reminders,
+        createdAt: new Date().toISOString()
+      };
+
+      const sendResult = await this.groupManager.sendClaudeNotification(
+        groupChatId,
+        topicKey,
+        { ...notification, actions: decision.actions },
+        {
+          replyMarkup: this.buildKeyboard(decision),
+          expiresAt: decision.expiresAt,
+          defaultLabel: decision.defaultChoice ? this.labelForChoice(decision.defaultChoice, actions) : null
+        }
+      );
+
+      if (!sendResult.success) {
+        return { success: false, error: sendResult.error };
+      }
+
+      decision.messageId = sendResult.messageId;
+      decision.topicId = sendResult.topicId;
+      decision.text = sendResult.text;
+      await this.storage.saveDecision(decision);
+      await this.storage.addPendingDecision(decision.id);
+
+      return {
+        success: true,
+        decisionId: decision.id,
+        topicId: sendResult.topicId,
+        messageId: sendResult.messageId,
+        expiresAt: decision.expiresAt
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  formatDecisionStatus(decision) {
+    return {
+      id: decision.id,
+      status: decision.status,
+      resolved: decision.status !== 'pending',
+      chosenAction: decision.chosenAction || null,
+      decidedBy: decision.decidedBy || null,
+      decidedAt: decision.decidedAt || null,
+      timedOut: !!decision.timedOut,
+      expiresAt: decision.expiresAt || null,
+      message: decision.message,
+      actions: decision.actions,
+      createdAt: decision.createdAt
+    };
+  }
+
+  async getDecisionStatus(decisionId) {
+    let decision = await this.storage.getDecision(decisionId);
+    if (decision) {
+      // Polling agents also drive reminders and expiry for their own decision
+      decision = await this.processSchedule(decision);
+    }
+    return decision ? this.formatDecisionStatus(decision) : null;
+  }
+
+  async waitForDecision(decisionId, waitSeconds = 0, pollInterval = 1500) {
+    // Long-poll storage until the decision resolves or the wait elapses
+    const deadline = Date.now() + waitSeconds * 1000;
+    let status = await this.getDecisionStatus(decisionId);
+
+    while (status && !status.resolved && Date.now() + pollInterval < deadline) {
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      status = await this.getDecisionStatus(decisionId);
+    }
+
+    return status;
+  }
+
+  parseCallbackData(data) {
+    const match = /^dec:([\w]+):(approve|reject|info|a\d+)$/.exec(data || '');
+    if (!match) return null;
+    return { decisionId: match[1], choice: match[2] };
+  }
+
+  async resolveDecision(decisionId, choice, user = {}) {
+    let decision = await this.storage.getDecision(decisionId);
+    if (!decision) {
+      return { success: false, error: 'Decision not found' };
+    }
+    
+    // A press after the deadline loses to the default outcome
+    decision = await this.processSchedule(decision);
+    if (decision.status !== 'pending') {
+      return { success: false, alreadyResolved: true, decision };
+    }
+
+    if (!this.applyChoice(decision, choice)) {
+      return { success: false, error: 'Unknown action' };
+    }
+    
+    if (!await this.storage.claimPendingDecision(decision.id)) {
+      return { success: false, alreadyResolved: true, decision: await this.storage.getDecision(decisionId) || decision };
+    }
+
+    decision.decidedBy = {
+      id: user.id,
+      username: user.username || null,
+      name: [user.first_name, user.last_name].filter(Boolean).join(' ')
+    };
+    decision.decidedAt = new Date().toISOString();
+    await this.storage.saveDecision(decision);
+
+    return { success: true, decision };
+  }
+
+  // Decisions made outside Telegram (POST ?action=decision) name the choice like defaultDecision does
+  async resolveFromWebhook(decisionId, value, decidedBy) {
+    const decision = await this.storage.getDecision(decisionId);
+    if (!decision) {
+      return { success: false, error: 'Decision not found' };
+    }
+
+    const choice = this.resolveChoice(value, decision.actions);
+    if (!choice) {
+      return { success: false, error: `Unknown decision: ${value}` };
+    }
+
+    const result = await this.resolveDecision(decisionId, choice, { first_name: decidedBy || 'API' });
+    if (result.success) {
+      await this.showResolution(result.decision);
+    }
+    return result;
+  }
+
+  applyChoice(decision, choice) {
+    if (this.standardChoices[choice]) {
+      decision.status = this.standardChoices[choice].status;
+      decision.chosenAction = null;
+      return true;
+    }
+    
+    const action = decision.actions[parseInt(choice.slice(1))];
+    if (!action) return false;
+    
+    decision.status = 'chosen';
+    decision.chosenAction = action;
+    return true;
+  }
+
+  async processSchedule(decision) {
+    if (decision.status !== 'pending' || !decision.expiresAt) {
+      return decision;
+    }
+
+    const now = Date.now();
+    if (now >= new Date(decision.expiresAt).getTime()) {
+      // Someone else claimed it first; their outcome is returned once it's saved
+      if (!await this.storage.claimPendingDecision(decision.id)) {
+        return await this.storage.getDecision(decision.id) || decision;
+      }
+      return await this.expireDecision(decision);
+    }
+
+    const dueReminders = (decision.reminders || []).filter(at => new Date(at).getTime() <= now);
+    if (dueReminders.length > 0) {
+      // Mark reminders as sent before pinging so concurrent sweeps don't double up
+      decision.reminders = decision.reminders.filter(at => !dueReminders.includes(at));
+      await this.storage.saveDecision(decision);
+      await this.sendReminder(decision);
+    }
+
+    return decision;
+  }
+
+  // Only called after processSchedule has claimed the decision
+  async expireDecision(decision) {
+    decision.timedOut = true;
+    decision.decidedAt = new Date().toISOString();
+    decision.decidedBy = { id: null, username: null, name: 'timeout' };
+    
+    if (!decision.defaultChoice || !this.applyChoice(decision, decision.defaultChoice)) {
+      decision.status = 'expired';
+      decision.chosenAction = null;
+    }
+
+    await this.storage.saveDecision(decision);
+
+    const outcome = decision.status === 'expired' ?
+      '⌛ **Decision: EXPIRED**\nNo response and no default was set' :
+      `⌛ **Timed out** - defaulted to ${this.labelForChoice(decision.defaultChoice, decision.actions)}`;
+
+    await this.groupManager.makeApiCall('editMessageText', {
+      chat_id: decision.chatId,
+      message_id: decision.messageId,
+      text: `${decision.text || decision.message}\n\n${outcome}\nAt ${this.groupManager.formatTime(decision.decidedAt)}`,
+      parse_mode: 'Markdown'
+    });
+
+    return decision;
+  }
+
+  async sendReminder(decision) {
+    const minutesLeft = Math.max(1, Math.round((new Date(decision.expiresAt).getTime() - Date.now()) / 60000));
+    let text = `⏰ **Decision Reminder**\n\n${decision.message}\n\n`;
+    text += `Expires in ~${minutesLeft} min`;
+    text += decision.defaultChoice ?
+      `, then defaults to ${this.labelForChoice(decision.defaultChoice, decision.actions)}` :
+      `, then is marked expired`;
+
+    const topicId = await this.groupManager.getTopicId(decision.chatId, 'decisions') || decision.topicId;
+    return await this.groupManager.sendTopicMessage(decision.chatId, topicId, text, 'Markdown', {
+      reply_to_message_id: decision.topicId === topicId ? decision.messageId : undefined
+    });
+  }
+
+  async sweepDecisions() {
+    // Called from scheduled jobs to expire and remind on every pending decision
+    const ids = await this.storage.getPendingDecisionIds();
+    const results = { checked: ids.length, expired: 0, reminded: 0 };
+
+    for (const id of ids) {
+      const decision = await this.storage.getDecision(id);
+      if (!decision || decision.status !== 'pending') {
+        await this.storage.removePendingDecision(id);
+        continue;
+      }
+
+      const remindersBefore = (decision.reminders || []).length;
+      const processed = await this.processSchedule(decision);
+      
+      if (processed.status !== 'pending') {
+        results.expired++;
+      } else if (processed.reminders.length < remindersBefore) {
+        results.reminded++;
+      }
+    }
+
+    return results;
+  }
+
+  describeOutcome(decision) {
+    if (decision.status === 'chosen') {
+      return { emoji: '🎯', title: decision.chosenAction };
+    }
+    const config = Object.values(this.standardChoices).find(c => c.status === decision.status);
+    return config ?
+      { emoji: config.emoji, title: config.title } :
+      { emoji: '📝', title: decision.status.toUpperCase() };
+  }
+
+  formatResolution(decision) {
+    const decider = decision.decidedBy?.username ?
+      `@${decision.decidedBy.username}` :
+      (decision.decidedBy?.name || 'unknown');
+    const outcome = this.describeOutcome(decision);
+
+    return `${outcome.emoji} **Decision: ${outcome.title}**\nBy ${decider} at ${this.groupManager.formatTime(decision.decidedAt)}`;
+  }
+
+  // Edits the decision request to show the outcome; `message` is the pressed message, if any
+  async showResolution(decision, message = null) {
+    const originalText = decision.text || message?.text || decision.message;
+
+    return await this.groupManager.makeApiCall('editMessageText', {
+      chat_id: message?.chat?.id || decision.chatId,
+      message_id: message?.message_id || decision.messageId,
+      text: `${originalText}\n\n${this.formatResolution(decision)}`,
+      parse_mode: 'Markdown'
+    });
+  }
+
+  async handleCallback(callbackQuery) {
+    const parsed = this.parseCallbackData(callbackQuery.data);
+    if (!parsed) {
+      return await this.answerCallback(callbackQuery.id, '❌ Unknown decision');
+    }
+
+    const result = await this.resolveDecision(parsed.decisionId, parsed.choice, callbackQuery.from);
+    if (!result.success) {
+      // A pending decision here was claimed by a press that hasn't been saved yet
+      const text = !result.alreadyResolved ? `❌ ${result.error}` :
+        result.decision.status === 'pending' ? 'Already being decided' :
+        `Already decided: ${this.describeOutcome(result.decision).title}`;
+      return await this.answerCallback(callbackQuery.id, text);
+    }
+
+    const decision = result.decision;
+    await this.showResolution(decision, callbackQuery.message);
+
+    await this.answerCallback(callbackQuery.id,
+      `Recorded: ${this.describeOutcome(decision).title}`);
+
+    return { success: true, decision };
+  }
+
+  async answerCallback(callbackQueryId, text, showAlert = false) {
+    return await this.groupManager.makeApiCall('answerCallbackQuery', {
+      callback_query_id: callbackQueryId,
+      text,
+      show_alert: showAlert
+    });
+  }
+}
+
+export default DecisionManager;
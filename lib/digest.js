@@ -0,0 +1,248 @@
+// Scheduled daily/weekly digest for the authorized chat
+// Swept from the monitor cron: sent on the first run at or after the configured delivery time
+
+import DueDateParser from './due-dates.js';
+
+// Section key -> heading, in digest order
+export const DIGEST_SECTIONS = {
+  tasks: '📋 Pending tasks by priority',
+  overdue: '🚨 Overdue',
+  completed: '✅ Completed',
+  messages: '💬 Saved messages by tag',
+  incidents: '📡 Monitoring incidents',
+  decisions: '⚖️ Unresolved decisions'
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const PRIORITIES = [['High', '🔴'], ['Medium', '🟡'], ['Low', '🟢']];
+const ITEMS_PER_GROUP = 3;
+
+class Digest {
+  constructor(storage, groupManager) {
+    this.storage = storage;
+    this.groupManager = groupManager;
+    this.dueDates = new DueDateParser();
+    this.chatId = process.env.TELEGRAM_CHAT_ID;
+    this.defaults = {
+      enabled: true,
+      frequency: 'daily',
+      day: 'monday',
+      time: '09:00',
+      timeZone: process.env.DEFAULT_TIMEZONE || 'UTC',
+      sections: Object.keys(DIGEST_SECTIONS)
+    };
+  }
+
+  async getSettings() {
+    return { ...this.defaults, ...await this.storage.getDigestSettings() };
+  }
+
+  // Only changed fields are stored, so later default changes still apply to the rest
+  async updateSettings(changes) {
+    const stored = { ...await this.storage.getDigestSettings(), ...changes };
+    await this.storage.saveDigestSettings(stored);
+    return { ...this.defaults, ...stored };
+  }
+
+  // Weekdays may be abbreviated ("mon", "thurs"); returns the full name or null
+  parseDay(text) {
+    const value = String(text || '').toLowerCase();
+    return value.length >= 3 ? WEEKDAYS.find(day => day.startsWith(value)) || null : null;
+  }
+
+  describeSchedule(settings) {
+    const day = settings.day.charAt(0).toUpperCase() + settings.day.slice(1);
+    const when = settings.frequency === 'weekly' ? `every ${day}` : 'daily';
+    return `${when} at ${settings.time} ${settings.timeZone}`;
+  }
+
+  // Start of the local day `offset` days from `now`'s day
+  startOfDay(now, timeZone, offset = 0) {
+    const today = this.dueDates.zonedParts(now, timeZone);
+    return this.dueDates.zonedToUtc(this.dueDates.addDays(today, offset), timeZone);
+  }
+
+  // Most recent delivery slot at or before `now`, or null if there hasn't been one this week
+  lastScheduledAt(settings, now = new Date()) {
+    const time = this.dueDates.parseTime(settings.time) || { hour: 9, minute: 0 };
+    const today = this.dueDates.zonedParts(now, settings.timeZone);
+
+    for (let offset = 0; offset <= 7; offset++) {
+      const date = this.dueDates.addDays(today, -offset);
+      const weekday = WEEKDAYS[new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay()];
+      if (settings.frequency === 'weekly' && weekday !== settings.day) continue;
+
+      const slot = this.dueDates.zonedToUtc({ ...date, ...time }, settings.timeZone);
+      if (slot <= now) return slot;
+    }
+    return null;
+  }
+
+  isDue(settings, now = new Date()) {
+    const slot = this.lastScheduledAt(settings, now);
+    return !!slot && (!settings.lastSentAt || new Date(settings.lastSentAt) < slot);
+  }
+
+  truncate(text, length = 60) {
+    const line = String(text || '').replace(/\s+/g, ' ').trim();
+    return line.length > length ? `${line.slice(0, length)}…` : line;
+  }
+
+  async collect(settings, now = new Date()) {
+    const days = settings.frequency === 'weekly' ? 7 : 1;
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const completedFrom = this.startOfDay(now, settings.timeZone, -days);
+    const completedTo = this.startOfDay(now, settings.timeZone);
+
+    const [stats, pending, messages, tasks, incidents, decisionIds] = await Promise.all([
+      this.storage.getStats(),
+      this.storage.getPendingTasks(1000),
+      this.storage.getRecentMessages(days * 24, 1000),
+      this.storage.getTasks(),
+      this.storage.getIncidents(since),
+      this.storage.getPendingDecisionIds()
+    ]);
+    const decisions = (await Promise.all(decisionIds.map(id => this.storage.getDecision(id))))
+      .filter(decision => decision?.status === 'pending');
+
+    return {
+      days,
+      stats,
+      pending: pending.filter(task => !this.storage.isSnoozed(task, now)),
+      overdue: pending.filter(task => this.dueDates.urgency(task, now) === 'overdue'),
+      completed: tasks.filter(task => task.completedAt &&
+        new Date(task.completedAt) >= completedFrom && new Date(task.completedAt) < completedTo),
+      messages,
+      incidents,
+      decisions
+    };
+  }
+
+  formatTask(task) {
+    return `• **${task.id}**: ${this.truncate(task.description)}`;
+  }
+
+  formatSection(key, data, settings, now) {
+    const heading = DIGEST_SECTIONS[key];
+
+    switch (key) {
+      case 'tasks': {
+        if (data.pending.length === 0) return `**${heading}**\nNothing pending 🎉`;
+        const groups = PRIORITIES.map(([priority, emoji]) => {
+          const tasks = data.pending.filter(task => (task.priority || 'Medium') === priority);
+          if (tasks.length === 0) return null;
+          const more = tasks.length > ITEMS_PER_GROUP ? `\n   …and ${tasks.length - ITEMS_PER_GROUP} more` : '';
+          return `${emoji} ${priority} (${tasks.length})\n${tasks.slice(0, ITEMS_PER_GROUP).map(task => this.formatTask(task)).join('\n')}${more}`;
+        });
+        return `**${heading}**\n${groups.filter(Boolean).join('\n')}`;
+      }
+
+      case 'overdue': {
+        if (data.overdue.length === 0) return `**${heading}**\nNothing overdue`;
+        const lines = data.overdue.slice(0, 5).map(task =>
+          `${this.formatTask(task)} - ${this.dueDates.formatRelative(task.dueAt, now)}`);
+        if (data.overdue.length > 5) lines.push(`…and ${data.overdue.length - 5} more`);
+        return `**${heading} (${data.overdue.length})**\n${lines.join('\n')}`;
+      }
+
+      case 'completed': {
+        const label = `${heading} ${data.days === 1 ? 'yesterday' : 'in the last 7 days'}`;
+        if (data.completed.length === 0) return `**${label}**\nNo tasks completed`;
+        const lines = data.completed.slice(0, 5).map(task => this.formatTask(task));
+        if (data.completed.length > 5) lines.push(`…and ${data.completed.length - 5} more`);
+        return `**${label} (${data.completed.length})**\n${lines.join('\n')}`;
+      }
+
+      case 'messages': {
+        const label = `${heading} (last ${data.days === 1 ? '24h' : '7 days'})`;
+        if (data.messages.length === 0) return `**${label}**\nNo messages saved`;
+
+        // A message with several tags is counted under each of them
+        const byTag = new Map();
+        for (const message of data.messages) {
+          for (const tag of message.tags?.length ? message.tags : ['untagged']) {
+            byTag.set(tag, [...(byTag.get(tag) || []), message]);
+          }
+        }
+        const groups = [...byTag.entries()]
+          .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+          .map(([tag, messages]) => `#${tag} (${messages.length})\n` +
+            messages.slice(0, 2).map(message => `   💬 ${this.truncate(message.text, 50)}`).join('\n'));
+        return `**${label}**\n${groups.join('\n')}`;
+      }
+
+      case 'incidents': {
+        if (data.incidents.length === 0) return `**${heading}**\nNo incidents ✅`;
+        const lines = data.incidents.slice(-5).reverse().map(incident =>
+          `• ${incident.severity === 'critical' ? '🚨' : '⚠️'} ${this.truncate(incident.message)} - ${this.dueDates.formatDateTime(incident.timestamp, settings.timeZone)}`);
+        if (data.incidents.length > 5) lines.push(`…and ${data.incidents.length - 5} more`);
+        return `**${heading} (${data.incidents.length})**\n${lines.join('\n')}`;
+      }
+
+      case 'decisions': {
+        if (data.decisions.length === 0) return `**${heading}**\nNo decisions waiting`;
+        const lines = data.decisions.slice(0, 5).map(decision => {
+          const expiry = decision.expiresAt ? ` - expires ${this.dueDates.formatRelative(decision.expiresAt, now)}` : '';
+          return `• ${this.truncate(decision.message)}${expiry}`;
+        });
+        if (data.decisions.length > 5) lines.push(`…and ${data.decisions.length - 5} more`);
+        return `**${heading} (${data.decisions.length})**\n${lines.join('\n')}`;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  async build(settings, now = new Date()) {
+    const data = await this.collect(settings, now);
+    const { stats } = data;
+    const title = settings.frequency === 'weekly' ? '📆 **Weekly Digest**' : '☀️ **Daily Digest**';
+    const date = new Intl.DateTimeFormat('en-GB', {
+      timeZone: settings.timeZone, weekday: 'short', day: 'numeric', month: 'short'
+    }).format(now);
+
+    let text = `${title} - ${date}\n\n`;
+    text += `📊 ${stats.pendingTasks} pending (${stats.overdueTasks} overdue), ${stats.completionRate}% done, `;
+    text += `${data.messages.length} message${data.messages.length === 1 ? '' : 's'} saved\n\n`;
+    text += Object.keys(DIGEST_SECTIONS)
+      .filter(key => settings.sections.includes(key))
+      .map(key => this.formatSection(key, data, settings, now))
+      .join('\n\n');
+    return text.trim();
+  }
+
+  async send(chatId, text) {
+    const result = await this.groupManager.makeApiCall('sendMessage', {
+      chat_id: chatId,
+      text,
+      parse_mode: 'Markdown'
+    });
+
+    if (!result.success) {
+      console.error('Failed to send digest:', result.error);
+    }
+    return result.success;
+  }
+
+  async sweepDigest(now = new Date()) {
+    const settings = await this.getSettings();
+    if (!settings.enabled || !this.chatId) {
+      return { sent: false, reason: settings.enabled ? 'no chat configured' : 'disabled' };
+    }
+    if (!this.isDue(settings, now)) {
+      return { sent: false, reason: 'not due' };
+    }
+
+    // Marked as sent first so overlapping cron runs don't deliver it twice
+    await this.updateSettings({ lastSentAt: now.toISOString() });
+
+    const sent = await this.send(this.chatId, await this.build(settings, now));
+    if (!sent) {
+      await this.updateSettings({ lastSentAt: settings.lastSentAt || null });
+    }
+    return { sent, frequency: settings.frequency };
+  }
+}
+
+export default Digest;
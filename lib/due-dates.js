@@ -0,0 +1,261 @@
+// Natural-language deadline parsing and timezone-aware date helpers
+// Understands "by Friday", "tomorrow 5pm", "in 3 days", "on Nov 1 at 9:30" and due:2026-11-01
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const WEEKDAY_PATTERN = '(?:sun|mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?)(?:day)?';
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE_PATTERN = [
+  'today', 'tonight', 'tomorrow', 'eod', 'end of (?:the )?(?:day|week)',
+  `(?:next\\s+)?${WEEKDAY_PATTERN}`,
+  'in\\s+\\d+\\s+(?:hours?|days?|weeks?)',
+  `${MONTH_PATTERN}\\s+\\d{1,2}(?:st|nd|rd|th)?`,
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}`,
+  '\\d{4}-\\d{2}-\\d{2}'
+].join('|');
+const TIME_PATTERN = '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2}|noon|midnight';
+
+class DueDateParser {
+  constructor(options = {}) {
+    // Deadlines given without a time fall at the end of the working day
+    const [hour, minute] = (options.defaultTime || process.env.TASK_DEFAULT_DUE_TIME || '17:00').split(':');
+    this.defaultTime = { hour: parseInt(hour) || 17, minute: parseInt(minute) || 0 };
+    this.dueSoonHours = options.dueSoonHours || parseFloat(process.env.TASK_REMINDER_HOURS || '24');
+
+    this.patterns = {
+      explicit: /(?:^|\s)due:(\S+)/i,
+      prefixed: new RegExp(`\\b(?:by|due|on|before)\\s+(${DATE_PATTERN})(?:\\s+(?:at\\s+)?(${TIME_PATTERN}))?(?![\\w'’])`, 'i'),
+      bare: new RegExp(`\\b(today|tonight|tomorrow|next\\s+${WEEKDAY_PATTERN}|in\\s+\\d+\\s+(?:hours?|days?|weeks?))(?:\\s+(?:at\\s+|by\\s+)?(${TIME_PATTERN}))?(?![\\w'’])`, 'i'),
+      timeOnly: new RegExp(`\\bby\\s+(${TIME_PATTERN})\\b`, 'i')
+    };
+  }
+
+  static isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Calendar fields of an instant as seen in `timeZone`
+  zonedParts(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'long',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+      year: parseInt(parts.year),
+      month: parseInt(parts.month),
+      day: parseInt(parts.day),
+      hour: parseInt(parts.hour),
+      minute: parseInt(parts.minute),
+      weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+    };
+  }
+
+  // Converts a wall-clock time in `timeZone` to a UTC Date, accounting for DST
+  zonedToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = instant => {
+      const p = this.zonedParts(new Date(instant), timeZone);
+      return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(instant / 60000) * 60000;
+    };
+
+    const firstGuess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(firstGuess));
+  }
+
+  // Adds calendar days to a { year, month, day } without timezone drift
+  addDays(date, days) {
+    const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+    return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+  }
+
+  parseTime(text) {
+    const value = String(text || '').toLowerCase().replace(/\s+/g, '');
+    if (value === 'noon') return { hour: 12, minute: 0 };
+    if (value === 'midnight') return { hour: 23, minute: 59 };
+
+    const match = value.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+    if (!match) return null;
+
+    let hour = parseInt(match[1]);
+    const minute = parseInt(match[2] || '0');
+    if (match[3] === 'pm' && hour < 12) hour += 12;
+    if (match[3] === 'am' && hour === 12) hour = 0;
+
+    return hour < 24 && minute < 60 ? { hour, minute } : null;
+  }
+
+  monthIndex(text) {
+    const prefix = text.toLowerCase().slice(0, 3);
+    return MONTHS.findIndex(month => month.startsWith(prefix));
+  }
+
+  // Resolves a date expression to a UTC Date, or null when it isn't understood
+  resolve(dateText, timeText, { timeZone = 'UTC', now = new Date() } = {}) {
+    const text = String(dateText || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    const today = this.zonedParts(now, timeZone);
+    const time = timeText ? this.parseTime(timeText) : null;
+    if (timeText && !time) return null;
+
+    const relative = text.match(/^in (\d+) (hour|day|week)s?$/);
+    if (relative) {
+      const amount = parseInt(relative[1]);
+      if (relative[2] === 'hour') return new Date(now.getTime() + amount * 60 * 60 * 1000);
+      const date = this.addDays(today, amount * (relative[2] === 'week' ? 7 : 1));
+      return this.zonedToUtc({ ...date, ...(time || this.defaultTime) }, timeZone);
+    }
+
+    let date = null;
+    let defaultTime = this.defaultTime;
+
+    if (text === 'today' || text === 'eod' || /^end of (the )?day$/.test(text)) {
+      date = today;
+    } else if (text === 'tonight') {
+      date = today;
+      defaultTime = { hour: 20, minute: 0 };
+    } else if (text === 'tomorrow') {
+      date = this.addDays(today, 1);
+    } else if (/^end of (the )?week$/.test(text)) {
+      date = this.addDays(today, (5 - today.weekday + 7) % 7);
+    } else if (/^\d{4}-\d{2}-\d{2}(t\d{1,2}:\d{2})?$/.test(text)) {
+      const [datePart, timePart] = text.split('t');
+      const [year, month, day] = datePart.split('-').map(Number);
+      date = { year, month, day };
+      if (timePart) defaultTime = this.parseTime(timePart) || defaultTime;
+    } else if (new RegExp(`^(next )?${WEEKDAY_PATTERN}$`).test(text)) {
+      const name = text.replace(/^next /, '');
+      const weekday = WEEKDAYS.findIndex(day => day.startsWith(name.slice(0, 3)));
+      let days = (weekday - today.weekday + 7) % 7;
+      if (text.startsWith('next ') && days === 0) days = 7;
+      date = this.addDays(today, days);
+    } else {
+      const monthFirst = text.match(new RegExp(`^(${MONTH_PATTERN}) (\\d{1,2})(?:st|nd|rd|th)?$`));
+      const dayFirst = text.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)? (${MONTH_PATTERN})$`));
+      const [monthText, dayText] = monthFirst ? [monthFirst[1], monthFirst[2]] : dayFirst ? [dayFirst[2], dayFirst[1]] : [];
+      const month = monthText ? this.monthIndex(monthText) : -1;
+
+      if (month >= 0) {
+        date = { year: today.year, month: month + 1, day: parseInt(dayText) };
+        // Dates already past this year refer to next year
+        if (month + 1 < today.month || (month + 1 === today.month && date.day < today.day)) {
+          date.year++;
+        }
+      }
+    }
+
+    if (!date) return null;
+
+    const check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+    if (check.getUTCMonth() !== date.month - 1 || check.getUTCDate() !== date.day) return null;
+
+    return this.zonedToUtc({ ...date, ...(time || defaultTime) }, timeZone);
+  }
+
+  // Extracts a deadline from task text; returns { description, dueAt, error }
+  parse(text, options = {}) {
+    const now = options.now || new Date();
+    const context = { timeZone: options.timeZone || 'UTC', now };
+    const strip = match => text.replace(match, ' ').replace(/\s{2,}/g, ' ').trim();
+
+    const explicit = text.match(this.patterns.explicit);
+    if (explicit) {
+      const [dateText, timeText] = explicit[1].replace(/_/g, ' ').split('@');
+      const dueAt = this.resolve(dateText, timeText, context);
+      return dueAt ?
+        { description: strip(explicit[0]), dueAt } :
+        { description: text, dueAt: null, error: `Could not understand due date "${explicit[1]}"` };
+    }
+
+    for (const key of ['prefixed', 'bare']) {
+      const match = text.match(this.patterns[key]);
+      const dueAt = match && this.resolve(match[1], match[2], context);
+      if (dueAt) {
+        return { description: strip(match[0]), dueAt };
+      }
+
+      // "on Nov 31" reads as a deadline, so an impossible date is reported rather than dropped
+      if (match && key === 'prefixed') {
+        const dateText = [match[1], match[2]].filter(Boolean).join(' ');
+        return { description: text, dueAt: null, error: `Could not understand due date "${dateText}"` };
+      }
+    }
+
+    // "by 5pm" means the next time it is 5pm
+    const timeOnly = text.match(this.patterns.timeOnly);
+    if (timeOnly) {
+      let dueAt = this.resolve('today', timeOnly[1], context);
+      if (dueAt && dueAt <= now) dueAt = this.resolve('tomorrow', timeOnly[1], context);
+      if (dueAt) return { description: strip(timeOnly[0]), dueAt };
+    }
+
+    return { description: text, dueAt: null };
+  }
+
+  // Resolves "3d", "2h", "tomorrow 9am" or "friday" to a point in time (used by /snooze)
+  resolveUntil(text, options = {}) {
+    const now = options.now || new Date();
+    const value = String(text || '').trim();
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+    const duration = value.match(/^(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)$/i);
+    if (duration) {
+      const unit = duration[2].toLowerCase().startsWith('mi') || duration[2].toLowerCase() === 'm' ? 'm' : duration[2][0].toLowerCase();
+      return new Date(now.getTime() + parseInt(duration[1]) * units[unit]);
+    }
+
+    // Anything the deadline parser accepts after "by" works too, as long as all of it is understood
+    const parsed = this.parse(`by ${value}`, { ...options, now });
+    return parsed.dueAt && parsed.description === '' ? parsed.dueAt : null;
+  }
+
+  // 'overdue', 'due_soon', 'scheduled' or null for tasks without a pending deadline
+  urgency(task, now = new Date()) {
+    if (!task.dueAt || task.status !== 'Pending') return null;
+
+    const remaining = new Date(task.dueAt) - now;
+    if (remaining <= 0) return 'overdue';
+    if (remaining <= this.dueSoonHours * 60 * 60 * 1000) return 'due_soon';
+    return 'scheduled';
+  }
+
+  formatRelative(dueAt, now = new Date()) {
+    const minutes = Math.round(Math.abs(new Date(dueAt) - now) / 60000);
+    const amount = minutes >= 2880 ? `${Math.round(minutes / 1440)}d` :
+      minutes >= 120 ? `${Math.round(minutes / 60)}h` : `${minutes}m`;
+    return new Date(dueAt) <= now ? `${amount} overdue` : `in ${amount}`;
+  }
+
+  // `display` is a timezone name or the { timeZone, dateFormat, language } chosen in /settings
+  formatDateTime(date, display = 'UTC') {
+    const { timeZone = 'UTC', dateFormat = 'default', language = 'en' } =
+      typeof display === 'string' ? { timeZone: display } : display;
+
+    if (dateFormat === 'iso') {
+      const p = this.zonedParts(new Date(date), timeZone);
+      const pad = value => String(value).padStart(2, '0');
+      return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+    }
+
+    // Languages other than English keep their own day/month order
+    const locale = language === 'en' ? (dateFormat === 'us' ? 'en-US' : 'en-GB') : language;
+    return new Intl.DateTimeFormat(locale, {
+      timeZone, weekday: 'short', day: 'numeric', month: 'short', minute: '2-digit',
+      ...(dateFormat === 'us' ? { hour: 'numeric', hourCycle: 'h12' } : { hour: '2-digit', hourCycle: 'h23' })
+    }).format(new Date(date));
+  }
+
+  formatDue(dueAt, display = 'UTC', now = new Date()) {
+    return `${this.formatDateTime(dueAt, display)} (${this.formatRelative(dueAt, now)})`;
+  }
+}
+
+export const urgencyEmojis = { overdue: '🚨', due_soon: '⏰', scheduled: '📅' };
+
+export default DueDateParser;
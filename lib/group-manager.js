@@ -2,11 +2,18 @@
 // Manages forum topics for different Claude Code instances and workflows
 
 import fetch from 'node-fetch';
+import PersistentStorage from './storage.js';
+import DueDateParser from './due-dates.js';
 
 class GroupManager {
-  constructor(botToken) {
+  constructor(botToken, storage = null) {
     this.botToken = botToken;
     this.apiBase = `https://api.telegram.org/bot${botToken}`;
+    this.storage = storage || new PersistentStorage();
+    this.dueDates = new DueDateParser();
+    
+    // Group messages are read by several people, so they use the deployment's timezone
+    this.timeZone = process.env.DEFAULT_TIMEZONE || 'UTC';
     
     // Predefined topics for Claude Code instances
     this.claudeTopics = {
@@ -48,6 +55,10 @@ class GroupManager {
     };
   }
 
+  formatTime(date = new Date()) {
+    return this.dueDates.formatDateTime(date, this.timeZone);
+  }
+
   async makeApiCall(method, params = {}) {
     try {
       const response = await fetch(`${this.apiBase}/${method}`, {
@@ -68,14 +79,25 @@ class GroupManager {
       console.log('Setting up Jinbot Test HQ with topics...');
       
       const results = {};
+      let topicsCreated = 0;
+      let topicsReused = 0;
       
-      // Create forum topics for each Claude instance
+      // Create forum topics for each Claude instance, reusing registered ones
       for (const [key, topic] of Object.entries(this.claudeTopics)) {
-        const result = await this.createForumTopic(groupChatId, topic.name, topic.color);
+        const existingId = await this.getTopicId(groupChatId, key);
+        if (existingId) {
+          console.log(`Reusing topic: ${topic.name} (ID: ${existingId})`);
+          results[key] = { success: true, topicId: existingId, name: topic.name, reused: true };
+          topicsReused++;
+          continue;
+        }
+
+        const result = await this.createAndRegisterTopic(groupChatId, key);
         results[key] = result;
         
         if (result.success) {
           console.log(`Created topic: ${topic.name} (ID: ${result.topicId})`);
+          topicsCreated++;
           
           // Send welcome message to each topic
           await this.sendTopicMessage(
@@ -91,7 +113,8 @@ class GroupManager {
       
       return {
         success: true,
-        topicsCreated: Object.keys(results).length,
+        topicsCreated,
+        topicsReused,
         results
       };
     } catch (error) {
@@ -118,12 +141,33 @@ class GroupManager {
     return { success: false, error: result.error };
   }
 
-  async sendTopicMessage(chatId, topicId, message, parseMode = 'Markdown') {
+  async createAndRegisterTopic(groupChatId, topicKey) {
+    const topic = this.claudeTopics[topicKey];
+    const result = await this.createForumTopic(groupChatId, topic.name, topic.color);
+    
+    if (result.success) {
+      await this.storage.saveTopic(groupChatId, topicKey, {
+        threadId: result.topicId,
+        name: topic.name,
+        color: topic.color
+      });
+    }
+    
+    return result;
+  }
+
+  isMissingTopicError(error) {
+    // Telegram reports deleted or unknown forum topics with these descriptions
+    return /thread not found|TOPIC_DELETED|TOPIC_ID_INVALID/i.test(error || '');
+  }
+
+  async sendTopicMessage(chatId, topicId, message, parseMode = 'Markdown', extra = {}) {
     const result = await this.makeApiCall('sendMessage', {
       chat_id: chatId,
       message_thread_id: topicId,
       text: message,
-      parse_mode: parseMode
+      parse_mode: parseMode,
+      ...extra
     });
 
     return {
@@ -133,7 +177,7 @@ class GroupManager {
     };
   }
 
-  async sendClaudeNotification(groupChatId, topicKey, notification) {
+  async sendClaudeNotification(groupChatId, topicKey, notification, options = {}) {
     try {
       // Get topic info
       const topic = this.claudeTopics[topicKey];
@@ -141,12 +185,12 @@ class GroupManager {
         throw new Error(`Unknown topic: ${topicKey}`);
       }
 
-      // Find topic ID (in production, this would be stored)
-      const topicId = await this.getTopicId(groupChatId, topic.name);
+      // Look up the registered topic before creating a new one
+      let topicId = await this.getTopicId(groupChatId, topicKey);
       
       if (!topicId) {
         // Create topic if it doesn't exist
-        const createResult = await this.createForumTopic(groupChatId, topic.name, topic.color);
+        const createResult = await this.createAndRegisterTopic(groupChatId, topicKey);
         if (!createResult.success) {
           throw new Error(`Failed to create topic: ${createResult.error}`);
         }
@@ -154,7 +198,7 @@ class GroupManager {
       }
 
       // Format notification message
-      const timestamp = new Date().toLocaleString();
+      const timestamp = this.formatTime();
       let message = `🤖 **Claude Code Notification**\n\n`;
       message += `**Type**: ${notification.type}\n`;
       message += `**Status**: ${notification.status}\n`;
@@ -167,10 +211,17 @@ class GroupManager {
       
       if (notification.requiresDecision) {
         message += `\n\n⚖️ **Decision Required**\n`;
-        message += `Reply with: ✅ Approve | ❌ Reject | 🤔 More Info`;
+        message += options.replyMarkup ?
+          `Tap a button below to decide` :
+          `Reply with: ✅ Approve | ❌ Reject | 🤔 More Info`;
+        
+        if (options.expiresAt) {
+          message += `\n⏰ **Expires**: ${this.formatTime(options.expiresAt)}`;
+          message += `\n↪️ **Default**: ${options.defaultLabel || 'none (marked expired)'}`;
+        }
       }
       
-      if (notification.actions) {
+      if (notification.actions && notification.actions.length > 0) {
         message += `\n\n🎯 **Available Actions**:\n`;
         notification.actions.forEach((action, index) => {
           message += `${index + 1}. ${action}\n`;
@@ -178,12 +229,27 @@ class GroupManager {
       }
 
       // Send to topic
-      const sendResult = await this.sendTopicMessage(groupChatId, topicId, message);
+      const extra = options.replyMarkup ? { reply_markup: options.replyMarkup } : {};
+      let sendResult = await this.sendTopicMessage(groupChatId, topicId, message, 'Markdown', extra);
+      
+      if (!sendResult.success && this.isMissingTopicError(sendResult.error)) {
+        // Topic was deleted in Telegram - forget it and recreate once
+        console.log(`Topic ${topicKey} (ID: ${topicId}) no longer exists, recreating`);
+        await this.storage.removeTopic(groupChatId, topicKey);
+        
+        const createResult = await this.createAndRegisterTopic(groupChatId, topicKey);
+        if (!createResult.success) {
+          throw new Error(`Failed to recreate topic: ${createResult.error}`);
+        }
+        topicId = createResult.topicId;
+        sendResult = await this.sendTopicMessage(groupChatId, topicId, message, 'Markdown', extra);
+      }
       
       return {
         success: sendResult.success,
         topicId,
         messageId: sendResult.messageId,
+        text: message,
         error: sendResult.error
       };
     } catch (error) {
@@ -191,52 +257,9 @@ class GroupManager {
     }
   }
 
-  async getTopicId(groupChatId, topicName) {
-    // In production, this would query stored topic mappings
-    // For now, return null to trigger topic creation
-    return null;
-  }
-
-  async handleDecisionResponse(groupChatId, messageId, decision, context = '') {
-    try {
-      let response = '';
-      
-      switch (decision.toLowerCase()) {
-        case 'approve':
-        case '✅':
-          response = `✅ **Decision: APPROVED**\n\nApproved by @xkonjin\nTime: ${new Date().toLocaleString()}\n\n🎯 Proceeding with action...`;
-          break;
-          
-        case 'reject':  
-        case '❌':
-          response = `❌ **Decision: REJECTED**\n\nRejected by @xkonjin\nTime: ${new Date().toLocaleString()}\n\n🛑 Action cancelled.`;
-          break;
-          
-        case 'info':
-        case '🤔':
-          response = `🤔 **Request for More Information**\n\nRequested by @xkonjin\nTime: ${new Date().toLocaleString()}\n\n📋 Gathering additional details...`;
-          break;
-          
-        default:
-          response = `📝 **Decision Noted**: ${decision}\n\nFrom @xkonjin\nTime: ${new Date().toLocaleString()}`;
-      }
-      
-      if (context) {
-        response += `\n\n**Context**: ${context}`;
-      }
-
-      // Reply to the original message
-      const result = await this.makeApiCall('sendMessage', {
-        chat_id: groupChatId,
-        text: response,
-        reply_to_message_id: messageId,
-        parse_mode: 'Markdown'
-      });
-
-      return { success: result.success, error: result.error };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+  async getTopicId(groupChatId, topicKey) {
+    const topic = await this.storage.getTopic(groupChatId, topicKey);
+    return topic ? topic.threadId : null;
   }
 
   getTopicForClaudeInstance(instanceType) {
@@ -267,6 +290,9 @@ class GroupManager {
       context: instanceData.context,
       requiresDecision: instanceData.requiresDecision || false,
       actions: instanceData.actions || [],
+      timeoutSeconds: instanceData.timeoutSeconds,
+      defaultDecision: instanceData.defaultDecision,
+      reminderSeconds: instanceData.reminderSeconds,
       instance: instanceData.instance || 'default',
       project: instanceData.project,
       priority: instanceData.priority || 'medium'
@@ -0,0 +1,195 @@
+// How new team members get a role without an admin looking up their user ID:
+// invite codes redeemed through /start deep links, and /request approvals sent to the owners
+
+import crypto from 'crypto';
+import DueDateParser from './due-dates.js';
+
+const INVITE_PREFIX = 'inv_';
+// Denied users can ask again after this long
+const REQUEST_COOLDOWN_HOURS = 24;
+
+class Onboarding {
+  constructor(storage, access, options = {}) {
+    this.storage = storage;
+    this.access = access;
+    this.dueDates = options.dueDates || new DueDateParser();
+    this.defaultInviteExpiry = options.defaultInviteExpiry || process.env.INVITE_DEFAULT_EXPIRY || '7d';
+  }
+
+  // Deep-link payloads allow A-Z, a-z, 0-9, _ and - (up to 64 characters)
+  generateCode() {
+    return `${INVITE_PREFIX}${crypto.randomBytes(9).toString('base64url')}`;
+  }
+
+  isInviteCode(text) {
+    return String(text || '').startsWith(INVITE_PREFIX);
+  }
+
+  // "/invite admin uses:5 expires:2w"; role defaults to member, one use, INVITE_DEFAULT_EXPIRY.
+  // Returns { role, maxUses, expiresAt } or { error }
+  parseInviteArgs(text, options = {}) {
+    const result = { role: 'member', maxUses: 1, expiresAt: null };
+    let expiry = this.defaultInviteExpiry;
+
+    for (const word of String(text || '').trim().split(/\s+/).filter(Boolean)) {
+      const [key, value] = word.includes(':') ? word.split(/:(.*)/s) : [null, word];
+      if (!key && this.access.isRole(value.toLowerCase())) {
+        result.role = value.toLowerCase();
+      } else if (key?.toLowerCase() === 'uses' && /^\d+$/.test(value) && parseInt(value) > 0) {
+        result.maxUses = parseInt(value);
+      } else if (key?.toLowerCase() === 'expires') {
+        expiry = value;
+      } else {
+        return { error: `Didn't understand "${word}"` };
+      }
+    }
+
+    if (!['never', 'none'].includes(expiry.toLowerCase())) {
+      result.expiresAt = this.dueDates.resolveUntil(expiry, options);
+      if (!result.expiresAt) return { error: `Unknown expiry: ${expiry}` };
+    }
+    return result;
+  }
+
+  async createInvite(actor, { role, maxUses, expiresAt }) {
+    const denied = await this.access.checkAssign(actor, role);
+    if (denied.error) return denied;
+
+    const invite = {
+      code: this.generateCode(),
+      role,
+      maxUses,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      createdBy: { id: actor.id, username: actor.username || null },
+      createdAt: new Date().toISOString(),
+      usedBy: []
+    };
+    await this.storage.saveInvite(invite);
+    return { invite };
+  }
+
+  // 'active', 'expired' or 'used'
+  inviteStatus(invite, uses, now = new Date()) {
+    if (invite.expiresAt && new Date(invite.expiresAt) <= now) return 'expired';
+    if (uses >= invite.maxUses) return 'used';
+    return 'active';
+  }
+
+  // Active invites with their use counts; finished ones are dropped from storage
+  async listInvites(now = new Date()) {
+    const invites = await this.storage.getInvites();
+    const active = [];
+
+    for (const invite of invites) {
+      const uses = await this.storage.getInviteUses(invite.code);
+      if (this.inviteStatus(invite, uses, now) === 'active') {
+        active.push({ ...invite, uses });
+      } else {
+        await this.storage.removeInvite(invite.code);
+      }
+    }
+    return active.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Revoked codes are deleted, so redeeming them reports an invalid link
+  async revokeInvite(code) {
+    const invite = await this.storage.getInvite(code);
+    if (!invite) {
+      return { error: `Invite ${code} not found` };
+    }
+    await this.storage.removeInvite(code);
+    return { invite };
+  }
+
+  // Grants the invite's role to `user`; returns { invite, record } or { error }
+  async redeemInvite(user, code, now = new Date()) {
+    const invite = await this.storage.getInvite(code);
+    const errors = {
+      expired: 'This invite link has expired',
+      used: 'This invite link has already been used'
+    };
+    if (!invite) return { error: 'This invite link is not valid' };
+
+    const status = this.inviteStatus(invite, await this.storage.getInviteUses(code), now);
+    if (status !== 'active') return { error: errors[status] };
+
+    // Existing roles are only ever upgraded by an invite
+    const { role } = await this.access.resolve(user);
+    if (role && this.access.rank(role) >= this.access.rank(invite.role)) {
+      return { error: `You already have access as ${role}`, role };
+    }
+
+    // The creator's current role must still allow handing out this one
+    const denied = await this.access.checkChange(invite.createdBy, user, invite.role);
+    if (denied) return { error: 'This invite link is no longer valid' };
+
+    if (await this.storage.useInvite(code) > invite.maxUses) {
+      return { error: errors.used };
+    }
+    const result = await this.access.grant(invite.createdBy, user, invite.role, { via: 'invite', invite: code });
+    if (result.error) return { error: 'This invite link is no longer valid' };
+
+    invite.usedBy.push({ id: user.id, username: user.username || null, at: now.toISOString() });
+    await this.storage.saveInvite(invite);
+    return { invite, record: result.record };
+  }
+
+  // Returns { request } or { error }; `role` is set when the user already has one
+  async requestAccess(user, chat, note = '', now = new Date()) {
+    const { role } = await this.access.resolve(user);
+    if (role) return { error: `You already have access as ${role}`, role };
+
+    const previous = await this.storage.getAccessRequest(user.id);
+    if (previous?.status === 'pending') {
+      return { error: 'Your access request is still waiting for an answer' };
+    }
+    if (previous?.status === 'denied' &&
+        now - new Date(previous.answeredAt) < REQUEST_COOLDOWN_HOURS * 60 * 60 * 1000) {
+      return { error: `Your last request was denied - you can ask again after ${REQUEST_COOLDOWN_HOURS} hours` };
+    }
+
+    const request = {
+      userId: user.id,
+      username: user.username || null,
+      name: [user.first_name, user.last_name].filter(Boolean).join(' ') || null,
+      chatId: chat?.id ?? user.id,
+      note: String(note || '').trim().slice(0, 300),
+      status: 'pending',
+      requestedAt: now.toISOString()
+    };
+    await this.storage.saveAccessRequest(request);
+    return { request };
+  }
+
+  // Approves (with `role`) or denies a pending request; returns { request, record } or { error }
+  async answerRequest(actor, userId, role = null) {
+    const request = await this.storage.getAccessRequest(userId);
+    if (!request) return { error: 'Request not found' };
+    if (request.status !== 'pending') {
+      return { error: `Already ${request.status} by ${this.access.describeUser(request.answeredBy)}`, request };
+    }
+
+    const target = { id: request.userId, username: request.username, name: request.name };
+    let record = null;
+    if (role) {
+      const result = await this.access.grant(actor, target, role, { via: 'request' });
+      if (result.error) return result;
+      record = result.record;
+    } else {
+      const denied = await this.access.checkAssign(actor, null);
+      if (denied.error) return denied;
+    }
+
+    const answered = {
+      ...request,
+      status: role ? 'approved' : 'denied',
+      role,
+      answeredBy: { id: actor.id, username: actor.username || null },
+      answeredAt: new Date().toISOString()
+    };
+    await this.storage.saveAccessRequest(answered);
+    return { request: answered, record };
+  }
+}
+
+export default Onboarding;
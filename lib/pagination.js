@@ -0,0 +1,104 @@
+// Page rendering and ◀️/▶️ navigation for long list responses
+// Navigation state lives in callback data (or storage for long queries) so it survives restarts
+
+import crypto from 'crypto';
+
+const CALLBACK_DATA_LIMIT = 64;  // Telegram rejects longer callback_data
+const MAX_PAGE_CHARS = 3500;     // Leaves room for headers under the 4096 message limit
+const ITEM_ACTION_RESERVE = 20;  // Room for an "it:<action>:<item id>" prefix on the list state
+
+class Paginator {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  // Packs pre-rendered entries into pages bounded by item count and message length
+  paginate(entries, page = 1, { pageSize = 5, maxChars = MAX_PAGE_CHARS } = {}) {
+    const pages = [];
+    let current = [];
+    let length = 0;
+
+    for (const raw of entries) {
+      const entry = raw.length > maxChars ? `${raw.slice(0, maxChars - 20)}… (truncated)\n\n` : raw;
+      if (current.length > 0 && (current.length >= pageSize || length + entry.length > maxChars)) {
+        pages.push(current);
+        current = [];
+        length = 0;
+      }
+      current.push(entry);
+      length += entry.length;
+    }
+    if (current.length > 0) pages.push(current);
+
+    const totalPages = Math.max(1, pages.length);
+    const pageNumber = Math.min(Math.max(1, parseInt(page) || 1), totalPages);
+
+    return {
+      entries: pages[pageNumber - 1] || [],
+      offset: pages.slice(0, pageNumber - 1).reduce((count, chunk) => count + chunk.length, 0),
+      page: pageNumber,
+      pages: totalPages,
+      total: entries.length
+    };
+  }
+
+  // Callback data format: pg:<view>:<page>:<ref>
+  encode(view, page, ref = '') {
+    return `pg:${view}:${page}:${ref}`;
+  }
+
+  decode(data) {
+    const [prefix, view, page, ...rest] = String(data || '').split(':');
+    if (prefix !== 'pg' || !view || view === 'noop') return null;
+    return { view, page: parseInt(page) || 1, ref: rest.join(':') };
+  }
+
+  // Buttons acting on one list item carry the list state so the page can be redrawn:
+  // it:<action>:<item id>:<view>:<page>:<ref>
+  encodeItemAction(action, itemId, view, page, ref = '') {
+    return `it:${action}:${itemId}:${view}:${page}:${ref}`;
+  }
+
+  decodeItemAction(data) {
+    const [prefix, action, itemId, view, page, ...rest] = String(data || '').split(':');
+    if (prefix !== 'it' || !action || !itemId || !view) return null;
+    return { action, itemId, view, page: parseInt(page) || 1, ref: rest.join(':') };
+  }
+
+  // Values too long for callback data are stored under a short content hash
+  async storeRef(view, value = '') {
+    const longestData = this.encode(view, 9999, value);
+    if (Buffer.byteLength(longestData) + ITEM_ACTION_RESERVE <= CALLBACK_DATA_LIMIT && !value.startsWith('#')) {
+      return value;
+    }
+
+    const hash = crypto.createHash('sha1').update(value).digest('base64url').slice(0, 12);
+    await this.storage.setValue(`pagination:${hash}`, value);
+    return `#${hash}`;
+  }
+
+  async resolveRef(ref = '') {
+    if (!ref.startsWith('#')) return ref;
+    return await this.storage.getValue(`pagination:${ref.slice(1)}`, null);
+  }
+
+  // `itemRows` are extra button rows (e.g. per-item actions) shown above the navigation
+  buildKeyboard(view, ref, page, pages, itemRows = []) {
+    if (pages <= 1) {
+      return itemRows.length > 0 ? { inline_keyboard: itemRows } : null;
+    }
+
+    const row = [];
+    if (page > 1) row.push({ text: '◀️', callback_data: this.encode(view, page - 1, ref) });
+    row.push({ text: `${page} / ${pages}`, callback_data: 'pg:noop' });
+    if (page < pages) row.push({ text: '▶️', callback_data: this.encode(view, page + 1, ref) });
+
+    return { inline_keyboard: [...itemRows, row] };
+  }
+
+  formatFooter(paged) {
+    return paged.pages > 1 ? `📄 Page ${paged.page} of ${paged.pages} (${paged.total} total)` : '';
+  }
+}
+
+export default Paginator;
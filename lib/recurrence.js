@@ -0,0 +1,231 @@
+// Repetition rules for recurring tasks
+// Understands "every Monday", "every 2 weeks", "daily at 9am", "monthly on the 1st"
+// and cron expressions such as repeat:"0 9 * * 1-5"
+
+import DueDateParser from './due-dates.js';
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_PATTERN = '(?:sun|mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?)(?:day)?s?';
+const TIME_PATTERN = '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2}|noon|midnight';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Searches at most this many days ahead for the next occurrence
+const MAX_LOOKAHEAD_DAYS = 5 * 366;
+
+class RecurrenceParser {
+  constructor(options = {}) {
+    this.dueDates = options.dueDates || new DueDateParser();
+
+    const time = `(?:\\s+(?:at|by)\\s+(${TIME_PATTERN}))?`;
+    const weekdayList = `${WEEKDAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${WEEKDAY_PATTERN})*`;
+    this.patterns = {
+      cron: /(?:^|\s)repeat:"([^"]+)"/i,
+      weekdays: new RegExp(`\\b(?:every|each)\\s+(?:(\\d+)\\s+weeks?\\s+on\\s+)?(weekday|${weekdayList})${time}(?![\\w'’])`, 'i'),
+      weeklyOn: new RegExp(`\\bweekly\\s+on\\s+(${weekdayList})${time}(?![\\w'’])`, 'i'),
+      monthlyOn: new RegExp(`\\b(?:monthly|every\\s+(\\d+\\s+)?months?)\\s+on\\s+the\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+day)?${time}(?![\\w'’])`, 'i'),
+      monthlyLast: new RegExp(`\\b(?:monthly|every\\s+(\\d+\\s+)?months?)\\s+on\\s+the\\s+last\\s+day${time}(?![\\w'’])`, 'i'),
+      interval: new RegExp(`\\b(?:every\\s+(?:(\\d+)\\s+)?(day|week|month|year)s?|(daily|weekly|monthly|yearly|annually))${time}(?![\\w'’])`, 'i')
+    };
+  }
+
+  parseWeekdays(text) {
+    if (/^weekday$/i.test(text)) return [1, 2, 3, 4, 5];
+    return [...new Set(text.toLowerCase().split(/\s*(?:,|and|&)\s*/)
+      .map(name => WEEKDAY_NAMES.indexOf(name.trim().slice(0, 3)))
+      .filter(day => day >= 0))].sort();
+  }
+
+  // Parses one cron field ("*", "1-5", "*/15", "1,15") into the allowed values
+  parseCronField(field, min, max) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+      const [range, stepText] = part.split('/');
+      const step = stepText ? parseInt(stepText) : 1;
+      const [start, end] = range === '*' ? [min, max] :
+        range.includes('-') ? range.split('-').map(Number) : [parseInt(range), stepText ? max : parseInt(range)];
+
+      if ([start, end, step].some(n => isNaN(n)) || step < 1 || start < min || end > max || start > end) {
+        return null;
+      }
+      for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return [...values].sort((a, b) => a - b);
+  }
+
+  parseCron(expression) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) return null;
+
+    const [minutes, hours, monthDays, months, weekdays] = [
+      this.parseCronField(fields[0], 0, 59),
+      this.parseCronField(fields[1], 0, 23),
+      this.parseCronField(fields[2], 1, 31),
+      this.parseCronField(fields[3], 1, 12),
+      this.parseCronField(fields[4], 0, 7)
+    ];
+    if (!minutes || !hours || !monthDays || !months || !weekdays) return null;
+
+    return {
+      freq: 'cron',
+      cron: expression.trim(),
+      minutes, hours, monthDays, months,
+      weekdays: [...new Set(weekdays.map(day => day % 7))],
+      // Cron semantics: when both day fields are restricted, either may match
+      anyDay: fields[2] !== '*' && fields[4] !== '*'
+    };
+  }
+
+  // Extracts a repeat rule from task text; returns { description, rule, error }
+  parse(text) {
+    const strip = match => text.replace(match, ' ').replace(/\s{2,}/g, ' ').trim();
+    const withTime = (rule, timeText) => {
+      const time = timeText ? this.dueDates.parseTime(timeText) : null;
+      return time ? { ...rule, time } : rule;
+    };
+
+    const cron = text.match(this.patterns.cron);
+    if (cron) {
+      const rule = this.parseCron(cron[1]);
+      return rule ?
+        { description: strip(cron[0]), rule } :
+        { description: text, rule: null, error: `Invalid cron expression "${cron[1]}" (expected 5 fields: minute hour day month weekday)` };
+    }
+
+    let match = text.match(this.patterns.weekdays);
+    if (match) {
+      const rule = { freq: 'weekly', interval: parseInt(match[1]) || 1, weekdays: this.parseWeekdays(match[2]) };
+      return { description: strip(match[0]), rule: withTime(rule, match[3]) };
+    }
+
+    match = text.match(this.patterns.weeklyOn);
+    if (match) {
+      const rule = { freq: 'weekly', interval: 1, weekdays: this.parseWeekdays(match[1]) };
+      return { description: strip(match[0]), rule: withTime(rule, match[2]) };
+    }
+
+    match = text.match(this.patterns.monthlyOn);
+    if (match) {
+      const monthDay = parseInt(match[2]);
+      if (monthDay < 1 || monthDay > 31) {
+        return { description: text, rule: null, error: `Invalid day of month: ${monthDay}` };
+      }
+      const rule = { freq: 'monthly', interval: parseInt(match[1]) || 1, monthDay };
+      return { description: strip(match[0]), rule: withTime(rule, match[3]) };
+    }
+
+    match = text.match(this.patterns.monthlyLast);
+    if (match) {
+      const rule = { freq: 'monthly', interval: parseInt(match[1]) || 1, monthDay: -1 };
+      return { description: strip(match[0]), rule: withTime(rule, match[2]) };
+    }
+
+    match = text.match(this.patterns.interval);
+    if (match) {
+      const unit = (match[2] || match[3]).toLowerCase();
+      const freq = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly', annually: 'yearly' }[unit] || unit;
+      const rule = { freq, interval: parseInt(match[1]) || 1 };
+      return { description: strip(match[0]), rule: withTime(rule, match[4]) };
+    }
+
+    return { description: text, rule: null };
+  }
+
+  // Fixes the rule to a starting date so intervals ("every 2 weeks") have a reference point
+  anchor(rule, dueAt, timeZone) {
+    const local = this.dueDates.zonedParts(new Date(dueAt), timeZone);
+    return {
+      ...rule,
+      time: rule.time || (rule.freq === 'cron' ? undefined : { hour: local.hour, minute: local.minute }),
+      anchor: { year: local.year, month: local.month, day: local.day }
+    };
+  }
+
+  daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  matchesDay(rule, date) {
+    const anchor = rule.anchor || date;
+    const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+    const weekday = (dayNumber(date) + 4) % 7;  // 1970-01-01 was a Thursday
+    const monthsApart = (date.year - anchor.year) * 12 + (date.month - anchor.month);
+
+    switch (rule.freq) {
+      case 'daily':
+        return (dayNumber(date) - dayNumber(anchor)) % rule.interval === 0;
+      case 'weekly': {
+        const weekdays = rule.weekdays?.length ? rule.weekdays : [(dayNumber(anchor) + 4) % 7];
+        const weekStart = day => day - ((day + 4) % 7);
+        const weeksApart = (weekStart(dayNumber(date)) - weekStart(dayNumber(anchor))) / 7;
+        return weekdays.includes(weekday) && weeksApart % rule.interval === 0;
+      }
+      case 'monthly': {
+        const wanted = rule.monthDay || anchor.day;
+        const lastDay = this.daysInMonth(date.year, date.month);
+        // Days past the end of a short month fall on its last day
+        const monthDay = wanted === -1 ? lastDay : Math.min(wanted, lastDay);
+        return date.day === monthDay && monthsApart % rule.interval === 0;
+      }
+      case 'yearly': {
+        const lastDay = this.daysInMonth(date.year, anchor.month);
+        return date.month === anchor.month && date.day === Math.min(anchor.day, lastDay) &&
+          (date.year - anchor.year) % rule.interval === 0;
+      }
+      case 'cron': {
+        const dayOfMonth = rule.monthDays.includes(date.day);
+        const dayOfWeek = rule.weekdays.includes(weekday);
+        return rule.months.includes(date.month) && (rule.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek);
+      }
+      default:
+        return false;
+    }
+  }
+
+  timesOfDay(rule) {
+    if (rule.freq !== 'cron') {
+      return [rule.time || this.dueDates.defaultTime];
+    }
+    return rule.hours.flatMap(hour => rule.minutes.map(minute => ({ hour, minute })));
+  }
+
+  // First occurrence strictly after `after`, in `timeZone`
+  nextOccurrence(rule, after, timeZone = 'UTC') {
+    const start = this.dueDates.zonedParts(new Date(after), timeZone);
+    const times = this.timesOfDay(rule);
+    const dayValue = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+    const firstDay = rule.anchor ? dayValue(rule.anchor) : -Infinity;
+
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      const date = this.dueDates.addDays(start, offset);
+      if (dayValue(date) < firstDay || !this.matchesDay(rule, date)) continue;
+
+      for (const time of times) {
+        const occurrence = this.dueDates.zonedToUtc({ ...date, ...time }, timeZone);
+        if (occurrence > new Date(after)) return occurrence;
+      }
+    }
+    return null;
+  }
+
+  describe(rule) {
+    if (rule.freq === 'cron') return `cron "${rule.cron}"`;
+
+    const every = rule.interval > 1 ? `every ${rule.interval} ` : 'every ';
+    const unit = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' }[rule.freq];
+    let text = `${every}${unit}${rule.interval > 1 ? 's' : ''}`;
+
+    if (rule.freq === 'weekly' && rule.weekdays?.length) {
+      const names = rule.weekdays.map(day => WEEKDAY_NAMES[day][0].toUpperCase() + WEEKDAY_NAMES[day].slice(1));
+      text = `${rule.interval > 1 ? `every ${rule.interval} weeks on ` : 'every '}${names.join(', ')}`;
+    } else if (rule.freq === 'monthly' && rule.monthDay) {
+      text += rule.monthDay === -1 ? ' on the last day' : ` on day ${rule.monthDay}`;
+    }
+
+    if (rule.time) {
+      text += ` at ${String(rule.time.hour).padStart(2, '0')}:${String(rule.time.minute).padStart(2, '0')}`;
+    }
+    return text;
+  }
+}
+
+export default RecurrenceParser;
@@ -0,0 +1,274 @@
+// Inverted full-text index with a small query language
+// Supports "quoted phrases", tag:, from:, before:/after:, status:, priority:, prefix* and -negation
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+const FILTER_KEYS = ['tag', 'from', 'before', 'after', 'status', 'priority', 'page'];
+
+// Lowercased words and numbers, without stopwords and single characters
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+class SearchIndex {
+  // `kind` namespaces the index keys, `fields` maps a record to the text that is indexed
+  constructor(storage, kind, fields) {
+    this.storage = storage;
+    this.kind = kind;
+    this.fields = fields;
+  }
+
+  tokenize(text) {
+    return tokenize(text);
+  }
+
+  documentText(record) {
+    return this.fields(record).filter(Boolean).join(' ');
+  }
+
+  postingKey(token) {
+    return `jinbot:search:${this.kind}:${token}`;
+  }
+
+  get vocabularyKey() {
+    return `jinbot:search:${this.kind}:_vocabulary`;
+  }
+
+  // Returns false if any posting could not be written
+  async add(record) {
+    const tokens = [...new Set(this.tokenize(this.documentText(record)))];
+    const results = await Promise.all(tokens.flatMap(token => [
+      this.storage.addMember(this.postingKey(token), record.id, 'search posting'),
+      this.storage.addMember(this.vocabularyKey, token, 'search vocabulary')
+    ]));
+    return results.every(Boolean);
+  }
+
+  async remove(record) {
+    const tokens = [...new Set(this.tokenize(this.documentText(record)))];
+    await Promise.all(tokens.map(token =>
+      this.storage.removeMember(this.postingKey(token), record.id, 'search posting')
+    ));
+  }
+
+  async update(previous, record) {
+    if (previous) await this.remove(previous);
+    await this.add(record);
+  }
+
+  parseDate(value) {
+    const text = String(value || '').toLowerCase();
+    const now = new Date();
+    let date = null;
+
+    if (text === 'today' || text === 'yesterday') {
+      date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+      if (text === 'yesterday') date.setUTCDate(date.getUTCDate() - 1);
+    } else if (/^\d+[dwm]$/.test(text)) {
+      // Relative ages: 7d, 2w, 1m
+      const amount = parseInt(text);
+      const days = { d: 1, w: 7, m: 30 }[text.slice(-1)] * amount;
+      return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      date = new Date(`${text}T00:00:00Z`);
+    }
+
+    return !date || isNaN(date) ? null : date;
+  }
+
+  parseQuery(query) {
+    const parsed = {
+      terms: [], prefixes: [], phrases: [], filters: {},
+      exclude: { terms: [], phrases: [], filters: {} },
+      page: 1, errors: []
+    };
+
+    // Split into -?key:"value", -?key:value, -?"phrase" and -?word chunks
+    const pattern = /(-)?(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+      const [, negated, rawKey, quoted, bare] = match;
+      const key = rawKey?.toLowerCase();
+      const value = quoted !== undefined ? quoted : bare;
+      const target = negated ? parsed.exclude : parsed;
+
+      if (key && FILTER_KEYS.includes(key)) {
+        if (key === 'page') {
+          parsed.page = Math.max(1, parseInt(value) || 1);
+          continue;
+        }
+        if (key === 'before' || key === 'after') {
+          const date = this.parseDate(value);
+          if (!date) {
+            parsed.errors.push(`Invalid date for ${key}: ${value}`);
+            continue;
+          }
+          target.filters[key] = date;
+          continue;
+        }
+        (target.filters[key] = target.filters[key] || []).push(value.toLowerCase());
+        continue;
+      }
+
+      // Unknown key:value pairs are searched as plain text
+      const text = rawKey ? `${rawKey}:${value}` : value;
+      if (quoted !== undefined && !rawKey) {
+        target.phrases.push(text.toLowerCase());
+      } else if (!negated && /^[\p{L}\p{N}]+\*$/u.test(text)) {
+        parsed.prefixes.push(text.slice(0, -1).toLowerCase());
+      } else {
+        target.terms.push(...this.tokenize(text));
+      }
+    }
+
+    return parsed;
+  }
+
+  hasCriteria(parsed) {
+    return parsed.terms.length > 0 || parsed.prefixes.length > 0 || parsed.phrases.length > 0 ||
+      Object.keys(parsed.filters).length > 0;
+  }
+
+  async candidateIds(parsed, allIds) {
+    // Every positive term (including words inside phrases) must appear in the document
+    const required = [...new Set([
+      ...parsed.terms,
+      ...parsed.phrases.flatMap(phrase => this.tokenize(phrase))
+    ])];
+
+    let candidates = null;
+    for (const token of required) {
+      const ids = new Set(await this.storage.members(this.postingKey(token), 'search posting'));
+      candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+      if (candidates.size === 0) return candidates;
+    }
+
+    if (parsed.prefixes.length > 0) {
+      const vocabulary = await this.storage.members(this.vocabularyKey, 'search vocabulary');
+      for (const prefix of parsed.prefixes) {
+        const matches = new Set();
+        for (const token of vocabulary.filter(word => word.startsWith(prefix))) {
+          (await this.storage.members(this.postingKey(token), 'search posting')).forEach(id => matches.add(id));
+        }
+        candidates = candidates ? new Set([...candidates].filter(id => matches.has(id))) : matches;
+      }
+    }
+
+    return candidates || new Set(allIds);
+  }
+
+  matchesFilters(record, filters, accessors) {
+    for (const [key, values] of Object.entries(filters)) {
+      if (key === 'before') {
+        if (!(new Date(record.timestamp) < values)) return false;
+      } else if (key === 'after') {
+        if (!(new Date(record.timestamp) >= values)) return false;
+      } else {
+        const recordValues = (accessors[key] ? accessors[key](record) : []).map(v => String(v).toLowerCase());
+        const matchesAll = values.every(value => recordValues.some(recordValue =>
+          key === 'from' ? recordValue.includes(value) : recordValue === value
+        ));
+        if (!matchesAll) return false;
+      }
+    }
+    return true;
+  }
+
+  matchesExclusions(record, exclude, accessors) {
+    const text = this.documentText(record).toLowerCase();
+    const tokens = new Set(this.tokenize(text));
+
+    if (exclude.terms.some(term => tokens.has(term))) return false;
+    if (exclude.phrases.some(phrase => text.includes(phrase))) return false;
+
+    for (const [key, values] of Object.entries(exclude.filters)) {
+      if (key === 'before' && new Date(record.timestamp) < values) return false;
+      if (key === 'after' && new Date(record.timestamp) >= values) return false;
+      if (Array.isArray(values)) {
+        const recordValues = (accessors[key] ? accessors[key](record) : []).map(v => String(v).toLowerCase());
+        const excluded = values.some(value => recordValues.some(recordValue =>
+          key === 'from' ? recordValue.includes(value) : recordValue === value
+        ));
+        if (excluded) return false;
+      }
+    }
+    return true;
+  }
+
+  score(record, parsed, documentFrequency, totalDocuments) {
+    const text = this.documentText(record).toLowerCase();
+    const tokens = this.tokenize(text);
+    let relevance = 0;
+
+    // TF-IDF over query terms, with a bonus for exact phrase hits
+    for (const term of new Set(parsed.terms)) {
+      const tf = tokens.filter(token => token === term).length;
+      const idf = Math.log(1 + totalDocuments / (documentFrequency[term] || 1));
+      relevance += tf * idf;
+    }
+    for (const prefix of parsed.prefixes) {
+      relevance += tokens.filter(token => token.startsWith(prefix)).length * 0.5;
+    }
+    relevance += parsed.phrases.filter(phrase => text.includes(phrase)).length * 2;
+
+    // Recency decays relevance with a ~30 day half-life; filter-only queries rank by recency
+    const ageDays = (Date.now() - new Date(record.timestamp).getTime()) / (24 * 60 * 60 * 1000);
+    const recency = Math.pow(0.5, Math.max(ageDays, 0) / 30);
+    return (relevance || 1) * (0.5 + 0.5 * recency);
+  }
+
+  // Runs a query against records loaded through `loadRecords(ids)`; pageSize null returns every match
+  async search(query, { allIds, loadRecords, accessors = {}, page, pageSize = 5 }) {
+    const parsed = this.parseQuery(query);
+    const currentPage = page || parsed.page;
+
+    // Stopwords and single characters are never indexed, so a query of only those would match everything
+    if (!this.hasCriteria(parsed)) {
+      return {
+        results: [], total: 0, page: 1, pages: 1, pageSize: pageSize || 1, requestedPage: 1,
+        errors: parsed.errors,
+        hint: 'Search for a word of two or more letters (common words like "the" are ignored), a "phrase" or a filter like tag:x'
+      };
+    }
+
+    const candidates = await this.candidateIds(parsed, allIds);
+    const records = (await loadRecords([...candidates])).filter(Boolean);
+
+    const matches = records.filter(record =>
+      parsed.phrases.every(phrase => this.documentText(record).toLowerCase().includes(phrase)) &&
+      this.matchesFilters(record, parsed.filters, accessors) &&
+      this.matchesExclusions(record, parsed.exclude, accessors)
+    );
+
+    const documentFrequency = {};
+    for (const term of new Set(parsed.terms)) {
+      documentFrequency[term] = (await this.storage.members(this.postingKey(term), 'search posting')).length;
+    }
+
+    const ranked = matches
+      .map(record => ({ record, score: this.score(record, parsed, documentFrequency, allIds.length) }))
+      .sort((a, b) => b.score - a.score || new Date(b.record.timestamp) - new Date(a.record.timestamp))
+      .map(entry => entry.record);
+
+    const size = pageSize || Math.max(ranked.length, 1);
+    const pages = Math.max(1, Math.ceil(ranked.length / size));
+    const pageNumber = Math.min(currentPage, pages);
+
+    return {
+      results: ranked.slice((pageNumber - 1) * size, pageNumber * size),
+      total: ranked.length,
+      page: pageNumber,
+      pages,
+      pageSize: size,
+      requestedPage: parsed.page,
+      errors: parsed.errors
+    };
+  }
+}
+
+export default SearchIndex;
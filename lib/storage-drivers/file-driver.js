@@ -0,0 +1,111 @@
+// Local JSON file storage driver
+// Lets the bot run self-hosted (or in tests) without Vercel KV
+
+import { promises as fs } from 'fs';
+import { dirname, resolve } from 'path';
+
+class FileDriver {
+  constructor(filePath = process.env.STORAGE_FILE_PATH || './data/jinbot-storage.json') {
+    this.name = 'file';
+    this.label = 'Local File';
+    this.persistent = true;
+    this.filePath = resolve(filePath);
+    
+    // Mutations are serialized so concurrent writes in one process don't clobber each other
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(contents);
+      return { values: data.values || {}, sets: data.sets || {} };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { values: {}, sets: {} };
+      }
+      throw error;
+    }
+  }
+
+  async save(data) {
+    // Write to a temp file and rename so a crash never leaves a half-written store
+    await fs.mkdir(dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  mutate(mutation) {
+    const run = this.queue.then(async () => {
+      const data = await this.load();
+      const result = mutation(data);
+      await this.save(data);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async get(key) {
+    await this.queue;
+    const data = await this.load();
+    return data.values[key] === undefined ? null : data.values[key];
+  }
+
+  async mget(keys) {
+    await this.queue;
+    const data = await this.load();
+    return keys.map(key => data.values[key] === undefined ? null : data.values[key]);
+  }
+
+  async set(key, value) {
+    return await this.mutate(data => {
+      data.values[key] = value;
+      return true;
+    });
+  }
+
+  async del(key) {
+    return await this.mutate(data => {
+      delete data.values[key];
+      delete data.sets[key];
+      return true;
+    });
+  }
+
+  async incr(key) {
+    return await this.mutate(data => {
+      data.values[key] = (parseInt(data.values[key]) || 0) + 1;
+      return data.values[key];
+    });
+  }
+
+  // True only if the member was not already in the set, like SADD's count in Redis
+  async sadd(key, member) {
+    return await this.mutate(data => {
+      const members = data.sets[key] || [];
+      data.sets[key] = members;
+      if (members.includes(member)) return false;
+      members.push(member);
+      return true;
+    });
+  }
+
+  // True only if the member was in the set, like SREM's count in Redis
+  async srem(key, member) {
+    return await this.mutate(data => {
+      const members = data.sets[key] || [];
+      data.sets[key] = members.filter(existing => existing !== member);
+      return data.sets[key].length < members.length;
+    });
+  }
+
+  async smembers(key) {
+    await this.queue;
+    const data = await this.load();
+    return data.sets[key] || [];
+  }
+}
+
+export default FileDriver;
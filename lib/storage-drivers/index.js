@@ -0,0 +1,26 @@
+// Storage driver selection
+// STORAGE_DRIVER=kv|file|memory, defaulting to KV when Vercel KV is configured
+
+import KvDriver from './kv-driver.js';
+import FileDriver from './file-driver.js';
+import MemoryDriver from './memory-driver.js';
+
+const drivers = {
+  kv: () => new KvDriver(),
+  file: () => new FileDriver(),
+  memory: () => new MemoryDriver()
+};
+
+export function defaultDriverName() {
+  return process.env.STORAGE_DRIVER || (process.env.KV_REST_API_URL ? 'kv' : 'memory');
+}
+
+export function createStorageDriver(name = defaultDriverName()) {
+  const factory = drivers[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name} (expected ${Object.keys(drivers).join(', ')})`);
+  }
+  return factory();
+}
+
+export { KvDriver, FileDriver, MemoryDriver };
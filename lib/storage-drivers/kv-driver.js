@@ -0,0 +1,53 @@
+// Vercel KV (Upstash Redis) storage driver
+// Default driver on Vercel deployments where KV_REST_API_URL is configured
+
+import { kv } from '@vercel/kv';
+
+class KvDriver {
+  constructor() {
+    this.name = 'kv';
+    this.label = 'Vercel KV';
+    this.persistent = true;
+  }
+
+  async get(key) {
+    const value = await kv.get(key);
+    return value === undefined ? null : value;
+  }
+
+  async mget(keys) {
+    if (keys.length === 0) return [];
+    const values = await kv.mget(...keys);
+    return values.map(value => value === undefined ? null : value);
+  }
+
+  async set(key, value) {
+    await kv.set(key, value);
+    return true;
+  }
+
+  async del(key) {
+    await kv.del(key);
+    return true;
+  }
+
+  async incr(key) {
+    return await kv.incr(key);
+  }
+
+  // True only if the member was not already in the set
+  async sadd(key, member) {
+    return await kv.sadd(key, member) > 0;
+  }
+
+  // True only if the member was in the set
+  async srem(key, member) {
+    return await kv.srem(key, member) > 0;
+  }
+
+  async smembers(key) {
+    return await kv.smembers(key) || [];
+  }
+}
+
+export default KvDriver;
@@ -0,0 +1,62 @@
+// In-memory storage driver
+// Used for unit tests and as the fallback when no persistent store is configured
+
+class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+    this.label = 'In-Memory';
+    this.persistent = false;
+    this.values = new Map();
+    this.sets = new Map();
+  }
+
+  // Values are copied in and out so callers see the same semantics as a remote store
+  clone(value) {
+    return value === undefined || value === null ? null : structuredClone(value);
+  }
+
+  async get(key) {
+    return this.clone(this.values.get(key));
+  }
+
+  async mget(keys) {
+    return keys.map(key => this.clone(this.values.get(key)));
+  }
+
+  async set(key, value) {
+    this.values.set(key, this.clone(value));
+    return true;
+  }
+
+  async del(key) {
+    this.values.delete(key);
+    this.sets.delete(key);
+    return true;
+  }
+
+  async incr(key) {
+    const next = (parseInt(this.values.get(key)) || 0) + 1;
+    this.values.set(key, next);
+    return next;
+  }
+
+  // True only if the member was not already in the set
+  async sadd(key, member) {
+    if (!this.sets.has(key)) this.sets.set(key, new Set());
+    const members = this.sets.get(key);
+    if (members.has(member)) return false;
+    members.add(member);
+    return true;
+  }
+
+  // True only if the member was in the set
+  async srem(key, member) {
+    return this.sets.get(key)?.delete(member) || false;
+  }
+
+  async smembers(key) {
+    return [...(this.sets.get(key) || [])];
+  }
+}
+
+export default MemoryDriver;
@@ -1,243 +1,1098 @@
-// Persistent storage layer using Vercel KV
-// Replaces in-memory storage with persistent database
+// Persistent storage layer with pluggable drivers
+// Vercel KV in production, local JSON file for self-hosting, in-memory for tests
 
-import { kv } from '@vercel/kv';
+import { createStorageDriver } from './storage-drivers/index.js';
+import SearchIndex from './search-index.js';
+import DueDateParser from './due-dates.js';
+import RecurrenceParser from './recurrence.js';
+
+// Task fields that are bookkeeping rather than user-visible changes
+const UNTRACKED_TASK_FIELDS = ['history', 'reminders', 'completionDate', 'nextOccurrenceId'];
 
 class PersistentStorage {
-  constructor() {
-    this.kvEnabled = !!process.env.KV_REST_API_URL;
-    
-    // Fallback to in-memory if KV not available
-    this.fallbackStorage = {
-      tasks: [],
-      messages: [],
-      nextTaskId: 1,
-      settings: {}
+  constructor(options = {}) {
+    this.driver = options.driver || createStorageDriver(options.driverName);
+    this.retention = { ...PersistentStorage.retentionFromEnv(), ...options.retention };
+    
+    // Inverted indexes are maintained on every task/message write
+    this.messageIndex = new SearchIndex(this, 'messages', message =>
+      [message.text, message.sourceChat, ...(message.tags || [])]);
+    this.taskIndex = new SearchIndex(this, 'tasks', task =>
+      [task.description, ...(task.tags || [])]);
+    this.dueDates = new DueDateParser();
+    this.recurrence = new RecurrenceParser({ dueDates: this.dueDates });
+    
+    // Deleted tasks can be restored with /undo for this long
+    this.undoWindowSeconds = options.undoWindowSeconds || parseInt(process.env.TASK_UNDO_SECONDS || '600');
+  }
+
+  // Message retention: max count, max age, per-tag max age, and tags that are never trimmed
+  static retentionFromEnv() {
+    const tagDays = {};
+    (process.env.MESSAGE_TAG_RETENTION_DAYS || '').split(',').filter(Boolean).forEach(entry => {
+      const [tag, days] = entry.split(':').map(part => part.trim());
+      if (tag && parseFloat(days) > 0) tagDays[tag.toLowerCase()] = parseFloat(days);
+    });
+    
+    return {
+      maxCount: parseInt(process.env.MESSAGE_RETENTION_COUNT || '1000'),
+      maxAgeDays: parseFloat(process.env.MESSAGE_RETENTION_DAYS || '0'),
+      tagDays,
+      keepTags: (process.env.MESSAGE_KEEP_TAGS || 'important,forwarded')
+        .split(',')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean)
     };
   }
 
-  async getTasks() {
-    if (this.kvEnabled) {
-      try {
-        const tasks = await kv.get('jinbot:tasks') || [];
-        return Array.isArray(tasks) ? tasks : [];
-      } catch (error) {
-        console.error('KV get tasks error:', error);
-        return this.fallbackStorage.tasks;
-      }
+  // Driver errors are logged and degrade to the default value, like a cache miss
+  async read(key, defaultValue, label) {
+    try {
+      const value = await this.driver.get(key);
+      return value === null ? defaultValue : value;
+    } catch (error) {
+      console.error(`Storage get ${label} error:`, error);
+      return defaultValue;
+    }
+  }
+
+  async write(key, value, label) {
+    try {
+      await this.driver.set(key, value);
+      return true;
+    } catch (error) {
+      console.error(`Storage save ${label} error:`, error);
+      return false;
+    }
+  }
+
+  async readMany(keys, label) {
+    try {
+      return await this.driver.mget(keys);
+    } catch (error) {
+      console.error(`Storage get ${label} error:`, error);
+      return keys.map(() => null);
+    }
+  }
+
+  async remove(key, label) {
+    try {
+      await this.driver.del(key);
+      return true;
+    } catch (error) {
+      console.error(`Storage delete ${label} error:`, error);
+      return false;
+    }
+  }
+
+  async members(key, label) {
+    try {
+      return await this.driver.smembers(key);
+    } catch (error) {
+      console.error(`Storage get ${label} error:`, error);
+      return [];
+    }
+  }
+
+  async addMember(key, member, label) {
+    try {
+      await this.driver.sadd(key, member);
+      return true;
+    } catch (error) {
+      console.error(`Storage add ${label} error:`, error);
+      return false;
+    }
+  }
+
+  async removeMember(key, member, label) {
+    try {
+      await this.driver.srem(key, member);
+      return true;
+    } catch (error) {
+      console.error(`Storage remove ${label} error:`, error);
+      return false;
     }
-    return this.fallbackStorage.tasks;
+  }
+
+  // Tasks are stored one record per key plus an index set, so an update only touches one task
+  taskKey(taskId) {
+    return `jinbot:task:${taskId}`;
+  }
+
+  taskNumber(taskId) {
+    return parseInt(String(taskId).replace(/^task_/, '')) || 0;
+  }
+
+  async getTasks() {
+    await this.migrateLegacyTasks();
+    
+    const ids = await this.members('jinbot:tasks:index', 'task index');
+    const tasks = await this.readMany(ids.map(id => this.taskKey(id)), 'tasks');
+    
+    return tasks
+      .filter(Boolean)
+      .sort((a, b) => this.taskNumber(a.id) - this.taskNumber(b.id));
+  }
+
+  async getTask(taskId) {
+    await this.migrateLegacyTasks();
+    return await this.read(this.taskKey(taskId), null, 'task');
+  }
+
+  async saveTask(task, previous = null) {
+    const saved = await this.write(this.taskKey(task.id), task, 'task');
+    await this.addMember('jinbot:tasks:index', task.id, 'task index');
+    await this.taskIndex.update(previous, task);
+    return saved;
   }
 
   async saveTasks(tasks) {
-    if (this.kvEnabled) {
-      try {
-        await kv.set('jinbot:tasks', tasks);
-        return true;
-      } catch (error) {
-        console.error('KV save tasks error:', error);
-        this.fallbackStorage.tasks = tasks;
-        return false;
+    await this.migrateLegacyTasks();
+    
+    const results = await Promise.all(tasks.map(task => this.saveTask(task)));
+    
+    // Keep the ID sequence ahead of any imported task numbers
+    const highest = Math.max(0, ...tasks.map(task => this.taskNumber(task.id)));
+    await this.ensureSequence('jinbot:tasks:seq', highest);
+    
+    return results.every(Boolean);
+  }
+
+  async allocateTaskId() {
+    // INCR is atomic, so concurrent invocations never hand out the same ID
+    const nextId = await this.driver.incr('jinbot:tasks:seq');
+    return `task_${String(nextId).padStart(3, '0')}`;
+  }
+
+  async ensureSequence(key, minimum) {
+    const current = parseInt(await this.read(key, 0, 'sequence')) || 0;
+    return minimum > current ? await this.write(key, minimum, 'sequence') : true;
+  }
+
+  // Legacy migrations read through the driver so a failed call stops them instead of looking
+  // like missing data, and only count records as copied once they read back from their new keys
+  async copyLegacyRecords(records, keyFor, save) {
+    for (const record of records) {
+      if (!await save(record)) {
+        throw new Error(`Could not save ${record.id}`);
       }
     }
-    this.fallbackStorage.tasks = tasks;
-    return true;
+    const stored = await this.driver.mget(records.map(record => keyFor(record.id)));
+    if (!stored.every(Boolean)) {
+      throw new Error('Copied records did not read back');
+    }
   }
 
   async addTask(task) {
-    const tasks = await this.getTasks();
+    await this.migrateLegacyTasks();
     
-    // Generate next ID
-    const nextId = await this.getNextTaskId();
-    task.id = `task_${String(nextId).padStart(3, '0')}`;
+    task.id = await this.allocateTaskId();
     task.createdDate = new Date().toISOString().split('T')[0];
     task.timestamp = new Date().toISOString();
     
-    tasks.push(task);
-    await this.saveTasks(tasks);
-    await this.incrementTaskId();
-    
+    await this.saveTask(task);
     return task;
   }
 
-  async completeTask(taskId) {
-    const tasks = await this.getTasks();
-    const task = tasks.find(t => t.id === taskId);
+  async updateTask(taskId, update) {
+    const task = await this.getTask(taskId);
+    if (!task) return null;
+    
+    const previous = structuredClone(task);
+    const updated = typeof update === 'function' ? (update(task) || task) : { ...task, ...update };
+    await this.saveTask(updated, previous);
+    return updated;
+  }
+
+  diffTask(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
     
-    if (task) {
+    for (const field of fields) {
+      if (UNTRACKED_TASK_FIELDS.includes(field)) continue;
+      if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+        changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+      }
+    }
+    return changes;
+  }
+
+  historyEntry(action, actor, changes = {}) {
+    return {
+      at: new Date().toISOString(),
+      by: actor ? (actor.username ? `@${actor.username}` : String(actor.id)) : 'system',
+      action,
+      changes
+    };
+  }
+
+  // Applies `mutate` to a task and appends what changed to its history
+  async changeTask(taskId, action, mutate, actor = null) {
+    return await this.updateTask(taskId, task => {
+      const before = structuredClone(task);
+      mutate(task);
+      
+      const changes = this.diffTask(before, task);
+      if (Object.keys(changes).length === 0) return task;
+      
+      // A new deadline gets a fresh set of reminders
+      if (changes.dueAt) delete task.reminders;
+      task.history = [...(task.history || []), this.historyEntry(action, actor, changes)].slice(-50);
+      return task;
+    });
+  }
+
+  async completeTask(taskId, actor = null) {
+    let newlyCompleted = false;
+    const completed = await this.changeTask(taskId, 'complete', task => {
+      if (task.status === 'Completed') return;
+      
+      newlyCompleted = true;
       task.status = 'Completed';
       task.completionDate = new Date().toISOString().split('T')[0];
       task.completedAt = new Date().toISOString();
-      await this.saveTasks(tasks);
-      return task;
+    }, actor);
+    
+    if (!completed || !newlyCompleted || !completed.recurrence) {
+      return completed;
+    }
+    
+    // Two quick completions can both see the task open; only the one that claims it spawns
+    if (!await this.claimNextOccurrence(taskId)) {
+      return completed;
     }
-    return null;
+    
+    const next = await this.spawnNextOccurrence(completed);
+    return next ? await this.updateTask(taskId, { nextOccurrenceId: next.id }) : completed;
   }
 
-  async getMessages() {
-    if (this.kvEnabled) {
-      try {
-        const messages = await kv.get('jinbot:messages') || [];
-        return Array.isArray(messages) ? messages : [];
-      } catch (error) {
-        console.error('KV get messages error:', error);
-        return this.fallbackStorage.messages;
+  async reopenTask(taskId, actor = null) {
+    return await this.changeTask(taskId, 'reopen', task => {
+      task.status = 'Pending';
+      task.completionDate = '';
+      delete task.completedAt;
+    }, actor);
+  }
+
+  // Hides a task from the actionable list until `until`, pushing its deadline if needed
+  async snoozeTask(taskId, until, actor = null) {
+    return await this.changeTask(taskId, 'snooze', task => {
+      task.snoozedUntil = until.toISOString();
+      if (task.dueAt && new Date(task.dueAt) < until) {
+        task.dueAt = until.toISOString();
+      }
+    }, actor);
+  }
+
+  isSnoozed(task, now = new Date()) {
+    return Boolean(task.snoozedUntil) && new Date(task.snoozedUntil) > now;
+  }
+
+  // Subtasks point at their parent through `parentId`; progress counts every direct subtask
+  subtaskProgress(task, tasks) {
+    const subtasks = tasks.filter(t => t.parentId === task.id);
+    return { done: subtasks.filter(t => t.status === 'Completed').length, total: subtasks.length };
+  }
+
+  // `blockedBy` lists the tasks that must be completed first; deleted blockers no longer count
+  openBlockers(task, tasksById) {
+    return (task.blockedBy || [])
+      .map(id => tasksById.get(id))
+      .filter(blocker => blocker && blocker.status !== 'Completed');
+  }
+
+  isBlocked(task, tasksById) {
+    return this.openBlockers(task, tasksById).length > 0;
+  }
+
+  // True when `taskId` waits on `blockerId`, directly or through other blockers
+  dependsOn(taskId, blockerId, tasksById, seen = new Set()) {
+    if (seen.has(taskId)) return false;
+    seen.add(taskId);
+    
+    const blockedBy = tasksById.get(taskId)?.blockedBy || [];
+    return blockedBy.includes(blockerId) ||
+      blockedBy.some(id => this.dependsOn(id, blockerId, tasksById, seen));
+  }
+
+  async addBlocker(taskId, blockerId, actor = null) {
+    const tasksById = new Map((await this.getTasks()).map(task => [task.id, task]));
+    if (!tasksById.has(taskId)) return { error: `Task ${taskId} not found` };
+    if (!tasksById.has(blockerId)) return { error: `Task ${blockerId} not found` };
+    
+    if (taskId === blockerId) return { error: 'A task cannot block itself' };
+    
+    // A task blocked by one of its own dependents could never become actionable
+    if (this.dependsOn(blockerId, taskId, tasksById)) {
+      return { error: `${blockerId} already depends on ${taskId}, linking them would create a cycle` };
+    }
+    
+    const task = await this.changeTask(taskId, 'block', t => {
+      t.blockedBy = [...new Set([...(t.blockedBy || []), blockerId])];
+    }, actor);
+    return { task };
+  }
+
+  async removeBlocker(taskId, blockerId, actor = null) {
+    return await this.changeTask(taskId, 'unblock', task => {
+      task.blockedBy = (task.blockedBy || []).filter(id => id !== blockerId);
+      if (task.blockedBy.length === 0) delete task.blockedBy;
+    }, actor);
+  }
+
+  // Deleted tasks move to a trash key and can be restored until the undo window closes
+  trashKey(taskId) {
+    return `jinbot:trash:task:${taskId}`;
+  }
+
+  async deleteTask(taskId, actor = null) {
+    const task = await this.getTask(taskId);
+    if (!task) return null;
+    
+    task.deletedAt = new Date().toISOString();
+    task.history = [...(task.history || []), this.historyEntry('delete', actor)].slice(-50);
+    
+    await this.write(this.trashKey(taskId), task, 'deleted task');
+    await this.addMember('jinbot:tasks:trash', taskId, 'task trash');
+    await this.remove(this.taskKey(taskId), 'task');
+    await this.removeMember('jinbot:tasks:index', taskId, 'task index');
+    await this.taskIndex.remove(task);
+    
+    await this.purgeDeletedTasks();
+    return { ...task, undoUntil: new Date(Date.now() + this.undoWindowSeconds * 1000).toISOString() };
+  }
+
+  isUndoExpired(task, now = Date.now()) {
+    return now - new Date(task.deletedAt).getTime() > this.undoWindowSeconds * 1000;
+  }
+
+  async restoreTask(taskId, actor = null) {
+    const task = await this.read(this.trashKey(taskId), null, 'deleted task');
+    if (!task || this.isUndoExpired(task)) return null;
+    
+    delete task.deletedAt;
+    task.history = [...(task.history || []), this.historyEntry('restore', actor)].slice(-50);
+    
+    await this.saveTask(task);
+    await this.remove(this.trashKey(taskId), 'deleted task');
+    await this.removeMember('jinbot:tasks:trash', taskId, 'task trash');
+    return task;
+  }
+
+  async purgeDeletedTasks() {
+    const ids = await this.members('jinbot:tasks:trash', 'task trash');
+    const tasks = await this.readMany(ids.map(id => this.trashKey(id)), 'deleted tasks');
+    
+    for (const [index, task] of tasks.entries()) {
+      if (!task || this.isUndoExpired(task)) {
+        await this.remove(this.trashKey(ids[index]), 'deleted task');
+        await this.removeMember('jinbot:tasks:trash', ids[index], 'task trash');
+        await this.removeMember('jinbot:tasks:spawned', ids[index], 'spawned occurrence');
+      }
+    }
+  }
+
+  // Atomic claim via SADD: true for exactly one caller per task, so a recurring task spawns
+  // at most one follow-up even if it is completed twice at once or reopened and completed again
+  async claimNextOccurrence(taskId) {
+    try {
+      return await this.driver.sadd('jinbot:tasks:spawned', taskId);
+    } catch (error) {
+      console.error('Storage claim next occurrence error:', error);
+      return false;
+    }
+  }
+  
+  // Creates the follow-up task for a completed recurring task
+  async spawnNextOccurrence(task) {
+    const timeZone = task.timeZone || 'UTC';
+    const now = new Date();
+    
+    // Occurrences missed while the task was open are skipped rather than created overdue
+    let dueAt = this.recurrence.nextOccurrence(task.recurrence, task.dueAt || now, timeZone);
+    while (dueAt && dueAt <= now) {
+      dueAt = this.recurrence.nextOccurrence(task.recurrence, dueAt, timeZone);
+    }
+    if (!dueAt) return null;
+    
+    const {
+      id, status, completionDate, completedAt, reminders, nextOccurrenceId, timestamp, createdDate,
+      history, snoozedUntil, ...carried
+    } = task;
+    
+    return await this.addTask({
+      ...carried,
+      status: 'Pending',
+      completionDate: '',
+      dueAt: dueAt.toISOString(),
+      seriesId: task.seriesId || id,
+      occurrence: (task.occurrence || 1) + 1,
+      completionHistory: [
+        ...(task.completionHistory || []),
+        { taskId: id, dueAt: task.dueAt || null, completedAt }
+      ]
+    });
+  }
+
+  // One-time migration from the single-array `jinbot:tasks` key to per-record storage
+  async migrateLegacyTasks() {
+    if (this.tasksMigrated) return;
+    
+    try {
+      if (!await this.driver.get('jinbot:migrations:tasks_v2')) {
+        const stored = await this.driver.get('jinbot:tasks');
+        const legacyTasks = Array.isArray(stored) ? stored : [];
+        const legacyNextId = parseInt(await this.driver.get('jinbot:next_task_id')) || 1;
+        
+        if (legacyTasks.length > 0) {
+          console.log(`Migrating ${legacyTasks.length} legacy tasks to per-record storage`);
+          await this.copyLegacyRecords(legacyTasks, id => this.taskKey(id), task => this.saveTask(task));
+        }
+        
+        const highest = Math.max(legacyNextId - 1, 0, ...legacyTasks.map(task => this.taskNumber(task.id)));
+        if (!await this.ensureSequence('jinbot:tasks:seq', highest)) {
+          throw new Error('Could not update the task ID sequence');
+        }
+        
+        await this.driver.set('jinbot:migrations:tasks_v2', new Date().toISOString());
+        await this.driver.del('jinbot:tasks');
+        await this.driver.del('jinbot:next_task_id');
       }
+      this.tasksMigrated = true;
+    } catch (error) {
+      // The marker isn't written and the legacy key is kept, so the next call tries again
+      console.error('Task migration failed, will retry:', error);
     }
-    return this.fallbackStorage.messages;
+  }
+
+  // Messages use the same record-plus-index layout as tasks, with a monotonic ID sequence
+  messageKey(messageId) {
+    return `jinbot:message:${messageId}`;
+  }
+
+  messageNumber(messageId) {
+    return parseInt(String(messageId).replace(/^msg_/, '')) || 0;
+  }
+
+  async getMessages() {
+    await this.migrateLegacyMessages();
+    
+    const ids = await this.members('jinbot:messages:index', 'message index');
+    const messages = await this.readMany(ids.map(id => this.messageKey(id)), 'messages');
+    
+    return messages
+      .filter(Boolean)
+      .sort((a, b) => this.messageNumber(a.id) - this.messageNumber(b.id));
+  }
+
+  async getMessage(messageId) {
+    await this.migrateLegacyMessages();
+    return await this.read(this.messageKey(messageId), null, 'message');
+  }
+
+  async saveMessage(message, previous = null) {
+    const saved = await this.write(this.messageKey(message.id), message, 'message');
+    await this.addMember('jinbot:messages:index', message.id, 'message index');
+    await this.messageIndex.update(previous, message);
+    return saved;
+  }
+
+  async removeMessageRecord(message) {
+    await this.remove(this.messageKey(message.id), 'message');
+    await this.removeMember('jinbot:messages:index', message.id, 'message index');
+    await this.messageIndex.remove(message);
   }
 
   async saveMessages(messages) {
-    if (this.kvEnabled) {
-      try {
-        await kv.set('jinbot:messages', messages);
-        return true;
-      } catch (error) {
-        console.error('KV save messages error:', error);
-        this.fallbackStorage.messages = messages;
-        return false;
+    await this.migrateLegacyMessages();
+    
+    for (const message of messages) {
+      if (!message.id) {
+        message.id = await this.allocateMessageId();
       }
+      await this.saveMessage(message);
     }
-    this.fallbackStorage.messages = messages;
+    
+    const highest = Math.max(0, ...messages.map(message => this.messageNumber(message.id)));
+    await this.ensureSequence('jinbot:messages:seq', highest);
     return true;
   }
 
+  async allocateMessageId() {
+    const nextId = await this.driver.incr('jinbot:messages:seq');
+    return `msg_${String(nextId).padStart(3, '0')}`;
+  }
+
   async addMessage(message) {
-    const messages = await this.getMessages();
+    await this.migrateLegacyMessages();
     
-    message.id = `msg_${String(messages.length + 1).padStart(3, '0')}`;
+    message.id = await this.allocateMessageId();
     message.timestamp = new Date().toISOString();
     
-    messages.push(message);
+    await this.saveMessage(message);
+    await this.trimMessagesToCount(this.messageNumber(message.id));
+    return message;
+  }
+
+  async deleteMessage(messageId) {
+    const message = await this.getMessage(messageId);
+    if (!message) return null;
+    
+    await this.removeMessageRecord(message);
+    return message;
+  }
+
+  isMessageKept(message) {
+    return (message.tags || []).some(tag => this.retention.keepTags.includes(tag.toLowerCase()));
+  }
+
+  isMessageExpired(message, now = Date.now()) {
+    const ageDays = (now - new Date(message.timestamp).getTime()) / (24 * 60 * 60 * 1000);
     
-    // Keep only last 1000 messages to prevent storage bloat
-    if (messages.length > 1000) {
-      messages.splice(0, messages.length - 1000);
+    if (this.retention.maxAgeDays > 0 && ageDays > this.retention.maxAgeDays) {
+      return true;
     }
     
-    await this.saveMessages(messages);
-    return message;
+    // A per-tag limit applies when every limited tag on the message has expired
+    const tagLimits = (message.tags || [])
+      .map(tag => this.retention.tagDays[tag.toLowerCase()])
+      .filter(Boolean);
+    return tagLimits.length > 0 && ageDays > Math.max(...tagLimits);
   }
 
-  async getNextTaskId() {
-    if (this.kvEnabled) {
-      try {
-        const nextId = await kv.get('jinbot:next_task_id') || 1;
-        return parseInt(nextId);
-      } catch (error) {
-        console.error('KV get next task ID error:', error);
-        return this.fallbackStorage.nextTaskId;
+  // Count limit applied on every save. IDs only grow, so there can't be more messages than the
+  // sequence number; past that only the oldest messages are loaded, a batch at a time
+  async trimMessagesToCount(sequence) {
+    const { maxCount } = this.retention;
+    if (maxCount <= 0 || sequence <= maxCount) return 0;
+    
+    const ids = (await this.members('jinbot:messages:index', 'message index'))
+      .sort((a, b) => this.messageNumber(a) - this.messageNumber(b));
+    let excess = ids.length - maxCount;
+    let deleted = 0;
+    
+    // Kept messages are skipped, so another batch is read until enough have been removed
+    for (let start = 0; excess > 0 && start < ids.length;) {
+      const batch = ids.slice(start, start + excess);
+      start += batch.length;
+      const messages = await this.readMany(batch.map(id => this.messageKey(id)), 'messages');
+      
+      for (const message of messages) {
+        if (excess <= 0) break;
+        if (!message || this.isMessageKept(message)) continue;
+        await this.removeMessageRecord(message);
+        excess--;
+        deleted++;
       }
     }
-    return this.fallbackStorage.nextTaskId;
+    
+    return deleted;
   }
 
-  async incrementTaskId() {
-    const nextId = await this.getNextTaskId();
-    const newId = nextId + 1;
+  // Full sweep with the age and per-tag limits, run from the monitor cron
+  async applyMessageRetention() {
+    const messages = await this.getMessages();
+    const trimmable = messages.filter(message => !this.isMessageKept(message));
+    const toDelete = new Set(trimmable.filter(message => this.isMessageExpired(message)));
     
-    if (this.kvEnabled) {
-      try {
-        await kv.set('jinbot:next_task_id', newId);
-      } catch (error) {
-        console.error('KV increment task ID error:', error);
-        this.fallbackStorage.nextTaskId = newId;
+    // Ring buffer: drop the oldest trimmable messages beyond the count limit
+    const remaining = messages.length - toDelete.size;
+    if (this.retention.maxCount > 0 && remaining > this.retention.maxCount) {
+      let excess = remaining - this.retention.maxCount;
+      for (const message of trimmable) {
+        if (excess <= 0) break;
+        if (!toDelete.has(message)) {
+          toDelete.add(message);
+          excess--;
+        }
       }
-    } else {
-      this.fallbackStorage.nextTaskId = newId;
     }
     
-    return newId;
+    for (const message of toDelete) {
+      await this.removeMessageRecord(message);
+    }
+    
+    return toDelete.size;
   }
 
-  async getUserSettings(userId) {
-    if (this.kvEnabled) {
-      try {
-        const settings = await kv.get(`jinbot:user:${userId}:settings`) || {};
-        return settings;
-      } catch (error) {
-        console.error('KV get user settings error:', error);
-        return {};
+  // One-time migration from the single-array `jinbot:messages` key. Legacy IDs could repeat
+  // after trimming, so migrated messages are renumbered by position (keeping the old ID as
+  // legacyId), which keeps the migration idempotent if two invocations run it at once.
+  async migrateLegacyMessages() {
+    if (this.messagesMigrated) return;
+    
+    try {
+      if (!await this.driver.get('jinbot:migrations:messages_v2')) {
+        const stored = await this.driver.get('jinbot:messages');
+        const legacyMessages = (Array.isArray(stored) ? stored : []).map((message, index) => ({
+          ...message,
+          legacyId: message.id,
+          id: `msg_${String(index + 1).padStart(3, '0')}`
+        }));
+        
+        if (legacyMessages.length > 0) {
+          console.log(`Migrating ${legacyMessages.length} legacy messages to per-record storage`);
+          await this.copyLegacyRecords(legacyMessages, id => this.messageKey(id), message => this.saveMessage(message));
+          if (!await this.ensureSequence('jinbot:messages:seq', legacyMessages.length)) {
+            throw new Error('Could not update the message ID sequence');
+          }
+        }
+        
+        await this.driver.set('jinbot:migrations:messages_v2', new Date().toISOString());
+        await this.driver.del('jinbot:messages');
       }
+      this.messagesMigrated = true;
+    } catch (error) {
+      // The marker isn't written and the legacy key is kept, so the next call tries again
+      console.error('Message migration failed, will retry:', error);
     }
-    return this.fallbackStorage.settings[userId] || {};
+  }
+
+  async getUserSettings(userId) {
+    return await this.read(`jinbot:user:${userId}:settings`, {}, 'user settings');
   }
 
   async saveUserSettings(userId, settings) {
-    if (this.kvEnabled) {
-      try {
-        await kv.set(`jinbot:user:${userId}:settings`, settings);
-        return true;
-      } catch (error) {
-        console.error('KV save user settings error:', error);
-        if (!this.fallbackStorage.settings) this.fallbackStorage.settings = {};
-        this.fallbackStorage.settings[userId] = settings;
-        return false;
-      }
+    return await this.write(`jinbot:user:${userId}:settings`, settings, 'user settings');
+  }
+
+  // Profiles of users who have messaged the bot; the username map resolves /grant @username
+  async getUserProfile(userId) {
+    return await this.read(`jinbot:user:${userId}:profile`, null, 'user profile');
+  }
+
+  async saveUserProfile(profile, previous = null) {
+    if (previous?.username && previous.username !== profile.username) {
+      await this.remove(`jinbot:username:${previous.username.toLowerCase()}`, 'username');
+    }
+    if (profile.username) {
+      await this.write(`jinbot:username:${profile.username.toLowerCase()}`, profile.id, 'username');
     }
-    if (!this.fallbackStorage.settings) this.fallbackStorage.settings = {};
-    this.fallbackStorage.settings[userId] = settings;
+    return await this.write(`jinbot:user:${profile.id}:profile`, profile, 'user profile');
+  }
+
+  async getUserIdByUsername(username) {
+    return await this.read(`jinbot:username:${String(username).replace(/^@/, '').toLowerCase()}`, null, 'username');
+  }
+
+  // Roles are keyed by Telegram user ID, with an index set for /users
+  async getUserRole(userId) {
+    return await this.read(`jinbot:user:${userId}:role`, null, 'user role');
+  }
+
+  async getUserRoles() {
+    const ids = await this.members('jinbot:roles:index', 'role index');
+    const roles = await this.readMany(ids.map(id => `jinbot:user:${id}:role`), 'user roles');
+    return roles.filter(Boolean);
+  }
+
+  async saveUserRole(record) {
+    await this.write(`jinbot:user:${record.userId}:role`, record, 'user role');
+    return await this.addMember('jinbot:roles:index', String(record.userId), 'role index');
+  }
+
+  async removeUserRole(userId) {
+    await this.remove(`jinbot:user:${userId}:role`, 'user role');
+    return await this.removeMember('jinbot:roles:index', String(userId), 'role index');
+  }
+
+  // Per-chat permission policies set with /chatpolicy; null until a chat has one
+  async getChatPolicy(chatId) {
+    return await this.read(`jinbot:chat:${chatId}:policy`, null, 'chat policy');
+  }
+
+  async getChatPolicies() {
+    const chatIds = await this.members('jinbot:chat_policies:index', 'chat policy index');
+    const policies = await this.readMany(chatIds.map(chatId => `jinbot:chat:${chatId}:policy`), 'chat policies');
+    return policies.filter(Boolean);
+  }
+
+  async saveChatPolicy(policy) {
+    await this.write(`jinbot:chat:${policy.chatId}:policy`, policy, 'chat policy');
+    return await this.addMember('jinbot:chat_policies:index', String(policy.chatId), 'chat policy index');
+  }
+
+  async removeChatPolicy(chatId) {
+    await this.remove(`jinbot:chat:${chatId}:policy`, 'chat policy');
+    return await this.removeMember('jinbot:chat_policies:index', String(chatId), 'chat policy index');
+  }
+
+  // Invite codes for /start deep links; uses are counted atomically so a code can't be over-redeemed
+  async getInvites() {
+    const codes = await this.members('jinbot:invites:index', 'invite index');
+    const invites = await this.readMany(codes.map(code => `jinbot:invite:${code}`), 'invites');
+    return invites.filter(Boolean);
+  }
+
+  async getInvite(code) {
+    return await this.read(`jinbot:invite:${code}`, null, 'invite');
+  }
+
+  async saveInvite(invite) {
+    await this.write(`jinbot:invite:${invite.code}`, invite, 'invite');
+    return await this.addMember('jinbot:invites:index', invite.code, 'invite index');
+  }
+
+  async removeInvite(code) {
+    await this.remove(`jinbot:invite:${code}`, 'invite');
+    await this.remove(`jinbot:invite:${code}:uses`, 'invite uses');
+    return await this.removeMember('jinbot:invites:index', code, 'invite index');
+  }
+
+  async getInviteUses(code) {
+    return await this.read(`jinbot:invite:${code}:uses`, 0, 'invite uses');
+  }
+
+  // Returns the use count including this one
+  async useInvite(code) {
+    return await this.driver.incr(`jinbot:invite:${code}:uses`);
+  }
+
+  // One access request per user; answered requests are kept so repeat requests can be throttled
+  async getAccessRequest(userId) {
+    return await this.read(`jinbot:user:${userId}:access_request`, null, 'access request');
+  }
+
+  async saveAccessRequest(request) {
+    return await this.write(`jinbot:user:${request.userId}:access_request`, request, 'access request');
+  }
+
+  // Open multi-step command conversations, one per user per chat; expiry is checked by Conversations
+  async getConversation(chatId, userId) {
+    return await this.read(`jinbot:chat:${chatId}:user:${userId}:conversation`, null, 'conversation');
+  }
+
+  async saveConversation(conversation) {
+    return await this.write(`jinbot:chat:${conversation.chatId}:user:${conversation.userId}:conversation`, conversation, 'conversation');
+  }
+
+  async removeConversation(chatId, userId) {
+    return await this.remove(`jinbot:chat:${chatId}:user:${userId}:conversation`, 'conversation');
+  }
+
+  // null until the user customizes their auto-tagging rules
+  async getTagRules(userId) {
+    return await this.read(`jinbot:user:${userId}:tagrules`, null, 'tag rules');
+  }
+
+  async saveTagRules(userId, rules) {
+    return await this.write(`jinbot:user:${userId}:tagrules`, rules, 'tag rules');
+  }
+
+  // Projects are stored one record per slug; tasks and messages reference them by `project`
+  projectSlug(name) {
+    return String(name || '').trim().toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  projectKey(slug) {
+    return `jinbot:project:${slug}`;
+  }
+
+  async getProjects() {
+    const slugs = await this.members('jinbot:projects:index', 'project index');
+    const projects = await this.readMany(slugs.map(slug => this.projectKey(slug)), 'projects');
+    return projects.filter(Boolean).sort((a, b) => a.slug.localeCompare(b.slug));
+  }
+
+  async getProject(name) {
+    const slug = this.projectSlug(name);
+    return slug ? await this.read(this.projectKey(slug), null, 'project') : null;
+  }
+
+  // Returns the existing project when one with the same slug is already registered
+  async createProject(name, actor = null) {
+    const existing = await this.getProject(name);
+    if (existing) return existing;
+    
+    const project = {
+      slug: this.projectSlug(name),
+      name: String(name).trim(),
+      createdAt: new Date().toISOString(),
+      createdBy: actor
+    };
+    await this.write(this.projectKey(project.slug), project, 'project');
+    await this.addMember('jinbot:projects:index', project.slug, 'project index');
+    return project;
+  }
+
+  // Forum topic registry: chat ID + topic key -> message_thread_id and metadata
+  async getTopicRegistry(chatId) {
+    return await this.read(`jinbot:topics:${chatId}`, {}, 'topic registry');
+  }
+
+  async saveTopicRegistry(chatId, registry) {
+    return await this.write(`jinbot:topics:${chatId}`, registry, 'topic registry');
+  }
+
+  async getTopic(chatId, topicKey) {
+    const registry = await this.getTopicRegistry(chatId);
+    return registry[topicKey] || null;
+  }
+
+  async saveTopic(chatId, topicKey, topic) {
+    const registry = await this.getTopicRegistry(chatId);
+    registry[topicKey] = {
+      threadId: topic.threadId,
+      name: topic.name,
+      color: topic.color,
+      createdAt: topic.createdAt || new Date().toISOString()
+    };
+    await this.saveTopicRegistry(chatId, registry);
+    return registry[topicKey];
+  }
+
+  async removeTopic(chatId, topicKey) {
+    const registry = await this.getTopicRegistry(chatId);
+    if (!registry[topicKey]) return false;
+    
+    delete registry[topicKey];
+    await this.saveTopicRegistry(chatId, registry);
     return true;
   }
 
-  async searchTasks(keyword, status = null) {
-    const tasks = await this.getTasks();
-    const keywordLower = keyword.toLowerCase();
+  async getDecision(decisionId) {
+    return await this.read(`jinbot:decision:${decisionId}`, null, 'decision');
+  }
+
+  async saveDecision(decision) {
+    return await this.write(`jinbot:decision:${decision.id}`, decision, 'decision');
+  }
+
+  // Pending decision index used by the timeout/reminder sweep and the digest
+  async getPendingDecisionIds() {
+    return await this.members('jinbot:decisions:pending', 'pending decisions');
+  }
+
+  async addPendingDecision(decisionId) {
+    return await this.addMember('jinbot:decisions:pending', decisionId, 'pending decision');
+  }
+
+  async removePendingDecision(decisionId) {
+    return await this.removeMember('jinbot:decisions:pending', decisionId, 'pending decision');
+  }
+
+  // Atomic claim before recording an outcome: only the one caller whose SREM removed the ID
+  // gets true, so a button press, a webhook and an expiry can't all resolve the same decision
+  async claimPendingDecision(decisionId) {
+    try {
+      return await this.driver.srem('jinbot:decisions:pending', decisionId);
+    } catch (error) {
+      console.error('Storage claim pending decision error:', error);
+      return false;
+    }
+  }
+
+  // Extracted action items wait here for Accept/Dismiss before they become tasks
+  async allocateSuggestionId() {
+    const nextId = await this.driver.incr('jinbot:suggestions:seq');
+    return `sug_${String(nextId).padStart(3, '0')}`;
+  }
+
+  async getSuggestion(suggestionId) {
+    return await this.read(`jinbot:suggestion:${suggestionId}`, null, 'suggestion');
+  }
+
+  async saveSuggestion(suggestion) {
+    return await this.write(`jinbot:suggestion:${suggestion.id}`, suggestion, 'suggestion');
+  }
+
+  async removeSuggestion(suggestionId) {
+    return await this.remove(`jinbot:suggestion:${suggestionId}`, 'suggestion');
+  }
+
+  // null until the digest is configured with /digest settings
+  async getDigestSettings() {
+    return await this.read('jinbot:digest:settings', null, 'digest settings');
+  }
+
+  async saveDigestSettings(settings) {
+    return await this.write('jinbot:digest:settings', settings, 'digest settings');
+  }
+
+  // Monitoring alerts are kept for a week so digests can report them
+  async getIncidents(since = null) {
+    const incidents = await this.read('jinbot:monitor:incidents', [], 'monitoring incidents');
+    return since ? incidents.filter(incident => new Date(incident.timestamp) > new Date(since)) : incidents;
+  }
+
+  async addIncidents(incidents) {
+    if (incidents.length === 0) return;
+    
+    const cutoff = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const kept = (await this.getIncidents()).filter(incident => new Date(incident.timestamp).getTime() > cutoff);
+    await this.write('jinbot:monitor:incidents', [...kept, ...incidents].slice(-200), 'monitoring incidents');
+  }
+
+  // Endpoints added with /endpoints add; MONITOR_ENDPOINTS are checked as well
+  async getMonitorEndpoints() {
+    return await this.read('jinbot:monitor:endpoints', [], 'monitor endpoints');
+  }
+
+  async saveMonitorEndpoints(endpoints) {
+    return await this.write('jinbot:monitor:endpoints', endpoints, 'monitor endpoints');
+  }
+
+  // Generic values for integrations that keep their own records (Claude operation log, sync markers)
+  async getValue(key, defaultValue = null) {
+    return await this.read(`jinbot:${key}`, defaultValue, key);
+  }
+
+  async setValue(key, value) {
+    return await this.write(`jinbot:${key}`, value, key);
+  }
+
+  // Builds the search indexes for data written before indexing existed. Like the legacy
+  // migrations it reads through the driver, so a failed read or posting leaves the marker unset
+  async ensureSearchIndex() {
+    if (this.searchIndexed) return;
     
-    return tasks.filter(task => {
-      const matchesKeyword = task.description.toLowerCase().includes(keywordLower) ||
-                           task.tags.some(tag => tag.toLowerCase().includes(keywordLower));
-      const matchesStatus = !status || task.status === status;
-      return matchesKeyword && matchesStatus;
+    try {
+      if (!await this.driver.get('jinbot:migrations:search_v1')) {
+        await Promise.all([this.migrateLegacyTasks(), this.migrateLegacyMessages()]);
+        if (!this.tasksMigrated || !this.messagesMigrated) {
+          throw new Error('Legacy records are not migrated yet');
+        }
+        
+        const [tasks, messages] = await Promise.all([
+          this.loadIndexed('jinbot:tasks:index', id => this.taskKey(id)),
+          this.loadIndexed('jinbot:messages:index', id => this.messageKey(id))
+        ]);
+        console.log(`Building search index for ${tasks.length} tasks and ${messages.length} messages`);
+        
+        for (const task of tasks) {
+          if (!await this.taskIndex.add(task)) throw new Error(`Could not index ${task.id}`);
+        }
+        for (const message of messages) {
+          if (!await this.messageIndex.add(message)) throw new Error(`Could not index ${message.id}`);
+        }
+        
+        await this.driver.set('jinbot:migrations:search_v1', new Date().toISOString());
+      }
+      this.searchIndexed = true;
+    } catch (error) {
+      console.error('Search index build failed, will retry:', error);
+    }
+  }
+
+  async loadIndexed(indexKey, keyFor) {
+    const ids = await this.driver.smembers(indexKey);
+    return (await this.driver.mget(ids.map(keyFor))).filter(Boolean);
+  }
+
+  // Query syntax: words, "phrases", prefix*, tag:x, status:x, priority:x, before:/after: dates, -negation
+  async searchTasks(query, options = {}) {
+    await this.ensureSearchIndex();
+    
+    const allIds = await this.members('jinbot:tasks:index', 'task index');
+    return await this.taskIndex.search(query, {
+      allIds,
+      loadRecords: ids => this.readMany(ids.map(id => this.taskKey(id)), 'tasks'),
+      accessors: {
+        tag: task => task.tags || [],
+        status: task => [task.status],
+        priority: task => [task.priority]
+      },
+      ...options
     });
   }
 
-  async searchMessages(keyword, limit = 10) {
-    const messages = await this.getMessages();
-    const keywordLower = keyword.toLowerCase();
+  // Query syntax: words, "phrases", prefix*, tag:x, from:x, before:/after: dates, -negation
+  async searchMessages(query, options = {}) {
+    await this.ensureSearchIndex();
     
-    return messages
-      .filter(msg => 
-        msg.text.toLowerCase().includes(keywordLower) ||
-        msg.tags.some(tag => tag.toLowerCase().includes(keywordLower)) ||
-        msg.sourceChat.toLowerCase().includes(keywordLower)
-      )
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+    const allIds = await this.members('jinbot:messages:index', 'message index');
+    return await this.messageIndex.search(query, {
+      allIds,
+      loadRecords: ids => this.readMany(ids.map(id => this.messageKey(id)), 'messages'),
+      accessors: {
+        tag: message => message.tags || [],
+        from: message => [message.sourceChat || '']
+      },
+      ...options
+    });
+  }
+
+  // `project` limits results to one project's records; null includes every project
+  inProject(record, project = null) {
+    return !project || record.project === project;
   }
 
-  async getRecentMessages(hours = 24, limit = 10) {
+  async getRecentMessages(hours = 24, limit = 10, project = null) {
     const messages = await this.getMessages();
     const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000);
     
     return messages
-      .filter(msg => new Date(msg.timestamp) > cutoffTime)
+      .filter(msg => new Date(msg.timestamp) > cutoffTime && this.inProject(msg, project))
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
       .slice(0, limit);
   }
 
-  async getPendingTasks(limit = 10) {
+  async getPendingTasks(limit = 10, project = null) {
     const tasks = await this.getTasks();
+    const now = new Date();
+    const urgencyOrder = { overdue: 0, due_soon: 1 };
+    const urgencyRank = task => urgencyOrder[this.dueDates.urgency(task, now)] ?? 2;
+    
     return tasks
-      .filter(task => task.status === 'Pending')
+      .filter(task => task.status === 'Pending' && this.inProject(task, project))
       .sort((a, b) => {
-        // Sort by priority, then by creation date
+        // Overdue and due-soon tasks first (earliest deadline first), then by priority,
+        // deadline and creation date
+        const urgencyDiff = urgencyRank(a) - urgencyRank(b);
+        if (urgencyDiff !== 0) return urgencyDiff;
+        if (urgencyRank(a) < 2) return new Date(a.dueAt) - new Date(b.dueAt);
+        
         const priorityOrder = { 'High': 3, 'Medium': 2, 'Low': 1 };
         const priorityDiff = (priorityOrder[b.priority] || 2) - (priorityOrder[a.priority] || 2);
         if (priorityDiff !== 0) return priorityDiff;
+        
+        const dueDiff = new Date(a.dueAt || 8.64e15) - new Date(b.dueAt || 8.64e15);
+        if (dueDiff !== 0) return dueDiff;
         return new Date(b.timestamp || b.createdDate) - new Date(a.timestamp || a.createdDate);
       })
       .slice(0, limit);
   }
 
-  async getStats() {
+  async getStats(project = null) {
     const [tasks, messages] = await Promise.all([
       this.getTasks(),
       this.getMessages()
     ]);
 
+    return this.summarize(
+      tasks.filter(task => this.inProject(task, project)),
+      messages.filter(message => this.inProject(message, project))
+    );
+  }
+
+  // Per-project stats keyed by project slug; records without a project are grouped under ''
+  async getProjectStats() {
+    const [tasks, messages, projects] = await Promise.all([
+      this.getTasks(),
+      this.getMessages(),
+      this.getProjects()
+    ]);
+
+    const slugs = ['', ...projects.map(project => project.slug)];
+    return Object.fromEntries(slugs.map(slug => [slug, this.summarize(
+      tasks.filter(task => (task.project || '') === slug),
+      messages.filter(message => (message.project || '') === slug)
+    )]));
+  }
+
+  summarize(tasks, messages) {
     const pendingTasks = tasks.filter(t => t.status === 'Pending').length;
     const completedTasks = tasks.filter(t => t.status === 'Completed').length;
+    
+    // Every occurrence of a recurring task is its own record; occurrences that are not
+    // due yet are left out of the completion rate so a series doesn't drag it down
+    const recurringTasks = tasks.filter(t => t.recurrence);
+    const upcomingOccurrences = recurringTasks.filter(t =>
+      t.status === 'Pending' && t.occurrence > 1 && new Date(t.dueAt) > new Date()
+    ).length;
+    const rateBase = tasks.length - upcomingOccurrences;
     const recentMessages = messages.filter(m => 
       new Date(m.timestamp) > new Date(Date.now() - 24 * 60 * 60 * 1000)
     ).length;
@@ -246,26 +1101,30 @@ class PersistentStorage {
       totalTasks: tasks.length,
       pendingTasks,
       completedTasks,
-      completionRate: tasks.length > 0 ? (completedTasks / tasks.length * 100).toFixed(1) : 0,
+      overdueTasks: tasks.filter(t => t.status === 'Pending' && this.dueDates.urgency(t) === 'overdue').length,
+      completionRate: rateBase > 0 ? (completedTasks / rateBase * 100).toFixed(1) : 0,
+      recurringSeries: new Set(recurringTasks.map(t => t.seriesId || t.id)).size,
+      upcomingOccurrences,
       totalMessages: messages.length,
       recentMessages,
-      storageType: this.kvEnabled ? 'Vercel KV' : 'In-Memory Fallback',
+      storageType: this.driver.label,
       lastActivity: messages.length > 0 ? messages[messages.length - 1].timestamp : null
     };
   }
 
-  async exportData() {
+  async exportData(project = null) {
     const [tasks, messages, stats] = await Promise.all([
       this.getTasks(),
       this.getMessages(), 
-      this.getStats()
+      this.getStats(project)
     ]);
 
     return {
       exportedAt: new Date().toISOString(),
+      project,
       stats,
-      tasks,
-      messages: messages.slice(-100), // Last 100 messages only
+      tasks: tasks.filter(task => this.inProject(task, project)),
+      messages: messages.filter(message => this.inProject(message, project)).slice(-100), // Last 100 messages only
       version: '2.0.0'
     };
   }
@@ -287,8 +1146,8 @@ class PersistentStorage {
 
   // Sync with Claude Code master memory system
   async syncWithMasterMemory() {
-    if (!this.kvEnabled) {
-      return { success: false, error: 'KV not available for sync' };
+    if (!this.driver.persistent) {
+      return { success: false, error: `${this.driver.label} storage is not persistent, nothing to sync` };
     }
 
     try {
@@ -308,8 +1167,8 @@ class PersistentStorage {
       };
 
       // Store sync marker
-      await kv.set('jinbot:last_sync', new Date().toISOString());
-      await kv.set('jinbot:sync_data', syncData);
+      await this.driver.set('jinbot:last_sync', new Date().toISOString());
+      await this.driver.set('jinbot:sync_data', syncData);
 
       return { 
         success: true, 
@@ -0,0 +1,112 @@
+// User-defined auto-tagging rules for saved messages
+// A rule adds one tag when keywords ("asap|immediately|p0") or a /regex/ match,
+// optionally only for messages from a matching source chat
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TAGS = 5;
+
+// Used until a user edits their own rule list
+const DEFAULT_RULES = [
+  { id: 'r1', tag: 'urgent', keywords: ['urgent', 'asap', 'immediately'] },
+  { id: 'r2', tag: 'deadline', keywords: ['deadline', 'due', 'timeline'] },
+  { id: 'r3', tag: 'meeting', keywords: ['meeting', 'call', 'zoom'] },
+  { id: 'r4', tag: 'project', keywords: ['project', 'work', 'development'] }
+];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class TagRules {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async getRules(userId) {
+    const rules = userId ? await this.storage.getTagRules(userId) : null;
+    return rules || DEFAULT_RULES;
+  }
+
+  async saveRules(userId, rules) {
+    return await this.storage.saveTagRules(userId, rules);
+  }
+
+  isDefault(rules) {
+    return rules === DEFAULT_RULES;
+  }
+
+  nextId(rules) {
+    return `r${Math.max(0, ...rules.map(rule => parseInt(rule.id.slice(1)) || 0)) + 1}`;
+  }
+
+  // Parses `urgent: asap|p0 from:"Plasma HQ"` or `deploy: /deploy(ed)? to prod/i`;
+  // returns { rule, error }
+  parse(text) {
+    const match = String(text || '').match(/^#?([\p{L}\p{N}_-]+)\s*:\s*([\s\S]*)$/u);
+    if (!match) {
+      return { error: 'Expected [tag]: [pattern], e.g. urgent: asap|immediately|p0' };
+    }
+
+    const tag = match[1].toLowerCase();
+    let pattern = match[2].trim();
+    const rule = { tag };
+
+    const from = pattern.match(/(?:^|\s)from:(?:"([^"]+)"|(\S+))/i);
+    if (from) {
+      rule.fromChat = (from[1] || from[2]).toLowerCase();
+      pattern = pattern.replace(from[0], ' ').trim();
+    }
+
+    if (!pattern && !rule.fromChat) {
+      return { error: 'A rule needs keywords, a /regex/ or a from:chat condition' };
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      return { error: `Patterns are limited to ${MAX_PATTERN_LENGTH} characters` };
+    }
+
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+      try {
+        new RegExp(regex[1], regex[2]);
+      } catch (error) {
+        return { error: `Invalid regex: ${error.message}` };
+      }
+      // Global/sticky flags make test() stateful, so they are dropped
+      rule.regex = { source: regex[1], flags: regex[2].replace(/[gy]/g, '') };
+    } else if (pattern) {
+      rule.keywords = [...new Set(pattern.split('|').map(word => word.trim().toLowerCase()).filter(Boolean))];
+    }
+
+    return { rule };
+  }
+
+  // Keywords match whole words, case-insensitively
+  compile(rule) {
+    if (rule.regex) return new RegExp(rule.regex.source, rule.regex.flags);
+    if (rule.keywords?.length) {
+      return new RegExp(`(?<![\\p{L}\\p{N}])(?:${rule.keywords.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+    }
+    return null;
+  }
+
+  matches(rule, text, sourceChat = '') {
+    if (rule.fromChat && !String(sourceChat).toLowerCase().includes(rule.fromChat)) return false;
+
+    const pattern = this.compile(rule);
+    return pattern ? pattern.test(text) : true;
+  }
+
+  // Tags from every matching rule, in rule order
+  apply(rules, text, sourceChat = '') {
+    const tags = rules.filter(rule => this.matches(rule, text, sourceChat)).map(rule => rule.tag);
+    return [...new Set(tags)].slice(0, MAX_TAGS);
+  }
+
+  describe(rule) {
+    const parts = [];
+    if (rule.keywords) parts.push(rule.keywords.join(' | '));
+    if (rule.regex) parts.push(`/${rule.regex.source}/${rule.regex.flags}`);
+    if (rule.fromChat) parts.push(`from "${rule.fromChat}"`);
+    return parts.join(' ');
+  }
+}
+
+export default TagRules;
@@ -0,0 +1,83 @@
+// Deadline reminders for tasks with a due date
+// Swept by the daily monitor cron and POST ?action=sweep: one DM before the deadline and one once it is overdue
+
+import DueDateParser from './due-dates.js';
+import UserSettings from './user-settings.js';
+
+class TaskReminders {
+  constructor(storage, groupManager) {
+    this.storage = storage;
+    this.groupManager = groupManager;
+    this.dueDates = new DueDateParser();
+    this.userSettings = new UserSettings(storage, {
+      dueDates: this.dueDates,
+      defaultTimeZone: process.env.DEFAULT_TIMEZONE || 'UTC'
+    });
+    this.fallbackChatId = process.env.TELEGRAM_CHAT_ID;
+  }
+
+  // Task owners are DMed directly; tasks without an owner go to the main chat
+  chatIdFor(task) {
+    return task.createdBy?.id || this.fallbackChatId;
+  }
+
+  // `display` holds the owner's /settings date options; dates fall back to the task's timezone
+  formatReminder(task, kind, now = new Date(), display = null) {
+    const header = kind === 'overdue' ? '🚨 **Task overdue**' : '⏰ **Task due soon**';
+
+    let text = `${header}\n\n**${task.id}**: ${task.description}\n`;
+    text += `📅 Due: ${this.dueDates.formatDue(task.dueAt, display || task.timeZone || 'UTC', now)}\n\n`;
+    text += `✅ /complete ${task.id}`;
+    return text;
+  }
+
+  async sendReminder(task, kind, now) {
+    const chatId = this.chatIdFor(task);
+    if (!chatId) return false;
+
+    // Owners get reminders in their own date format and silently during their quiet hours
+    const settings = task.createdBy?.id ? await this.userSettings.get(task.createdBy.id) : null;
+    const result = await this.groupManager.makeApiCall('sendMessage', {
+      chat_id: chatId,
+      text: this.formatReminder(task, kind, now, settings && this.userSettings.display(settings)),
+      parse_mode: 'Markdown',
+      ...(settings && this.userSettings.isQuietTime(settings, now) ? { disable_notification: true } : {})
+    });
+
+    if (!result.success) {
+      console.error(`Failed to send ${kind} reminder for ${task.id}:`, result.error);
+    }
+    return result.success;
+  }
+
+  async sweepTaskReminders(now = new Date()) {
+    const tasks = (await this.storage.getTasks()).filter(task => task.dueAt && task.status === 'Pending');
+    const results = { checked: tasks.length, reminded: 0, overdue: 0 };
+
+    for (const task of tasks) {
+      if (this.storage.isSnoozed(task, now)) continue;
+
+      const urgency = this.dueDates.urgency(task, now);
+      const reminders = task.reminders || {};
+
+      // Each kind of reminder is sent once per deadline; changing the due date resets them
+      const kind = urgency === 'overdue' && !reminders.overdueAt ? 'overdue' :
+        urgency === 'due_soon' && !reminders.dueSoonAt ? 'due_soon' : null;
+      if (!kind) continue;
+
+      if (await this.sendReminder(task, kind, now)) {
+        await this.storage.updateTask(task.id, current => {
+          current.reminders = {
+            ...current.reminders,
+            [kind === 'overdue' ? 'overdueAt' : 'dueSoonAt']: now.toISOString()
+          };
+        });
+        results[kind === 'overdue' ? 'overdue' : 'reminded']++;
+      }
+    }
+
+    return results;
+  }
+}
+
+export default TaskReminders;
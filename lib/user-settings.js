@@ -0,0 +1,147 @@
+// Per-user preferences edited with /settings
+// Kept in the user settings record alongside the active project; unset fields fall back to defaults
+
+import DueDateParser from './due-dates.js';
+
+// Value -> example shown in the /settings menu
+export const DATE_FORMATS = {
+  default: 'Mon 19 Oct, 17:25',
+  us: 'Mon, Oct 19, 5:25 PM',
+  iso: '2026-10-19 17:25'
+};
+
+// Languages used for weekday and month names in dates
+export const LANGUAGES = {
+  en: 'English',
+  de: 'Deutsch',
+  fr: 'Français',
+  es: 'Español',
+  pt: 'Português',
+  ru: 'Русский'
+};
+
+// Offered as buttons; any IANA name can be typed with /settings timezone
+export const COMMON_TIME_ZONES = [
+  'UTC', 'Europe/London', 'Europe/Berlin', 'America/New_York', 'America/Los_Angeles',
+  'Asia/Dubai', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney'
+];
+
+export const PRIORITIES = ['High', 'Medium', 'Low'];
+
+// /settings keys in menu order; the digest time is shared by the whole chat
+export const SETTING_LABELS = {
+  timezone: '🌍 Timezone',
+  format: '📅 Date format',
+  language: '🗣️ Language',
+  digest: '📰 Digest time',
+  quiet: '🌙 Quiet hours',
+  priority: '⭐ Default priority'
+};
+
+class UserSettings {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.dueDates = options.dueDates || new DueDateParser();
+    this.defaults = {
+      timezone: options.defaultTimeZone || 'UTC',
+      dateFormat: 'default',
+      language: 'en',
+      quietHours: null,
+      defaultPriority: 'Medium'
+    };
+  }
+
+  // Stored fields that are no longer valid (e.g. a removed timezone) are ignored
+  resolve(stored = {}) {
+    const settings = { ...this.defaults, ...stored };
+    if (!DueDateParser.isValidTimeZone(settings.timezone)) settings.timezone = this.defaults.timezone;
+    if (!DATE_FORMATS[settings.dateFormat]) settings.dateFormat = this.defaults.dateFormat;
+    if (!LANGUAGES[settings.language]) settings.language = this.defaults.language;
+    if (!PRIORITIES.includes(settings.defaultPriority)) settings.defaultPriority = this.defaults.defaultPriority;
+    return settings;
+  }
+
+  async get(userId) {
+    return this.resolve(userId ? await this.storage.getUserSettings(userId) : {});
+  }
+
+  async update(userId, changes) {
+    const stored = { ...await this.storage.getUserSettings(userId), ...changes };
+    await this.storage.saveUserSettings(userId, stored);
+    return this.resolve(stored);
+  }
+
+  // Options for DueDateParser.formatDateTime
+  display(settings) {
+    return { timeZone: settings.timezone, dateFormat: settings.dateFormat, language: settings.language };
+  }
+
+  formatTime({ hour, minute }) {
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  }
+
+  // "22:00-07:00", "10pm-7am" or "off"; returns { value } or { error }
+  parseQuietHours(text) {
+    const value = String(text || '').trim().toLowerCase();
+    if (['off', 'none', 'no'].includes(value)) return { value: null };
+
+    const [start, end] = value.split(/\s*(?:-|–|to)\s*/).map(part => this.dueDates.parseTime(part));
+    if (!start || !end) {
+      return { error: 'Expected a range like 22:00-07:00, or off' };
+    }
+    return { value: { start: this.formatTime(start), end: this.formatTime(end) } };
+  }
+
+  // Validates a /settings value; returns { changes } or { error }
+  parse(key, text) {
+    const value = String(text || '').trim();
+
+    switch (key) {
+      case 'timezone':
+        return DueDateParser.isValidTimeZone(value) && value ?
+          { changes: { timezone: value } } :
+          { error: `Unknown timezone: ${value}\nUse an IANA name such as America/New_York or Asia/Singapore` };
+
+      case 'format':
+        return DATE_FORMATS[value.toLowerCase()] ?
+          { changes: { dateFormat: value.toLowerCase() } } :
+          { error: `Unknown date format: ${value}\nFormats: ${Object.keys(DATE_FORMATS).join(', ')}` };
+
+      case 'language':
+        return LANGUAGES[value.toLowerCase()] ?
+          { changes: { language: value.toLowerCase() } } :
+          { error: `Unsupported language: ${value}\nLanguages: ${Object.keys(LANGUAGES).join(', ')}` };
+
+      case 'quiet': {
+        const quiet = this.parseQuietHours(value);
+        return quiet.error ? quiet : { changes: { quietHours: quiet.value } };
+      }
+
+      case 'priority': {
+        const priority = PRIORITIES.find(option => option.toLowerCase() === value.toLowerCase());
+        return priority ?
+          { changes: { defaultPriority: priority } } :
+          { error: `Unknown priority: ${value}\nPriorities: high, medium, low` };
+      }
+
+      default:
+        return { error: `Unknown setting: ${key}` };
+    }
+  }
+
+  // Quiet hours may wrap past midnight (22:00-07:00)
+  isQuietTime(settings, now = new Date()) {
+    if (!settings.quietHours) return false;
+
+    const parts = this.dueDates.zonedParts(now, settings.timezone);
+    const current = this.formatTime(parts);
+    const { start, end } = settings.quietHours;
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+  }
+
+  describeQuietHours(settings) {
+    return settings.quietHours ? `${settings.quietHours.start}-${settings.quietHours.end}` : 'off';
+  }
+}
+
+export default UserSettings;
@@ -321,7 +321,8 @@ class VoiceProcessor {
     try {
       // Trigger monitoring check
       const response = await fetch('https://telegram-monitor.vercel.app/api/monitor', {
-        method: 'POST'
+        method: 'POST',
+        headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` }
       });
       const data = await response.json();
       
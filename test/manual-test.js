@@ -79,7 +79,8 @@ class MonitorTester {
 
   async testMonitorEndpoint() {
     const response = await fetch(`${this.baseUrl}/api/monitor`, {
-      method: 'POST'
+      method: 'POST',
+      headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` }
     });
     const data = await response.json();
     
@@ -120,6 +121,23 @@ class MonitorTester {
     };
   }
 
+  async testDecisionEndpoint() {
+    const secret = process.env.CLAUDE_WEBHOOK_SECRET || process.env.WEBHOOK_SECRET || 'test-secret';
+    const response = await fetch(`${this.baseUrl}/api/claude-notify?action=decision&id=dec_missing`, {
+      headers: { 'X-Claude-Secret': secret }
+    });
+    
+    const data = await response.json();
+    
+    return {
+      success: response.status === 404 && data.success === false,
+      message: response.status === 404 ?
+        'Decision endpoint reports unknown decisions as not found' :
+        `Decision endpoint returned unexpected status ${response.status}`,
+      data
+    };
+  }
+
   async testEnvironmentVariables() {
     const required = ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID'];
     const optional = ['MONITOR_ENDPOINTS', 'WEBHOOK_SECRET'];
@@ -168,7 +186,8 @@ class MonitorTester {
     process.env.MONITOR_ENDPOINTS = testEndpoints.join(',');
     
     const response = await fetch(`${this.baseUrl}/api/monitor`, {
-      method: 'POST'
+      method: 'POST',
+      headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` }
     });
     
     // Restore original endpoints
@@ -200,6 +219,7 @@ class MonitorTester {
     await this.test('Monitor Endpoint', () => this.testMonitorEndpoint());
     await this.test('Webhook Endpoint', () => this.testWebhookEndpoint());
     await this.test('Endpoint Monitoring', () => this.testEndpointMonitoring());
+    await this.test('Decision Endpoint', () => this.testDecisionEndpoint());
     
     // Only test Telegram if credentials are available
     if (process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID) {
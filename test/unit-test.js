@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * Offline tests for the parsers and rules behind the bot commands
+ * Needs no server, credentials or storage: run with `npm run test:unit`
+ */
+
+import DueDateParser from '../lib/due-dates.js';
+import RecurrenceParser from '../lib/recurrence.js';
+import SearchIndex from '../lib/search-index.js';
+import CommandRegistry from '../lib/commands.js';
+import AccessControl, { DEFAULT_GROUP_POLICY, DEFAULT_HQ_POLICY } from '../lib/access-control.js';
+
+// A Friday; every relative date below is resolved against it
+const NOW = new Date('2026-03-06T12:00:00Z');
+
+class UnitTester {
+  constructor() {
+    this.results = {
+      passed: 0,
+      failed: 0,
+      tests: []
+    };
+  }
+
+  async test(name, testFn) {
+    console.log(`\n🧪 Testing: ${name}`);
+    try {
+      const result = await testFn();
+      if (result.success) {
+        console.log(`✅ PASS: ${result.message || 'Test passed'}`);
+        this.results.passed++;
+      } else {
+        console.log(`❌ FAIL: ${result.message || 'Test failed'}`);
+        this.results.failed++;
+      }
+      this.results.tests.push({ name, ...result });
+    } catch (error) {
+      console.log(`❌ ERROR: ${error.message}`);
+      this.results.failed++;
+      this.results.tests.push({ name, success: false, message: error.message });
+    }
+  }
+
+  // Each check is [label, actual, expected]; values are compared as JSON, so Dates compare as ISO strings
+  compare(checks) {
+    const failures = checks.filter(([, actual, expected]) => JSON.stringify(actual) !== JSON.stringify(expected));
+    return {
+      success: failures.length === 0,
+      message: failures.length === 0 ?
+        `${checks.length} checks passed` :
+        failures.map(([label, actual, expected]) =>
+          `${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`).join('\n   ')
+    };
+  }
+
+  testDueDateParsing() {
+    const parser = new DueDateParser({ defaultTime: '17:00' });
+    const parse = (text, timeZone) => parser.parse(text, { now: NOW, timeZone });
+
+    return this.compare([
+      ['tomorrow at 9am', parse('call mom tomorrow at 9am'), { description: 'call mom', dueAt: '2026-03-07T09:00:00.000Z' }],
+      ['weekday is today', parse('send report by friday').dueAt, '2026-03-06T17:00:00.000Z'],
+      ['next weekday', parse('standup next friday').dueAt, '2026-03-13T17:00:00.000Z'],
+      ['past date rolls over', parse('renew domain on jan 5').dueAt, '2027-01-05T17:00:00.000Z'],
+      ['explicit', parse('ship due:2026-04-01@9am'), { description: 'ship', dueAt: '2026-04-01T09:00:00.000Z' }],
+      ['later today', parse('deploy by 5pm').dueAt, '2026-03-06T17:00:00.000Z'],
+      ['time already passed', parse('deploy by 11am').dueAt, '2026-03-07T11:00:00.000Z'],
+      ['in a time zone', parse('call tomorrow at 9am', 'America/New_York').dueAt, '2026-03-07T14:00:00.000Z'],
+      ['no deadline', parse('tidy the backlog'), { description: 'tidy the backlog', dueAt: null }],
+      ['impossible natural date', parse('pay rent on Nov 31').error, 'Could not understand due date "Nov 31"'],
+      ['impossible explicit date', parse('ship due:2026-02-30').error, 'Could not understand due date "2026-02-30"']
+    ]);
+  }
+
+  testDueDatesAcrossDst() {
+    const parser = new DueDateParser({ defaultTime: '17:00' });
+    const options = timestamp => ({ now: new Date(timestamp), timeZone: 'America/New_York' });
+
+    // Clocks in New York go forward on 2026-03-08 and back on 2026-11-01
+    return this.compare([
+      ['spring forward', parser.parse('call tomorrow at 9am', options('2026-03-07T15:00:00Z')).dueAt, '2026-03-08T13:00:00.000Z'],
+      ['fall back', parser.parse('call tomorrow at 9am', options('2026-10-31T15:00:00Z')).dueAt, '2026-11-01T14:00:00.000Z'],
+      ['in 1 day keeps wall time', parser.parse('call in 1 day', options('2026-03-07T15:00:00Z')).dueAt, '2026-03-08T21:00:00.000Z']
+    ]);
+  }
+
+  testResolveUntil() {
+    const parser = new DueDateParser({ defaultTime: '17:00' });
+    const until = text => parser.resolveUntil(text, { now: NOW });
+
+    return this.compare([
+      ['days', until('3d'), '2026-03-09T12:00:00.000Z'],
+      ['hours', until('2 hours'), '2026-03-06T14:00:00.000Z'],
+      ['minutes', until('90m'), '2026-03-06T13:30:00.000Z'],
+      ['date and time', until('tomorrow 9am'), '2026-03-07T09:00:00.000Z'],
+      ['weekday', until('monday'), '2026-03-09T17:00:00.000Z'],
+      ['unknown', until('soon'), null],
+      ['trailing words', until('tomorrow pizza'), null],
+      ['impossible date', until('feb 30'), null]
+    ]);
+  }
+
+  testRecurrenceParsing() {
+    const recurrence = new RecurrenceParser();
+
+    return this.compare([
+      ['weekday with time', recurrence.parse('water plants every Monday at 9am'),
+        { description: 'water plants', rule: { freq: 'weekly', interval: 1, weekdays: [1], time: { hour: 9, minute: 0 } } }],
+      ['several weekdays', recurrence.parse('gym every mon, wed and fri').rule.weekdays, [1, 3, 5]],
+      ['interval', recurrence.parse('backup every 2 weeks').rule, { freq: 'weekly', interval: 2 }],
+      ['day of month', recurrence.parse('pay rent monthly on the 31st').rule, { freq: 'monthly', interval: 1, monthDay: 31 }],
+      ['last day', recurrence.parse('invoice monthly on the last day').rule, { freq: 'monthly', interval: 1, monthDay: -1 }],
+      ['cron', recurrence.parse('standup repeat:"30 9 * * 1-5"').rule.weekdays, [1, 2, 3, 4, 5]],
+      ['invalid cron', recurrence.parse('standup repeat:"61 9 * * *"').rule, null],
+      ['invalid day of month', recurrence.parse('pay monthly on the 32nd').error, 'Invalid day of month: 32'],
+      ['no rule', recurrence.parse('call mom tomorrow'), { description: 'call mom tomorrow', rule: null }]
+    ]);
+  }
+
+  testNextOccurrence() {
+    const recurrence = new RecurrenceParser();
+    const anchored = (text, dueAt, timeZone = 'UTC') => recurrence.anchor(recurrence.parse(text).rule, dueAt, timeZone);
+    const next = (rule, after, timeZone = 'UTC') => recurrence.nextOccurrence(rule, new Date(after), timeZone);
+
+    const monthEnd = anchored('monthly on the 31st at 9am', '2026-01-31T09:00:00Z');
+    const lastDay = anchored('monthly on the last day', '2028-01-31T17:00:00Z');
+    const leapDay = anchored('yearly', '2028-02-29T17:00:00Z');
+    const fortnightly = anchored('every 2 weeks', '2026-03-06T17:00:00Z');
+    const weekdays = recurrence.parse('repeat:"0 9 * * 1-5"').rule;
+
+    // Clocks in New York go forward on 2026-03-08 and back on 2026-11-01
+    const daily = anchored('daily at 9am', '2026-03-07T14:00:00Z', 'America/New_York');
+
+    return this.compare([
+      ['31st in February', next(monthEnd, '2026-01-31T09:00:00Z'), '2026-02-28T09:00:00.000Z'],
+      ['31st after February', next(monthEnd, '2026-02-28T09:00:00Z'), '2026-03-31T09:00:00.000Z'],
+      ['31st in a 30-day month', next(monthEnd, '2026-03-31T09:00:00Z'), '2026-04-30T09:00:00.000Z'],
+      ['last day in a leap year', next(lastDay, '2028-01-31T17:00:00Z'), '2028-02-29T17:00:00.000Z'],
+      ['leap day in other years', next(leapDay, '2028-02-29T17:00:00Z'), '2029-02-28T17:00:00.000Z'],
+      ['every 2 weeks', next(fortnightly, '2026-03-06T17:00:00Z'), '2026-03-20T17:00:00.000Z'],
+      ['cron skips the weekend', next(weekdays, '2026-03-06T10:00:00Z'), '2026-03-09T09:00:00.000Z'],
+      ['spring forward', next(daily, '2026-03-07T14:00:00Z', 'America/New_York'), '2026-03-08T13:00:00.000Z'],
+      ['fall back', next(daily, '2026-10-31T13:00:00Z', 'America/New_York'), '2026-11-01T14:00:00.000Z']
+    ]);
+  }
+
+  testSearchQueries() {
+    const index = new SearchIndex(null, 'tasks', task => [task.description]);
+    const parse = query => index.parseQuery(query);
+    const query = parse('deploy "release notes" tag:ops -tag:done -staging api* status:pending page:2');
+
+    return this.compare([
+      ['terms skip stopwords', parse('fix the login bug').terms, ['fix', 'login', 'bug']],
+      ['phrase', query.phrases, ['release notes']],
+      ['prefix', query.prefixes, ['api']],
+      ['filters', query.filters, { tag: ['ops'], status: ['pending'] }],
+      ['exclusions', query.exclude, { terms: ['staging'], phrases: [], filters: { tag: ['done'] } }],
+      ['page', query.page, 2],
+      ['dates', parse('after:2026-03-01').filters.after, '2026-03-01T00:00:00.000Z'],
+      ['invalid date', parse('before:someday').errors, ['Invalid date for before: someday']],
+      ['unknown key is text', parse('owner:sam').terms, ['owner', 'sam']],
+      ['stopwords only', index.hasCriteria(parse('the a to')), false],
+      ['single character', index.hasCriteria(parse('x')), false],
+      ['filter only', index.hasCriteria(parse('tag:ops')), true],
+      ['prefix only', index.hasCriteria(parse('dep*')), true]
+    ]);
+  }
+
+  testCommandParsing() {
+    const commands = new CommandRegistry();
+
+    return this.compare([
+      ['plain', commands.parse('/complete task_001'), { name: 'complete', args: 'task_001' }],
+      ['bot mention and case', commands.parse('/Search@jinagentbot  board meeting '), { name: 'search', args: 'board meeting' }],
+      ['multi-line args', commands.parse('/addtask Ship it\ntoday').args, 'Ship it\ntoday'],
+      ['not a command', commands.parse('hello /help'), null],
+      ['lookup by mention', commands.get('/help@jinagentbot')?.name, 'help']
+    ]);
+  }
+
+  testCommandValidation() {
+    const commands = new CommandRegistry();
+    const validate = (name, args, message) => commands.validate(commands.get(name), args, message);
+    const reply = { reply_to_message: { message_id: 1 } };
+
+    return this.compare([
+      ['text argument', validate('addtask', 'Write the launch post'), { values: { description: 'Write the launch post' }, subcommand: null }],
+      ['subcommand', validate('addtask', 'sub task_010 Write tests'),
+        { values: { task_id: 'task_010', description: 'Write tests' }, subcommand: 'sub' }],
+      ['choice by prefix', validate('priority', 'task_012 hi').values, { task_id: 'task_012', priority: 'high' }],
+      ['unknown choice', validate('priority', 'task_012 urgent').error, 'Unknown priority: urgent\nOptions: high, medium, low'],
+      ['missing argument', validate('complete', ''), { error: '', subcommand: null }],
+      ['invalid user', validate('grant', 'a! member').error, 'Expected @username or a numeric user ID, not a!'],
+      ['user from reply', validate('grant', 'member', reply).values, { role: 'member' }],
+      ['unknown action', validate('endpoints', 'purge').error, 'Unknown action: purge']
+    ]);
+  }
+
+  testAccessRules() {
+    // evaluate() needs no storage; empty IDs keep the environment's owners and HQ group out of it
+    const access = new AccessControl(null, { chatId: '', ownerIds: '', hqGroupId: '' });
+    const allowed = (role, policy, action, required) => access.evaluate(role, policy, action, required).allowed;
+
+    return this.compare([
+      ['higher role', allowed('admin', null, 'addtask', 'member'), true],
+      ['lower role', allowed('viewer', null, 'addtask', 'member'), false],
+      ['unknown user', allowed(undefined, null, 'tasks', 'viewer'), false],
+      ['public command', allowed(undefined, null, 'help', null), true],
+      ['button default', allowed('member', null, 'button:dec'), false],
+      ['group caps the role', access.evaluate('owner', DEFAULT_GROUP_POLICY, 'grant', 'admin'),
+        { allowed: false, role: 'owner', chatRole: 'member', required: 'admin', disabled: false }],
+      ['turned off in HQ', access.evaluate('admin', DEFAULT_HQ_POLICY, 'export', 'member').disabled, true],
+      ['lowered in HQ', allowed('member', DEFAULT_HQ_POLICY, 'notify', 'admin'), true],
+      ['chat policy ignores the cap', allowed('owner', DEFAULT_GROUP_POLICY, 'chatpolicy', 'admin'), true]
+    ]);
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting offline unit tests');
+
+    await this.test('Due Date Parsing', () => this.testDueDateParsing());
+    await this.test('Due Dates Across DST', () => this.testDueDatesAcrossDst());
+    await this.test('Snooze Durations', () => this.testResolveUntil());
+    await this.test('Recurrence Parsing', () => this.testRecurrenceParsing());
+    await this.test('Next Occurrence', () => this.testNextOccurrence());
+    await this.test('Search Queries', () => this.testSearchQueries());
+    await this.test('Command Parsing', () => this.testCommandParsing());
+    await this.test('Command Arguments', () => this.testCommandValidation());
+    await this.test('Access Rules', () => this.testAccessRules());
+
+    this.printSummary();
+  }
+
+  printSummary() {
+    console.log('\n📊 Test Summary');
+    console.log(`✅ Passed: ${this.results.passed}`);
+    console.log(`❌ Failed: ${this.results.failed}`);
+
+    if (this.results.failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.results.tests
+        .filter(test => !test.success)
+        .forEach(test => {
+          console.log(`   • ${test.name}`);
+        });
+    }
+
+    process.exit(this.results.failed > 0 ? 1 : 0);
+  }
+}
+
+// Run tests
+const tester = new UnitTester();
+tester.runAllTests().catch(error => {
+  console.error('❌ Test runner error:', error);
+  process.exit(1);
+});